@@ -10,13 +10,47 @@ import {
   ActionRowBuilder,
   ButtonBuilder,
   ButtonStyle,
+  ChannelType,
+  PermissionFlagsBits,
+  AttachmentBuilder,
 } from 'discord.js';
 import Database from 'better-sqlite3';
+import fs from 'fs';
+import http from 'http';
+import crypto from 'crypto';
+import path from 'path';
+import fr from './locales/fr.js';
+import en from './locales/en.js';
+import {
+  MINUTE_MS,
+  HOUR_MS,
+  DAY_MS,
+  WEEK_MS,
+  DEFAULT_TIMEZONE,
+  parseDuration,
+  parseAnchorTime,
+  isValidTimezone,
+  computeCycleEnd,
+  periodStart,
+} from './lib/cycles.js';
+import { checkMessageRules } from './lib/messageRules.js';
+import { computeXp, xpForLevel, levelForXp } from './lib/levels.js';
+import { DEFAULT_MILESTONES, MAX_MILESTONES, parseMilestones } from './lib/milestones.js';
+import { migrate } from './lib/migrations.js';
+import { createStatEditor } from './lib/stats.js';
 
 const TOKEN = process.env.TOKEN;
 const CLIENT_ID = process.env.CLIENT_ID;
-const OWNER_IDS = process.env.OWNER_IDS.split(',').map(id => id.trim());
+const OWNER_IDS = (process.env.OWNER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
 const DB_PATH = process.env.DB_PATH || './data.sqlite';
+const HTTP_PORT = Number(process.env.HTTP_PORT) || 0;
+const HTTP_HOST = process.env.HTTP_HOST || '127.0.0.1';
+const API_TOKEN = process.env.API_TOKEN || '';
+const BACKUP_DIR = process.env.BACKUP_DIR || './backups';
+const BACKUP_INTERVAL_HOURS = Number(process.env.BACKUP_INTERVAL_HOURS ?? 24);
+const BACKUP_KEEP = Number(process.env.BACKUP_KEEP ?? 7);
+const LOCALES = { fr, en };
+const DEFAULT_LOCALE = LOCALES[process.env.DEFAULT_LOCALE] ? process.env.DEFAULT_LOCALE : 'fr';
 
 if (!TOKEN || !CLIENT_ID) {
   console.error('TOKEN and CLIENT_ID required in .env');
@@ -26,39 +60,40 @@ if (!TOKEN || !CLIENT_ID) {
 const RESULTS_PER_PAGE = 10;
 const LEADERBOARD_TOP = 10;
 const DEBOUNCE_MS = 2000;
-const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
-const TEST_MS = 4 * 60 * 1000;
+const UPDATE_MIN_INTERVAL_MS = 15 * 1000;
+const UPDATE_CONCURRENCY = 2;
+const UPDATE_REFRESH_MS = 60 * 1000;
+const VOICE_CHECKPOINT_MS = 60 * 1000;
+// Longest wait between two level and milestone checks of a member in voice, so corrections and setting changes are seen.
+const VOICE_RECHECK_MS = 15 * 60 * 1000;
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+const IMPORT_TTL_MS = 10 * 60 * 1000;
 
 const db = new Database(DB_PATH);
 db.pragma('journal_mode = WAL');
 
-db.prepare(`
-CREATE TABLE IF NOT EXISTS users (
-  guildId TEXT NOT NULL,
-  userId TEXT NOT NULL,
-  username TEXT,
-  messages INTEGER DEFAULT 0,
-  voiceSeconds INTEGER DEFAULT 0,
-  voiceJoin INTEGER DEFAULT NULL,
-  PRIMARY KEY (guildId, userId)
-)`).run();
-
-db.prepare(`
-CREATE TABLE IF NOT EXISTS leaderboards (
-  guildId TEXT NOT NULL,
-  type TEXT NOT NULL,
-  channelId TEXT NOT NULL,
-  messageId TEXT,
-  timerMessageId TEXT,
-  startAt INTEGER,
-  endAt INTEGER,
-  winnersText TEXT,
-  active INTEGER DEFAULT 1,
-  PRIMARY KEY (guildId, type)
-)`).run();
-
-try { db.prepare(`ALTER TABLE leaderboards ADD COLUMN timerMessageId TEXT`).run(); } catch (e) {}
-try { db.prepare(`ALTER TABLE leaderboards ADD COLUMN winnersText TEXT`).run(); } catch (e) {}
+async function backupDatabase(label) {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const file = path.join(BACKUP_DIR, `${path.basename(DB_PATH, path.extname(DB_PATH))}-${stamp}-${label}.sqlite`);
+  await db.backup(file);
+  return file;
+}
+
+// Pre-migration backups count against BACKUP_KEEP like the others, so each upgrade doesn't leave a copy behind forever.
+function rotateBackups() {
+  const files = fs.readdirSync(BACKUP_DIR).filter(f => /-(auto|manual|pre-migration-v\d+)\.sqlite$/.test(f)).sort().reverse();
+  for (const f of files.slice(BACKUP_KEEP)) fs.unlinkSync(path.join(BACKUP_DIR, f));
+}
+
+try {
+  await migrate(db, backupDatabase);
+} catch (e) {
+  console.error('Database migration failed', e);
+  process.exit(1);
+}
+
+const { getUserStat, setUserStat, transferUserStats } = createStatEditor(db);
 
 const stmtUpsertUser = db.prepare(`
 INSERT INTO users (guildId,userId,username) VALUES (@g,@u,@n)
@@ -68,35 +103,255 @@ const stmtIncMessage = db.prepare(`UPDATE users SET messages = messages + 1 WHER
 const stmtGetTopMessages = db.prepare(`SELECT * FROM users WHERE guildId = ? ORDER BY messages DESC LIMIT ?`);
 const stmtGetTopVoice = db.prepare(`SELECT * FROM users WHERE guildId = ? ORDER BY voiceSeconds DESC LIMIT ?`);
 const stmtGetUser = db.prepare(`SELECT * FROM users WHERE guildId = ? AND userId = ?`);
-const stmtAddVoiceSeconds = db.prepare(`UPDATE users SET voiceSeconds = voiceSeconds + @inc, voiceJoin = NULL WHERE guildId = @g AND userId = @u`);
-const stmtSetVoiceJoin = db.prepare(`UPDATE users SET voiceJoin = @start WHERE guildId = @g AND userId = @u`);
-const stmtGetLeaderboard = db.prepare(`SELECT * FROM leaderboards WHERE guildId = ? AND type = ?`);
+const stmtAddVoiceSeconds = db.prepare(`UPDATE users SET voiceSeconds = voiceSeconds + @inc WHERE guildId = @g AND userId = @u`);
+const stmtOpenVoiceSession = db.prepare(`
+INSERT INTO voice_sessions (guildId,userId,channelId,kind,startAt,checkpointAt) VALUES (@g,@u,@c,@k,@s,@s)
+`);
+const stmtCloseVoiceSession = db.prepare(`
+UPDATE voice_sessions SET endAt = @e, checkpointAt = @e, closeReason = @r WHERE guildId = @g AND userId = @u AND kind = @k AND endAt IS NULL
+`);
+const stmtGetOpenVoiceSession = db.prepare(`SELECT * FROM voice_sessions WHERE guildId = ? AND userId = ? AND kind = ? AND endAt IS NULL`);
+const stmtGetOpenVoiceSessions = db.prepare(`SELECT * FROM voice_sessions WHERE endAt IS NULL`);
+const stmtCheckpointVoiceSessions = db.prepare(`UPDATE voice_sessions SET checkpointAt = ? WHERE endAt IS NULL`);
+const stmtGetLeaderboard = db.prepare(`SELECT * FROM leaderboards WHERE guildId = ? AND type = ? AND name = ?`);
 const stmtUpsertLeaderboard = db.prepare(`
-INSERT INTO leaderboards (guildId,type,channelId,messageId,timerMessageId,startAt,endAt,winnersText,active)
-VALUES (@g,@t,@c,@m,@tm,@s,@e,@w,@a)
-ON CONFLICT(guildId,type) DO UPDATE SET channelId=excluded.channelId, messageId=excluded.messageId, timerMessageId=excluded.timerMessageId, startAt=excluded.startAt, endAt=excluded.endAt, winnersText=excluded.winnersText, active=excluded.active
+INSERT INTO leaderboards (guildId,type,name,channelId,messageId,timerMessageId,startAt,endAt,winnersText,active,cycle,cycleMs,anchorDay,anchorTime,timezone)
+VALUES (@g,@t,@n,@c,@m,@tm,@s,@e,@w,@a,@cy,@cm,@ad,@at,@tz)
+ON CONFLICT(guildId,type,name) DO UPDATE SET channelId=excluded.channelId, messageId=excluded.messageId, timerMessageId=excluded.timerMessageId, startAt=excluded.startAt, endAt=excluded.endAt, winnersText=excluded.winnersText, active=excluded.active, cycle=excluded.cycle, cycleMs=excluded.cycleMs, anchorDay=excluded.anchorDay, anchorTime=excluded.anchorTime, timezone=excluded.timezone, pausedAt=NULL
 `);
 const stmtGetAllLeaderboards = db.prepare(`SELECT * FROM leaderboards WHERE active = 1`);
-const stmtUpdateLeaderboardMessage = db.prepare(`UPDATE leaderboards SET messageId = ? WHERE guildId = ? AND type = ?`);
-const stmtUpdateTimerMessage = db.prepare(`UPDATE leaderboards SET timerMessageId = ? WHERE guildId = ? AND type = ?`);
-const stmtUpdateWinnersText = db.prepare(`UPDATE leaderboards SET winnersText = ? WHERE guildId = ? AND type = ?`);
+const stmtGetGuildLeaderboards = db.prepare(`SELECT * FROM leaderboards WHERE guildId = ? ORDER BY type, name`);
+const stmtSetBoardAppearance = db.prepare(`
+UPDATE leaderboards SET title = @title, color = @color, thumbnail = @thumbnail, topCount = @topCount,
+  lineTemplate = @lineTemplate, compactDuration = @compactDuration, footerText = @footerText
+WHERE guildId = @g AND type = @t AND name = @n
+`);
+const stmtGetTypeLeaderboards = db.prepare(`SELECT name FROM leaderboards WHERE guildId = ? AND type = ? AND active = 1`);
+const stmtPauseLeaderboard = db.prepare(`UPDATE leaderboards SET active = 0, pausedAt = ? WHERE guildId = ? AND type = ? AND name = ?`);
+const stmtResumeLeaderboard = db.prepare(`UPDATE leaderboards SET active = 1, pausedAt = NULL, endAt = ? WHERE guildId = ? AND type = ? AND name = ?`);
+const stmtDeleteLeaderboard = db.prepare(`DELETE FROM leaderboards WHERE guildId = ? AND type = ? AND name = ?`);
+const stmtTouchLeaderboard = db.prepare(`UPDATE leaderboards SET lastUpdateAt = ? WHERE guildId = ? AND type = ? AND name = ?`);
+const stmtUpdateLeaderboardMessage = db.prepare(`UPDATE leaderboards SET messageId = ? WHERE guildId = ? AND type = ? AND name = ?`);
+const stmtUpdateTimerMessage = db.prepare(`UPDATE leaderboards SET timerMessageId = ? WHERE guildId = ? AND type = ? AND name = ?`);
 const stmtResetCountsMessages = db.prepare(`UPDATE users SET messages = 0 WHERE guildId = ?`);
 const stmtResetCountsVoice = db.prepare(`UPDATE users SET voiceSeconds = 0, voiceJoin = NULL WHERE guildId = ?`);
+const stmtAddActivity = db.prepare(`
+INSERT INTO activity (guildId,userId,bucket,channelId,messages,voiceSeconds,reactions,threadMessages,streamSeconds,cameraSeconds)
+VALUES (@g,@u,@b,@c,@m,@v,@r,@th,@st,@ca)
+ON CONFLICT(guildId,userId,bucket,channelId) DO UPDATE SET messages = messages + excluded.messages, voiceSeconds = voiceSeconds + excluded.voiceSeconds,
+  reactions = reactions + excluded.reactions, threadMessages = threadMessages + excluded.threadMessages,
+  streamSeconds = streamSeconds + excluded.streamSeconds, cameraSeconds = cameraSeconds + excluded.cameraSeconds
+`);
+// stmtAddActivity takes every counter; spread this and set the ones that change.
+const NO_ACTIVITY = { m: 0, v: 0, r: 0, th: 0, st: 0, ca: 0 };
+const stmtAddCountedMessage = db.prepare(`
+INSERT OR IGNORE INTO counted_messages (guildId,messageId,userId,channelId,thread,createdAt) VALUES (@g,@id,@u,@c,@th,@at)
+`);
+const stmtGetCountedMessage = db.prepare(`SELECT * FROM counted_messages WHERE guildId = ? AND messageId = ?`);
+const stmtDeleteCountedMessage = db.prepare(`DELETE FROM counted_messages WHERE guildId = ? AND messageId = ?`);
+const stmtDecMessage = db.prepare(`UPDATE users SET messages = MAX(0, messages - 1) WHERE guildId = ? AND userId = ?`);
+const stmtAddCountedReaction = db.prepare(`
+INSERT OR IGNORE INTO counted_reactions (guildId,messageId,userId,emoji,createdAt) VALUES (@g,@id,@u,@e,@at)
+`);
+const stmtPruneCountedMessages = db.prepare(`DELETE FROM counted_messages WHERE createdAt < ?`);
+const stmtPruneCountedReactions = db.prepare(`DELETE FROM counted_reactions WHERE createdAt < ?`);
+const stmtEraseCountedMessages = db.prepare(`DELETE FROM counted_messages WHERE guildId = ? AND userId = ?`);
+const stmtEraseCountedReactions = db.prepare(`DELETE FROM counted_reactions WHERE guildId = ? AND userId = ?`);
+// Activity is bucketed by the hour, so a period ranking reads every bucket from @since (@from rounded down to
+// the hour) and takes back out what the first one already held when a cycle started at @from (see startCycle).
+const PERIOD_ACTIVITY = `(
+  SELECT guildId, userId, bucket, channelId, messages, voiceSeconds, reactions, threadMessages, streamSeconds, cameraSeconds FROM activity
+  UNION ALL
+  SELECT guildId, userId, bucket, channelId, -messages, -voiceSeconds, -reactions, -threadMessages, -streamSeconds, -cameraSeconds
+  FROM cycle_marks WHERE at = @from
+)`;
+// @ch is a JSON array of channel ids, or NULL for every channel.
+const stmtGetPeriodMessages = db.prepare(`
+SELECT a.userId, u.username, SUM(a.messages) AS messages FROM ${PERIOD_ACTIVITY} a
+LEFT JOIN users u ON u.guildId = a.guildId AND u.userId = a.userId
+WHERE a.guildId = @g AND a.bucket >= @since AND (@ch IS NULL OR a.channelId IN (SELECT value FROM json_each(@ch)))
+GROUP BY a.userId HAVING SUM(a.messages) > 0 ORDER BY messages DESC LIMIT @l
+`);
+const stmtGetPeriodVoice = db.prepare(`
+SELECT a.userId, u.username, SUM(a.voiceSeconds) AS voiceSeconds FROM ${PERIOD_ACTIVITY} a
+LEFT JOIN users u ON u.guildId = a.guildId AND u.userId = a.userId
+WHERE a.guildId = @g AND a.bucket >= @since AND (@ch IS NULL OR a.channelId IN (SELECT value FROM json_each(@ch)))
+GROUP BY a.userId ORDER BY voiceSeconds DESC
+`);
+const stmtGetMemberTotals = db.prepare(`
+SELECT COALESCE(SUM(messages), 0) AS messages, COALESCE(SUM(voiceSeconds), 0) AS voiceSeconds FROM activity WHERE guildId = ? AND userId = ?
+`);
+const stmtGetMemberLevel = db.prepare(`SELECT level FROM member_levels WHERE guildId = ? AND userId = ?`);
+const stmtSetMemberLevel = db.prepare(`
+INSERT INTO member_levels (guildId,userId,level) VALUES (?,?,?)
+ON CONFLICT(guildId,userId) DO UPDATE SET level = excluded.level
+`);
+const stmtGetLevelRoles = db.prepare(`SELECT * FROM level_roles WHERE guildId = ? ORDER BY level`);
+const stmtSetLevelRole = db.prepare(`
+INSERT INTO level_roles (guildId,level,roleId) VALUES (?,?,?)
+ON CONFLICT(guildId,level) DO UPDATE SET roleId = excluded.roleId
+`);
+const stmtDeleteLevelRole = db.prepare(`DELETE FROM level_roles WHERE guildId = ? AND level = ?`);
+const stmtGetTeams = db.prepare(`SELECT roleId FROM teams WHERE guildId = ?`);
+const stmtAddTeam = db.prepare(`INSERT OR IGNORE INTO teams (guildId,roleId) VALUES (?,?)`);
+const stmtRemoveTeam = db.prepare(`DELETE FROM teams WHERE guildId = ? AND roleId = ?`);
+const stmtGetOptOuts = db.prepare(`SELECT userId FROM opt_outs WHERE guildId = ?`);
+const stmtAddOptOut = db.prepare(`INSERT OR IGNORE INTO opt_outs (guildId,userId,createdAt) VALUES (?,?,?)`);
+const stmtRemoveOptOut = db.prepare(`DELETE FROM opt_outs WHERE guildId = ? AND userId = ?`);
+const stmtGetDeparted = db.prepare(`SELECT userId FROM departed_members WHERE guildId = ?`);
+const stmtAddDeparted = db.prepare(`INSERT OR IGNORE INTO departed_members (guildId,userId,leftAt) VALUES (?,?,?)`);
+const stmtRemoveDeparted = db.prepare(`DELETE FROM departed_members WHERE guildId = ? AND userId = ?`);
+const stmtGetExpiredDeparted = db.prepare(`
+SELECT d.guildId, d.userId, s.departedPurgeDays AS days FROM departed_members d JOIN guild_settings s ON s.guildId = d.guildId
+WHERE s.departedPurgeDays IS NOT NULL AND d.leftAt <= @now - s.departedPurgeDays * 86400000
+`);
+const stmtEraseUser = db.prepare(`DELETE FROM users WHERE guildId = ? AND userId = ?`);
+const stmtEraseVoiceSessions = db.prepare(`DELETE FROM voice_sessions WHERE guildId = ? AND userId = ?`);
+const stmtEraseMemberLevel = db.prepare(`DELETE FROM member_levels WHERE guildId = ? AND userId = ?`);
+const stmtEraseRejections = db.prepare(`DELETE FROM message_rejections WHERE guildId = ? AND userId = ?`);
+const stmtAnonymizeCycleResults = db.prepare(`
+UPDATE cycle_results SET userId = '', username = NULL WHERE userId = ? AND cycleId IN (SELECT id FROM cycles WHERE guildId = ?)
+`);
+const stmtEraseAuditTarget = db.prepare(`DELETE FROM audit_log WHERE guildId = ? AND targetId = ?`);
+const stmtGetNotifyDm = db.prepare(`SELECT 1 FROM notify_dms WHERE guildId = ? AND userId = ?`);
+const stmtAddNotifyDm = db.prepare(`INSERT OR IGNORE INTO notify_dms (guildId,userId) VALUES (?,?)`);
+const stmtRemoveNotifyDm = db.prepare(`DELETE FROM notify_dms WHERE guildId = ? AND userId = ?`);
+const stmtGetMilestone = db.prepare(`SELECT value FROM member_milestones WHERE guildId = ? AND userId = ? AND type = ?`);
+const stmtSetMilestone = db.prepare(`
+INSERT INTO member_milestones (guildId,userId,type,value) VALUES (?,?,?,?)
+ON CONFLICT(guildId,userId,type) DO UPDATE SET value = excluded.value
+`);
+const stmtEraseMilestones = db.prepare(`DELETE FROM member_milestones WHERE guildId = ? AND userId = ?`);
+const stmtGetBoardScope = db.prepare(`SELECT targetId FROM board_scopes WHERE guildId = ? AND type = ? AND name = ?`);
+const stmtAddBoardScope = db.prepare(`INSERT OR IGNORE INTO board_scopes (guildId,type,name,targetId) VALUES (?,?,?,?)`);
+const stmtRemoveBoardScope = db.prepare(`DELETE FROM board_scopes WHERE guildId = ? AND type = ? AND name = ? AND targetId = ?`);
+const stmtClearBoardScope = db.prepare(`DELETE FROM board_scopes WHERE guildId = ? AND type = ? AND name = ?`);
+const stmtGetGuildSettings = db.prepare(`SELECT * FROM guild_settings WHERE guildId = ?`);
+const stmtInsertGuildSettings = db.prepare(`INSERT OR IGNORE INTO guild_settings (guildId) VALUES (?)`);
+const stmtGetFilters = db.prepare(`SELECT kind, targetId FROM tracking_filters WHERE guildId = ?`);
+const stmtAddFilter = db.prepare(`INSERT OR IGNORE INTO tracking_filters (guildId,kind,targetId) VALUES (?,?,?)`);
+const stmtRemoveFilter = db.prepare(`DELETE FROM tracking_filters WHERE guildId = ? AND targetId = ?`);
+const stmtGetRewardRoles = db.prepare(`SELECT * FROM reward_roles WHERE guildId = ? AND type = ? AND name = ? ORDER BY rank`);
+const stmtSetRewardRole = db.prepare(`
+INSERT INTO reward_roles (guildId,type,name,rank,roleId) VALUES (@g,@t,@n,@r,@role)
+ON CONFLICT(guildId,type,name,rank) DO UPDATE SET roleId = excluded.roleId
+`);
+const stmtDeleteRewardRole = db.prepare(`DELETE FROM reward_roles WHERE guildId = ? AND type = ? AND name = ? AND rank = ?`);
+const stmtClearRewardRoles = db.prepare(`DELETE FROM reward_roles WHERE guildId = ? AND type = ? AND name = ?`);
+const stmtGetRewardHolders = db.prepare(`SELECT * FROM reward_holders WHERE guildId = ? AND type = ? AND name = ?`);
+const stmtAddRewardHolder = db.prepare(`INSERT OR IGNORE INTO reward_holders (guildId,type,name,userId,roleId) VALUES (?,?,?,?,?)`);
+const stmtRemoveRewardHolder = db.prepare(`DELETE FROM reward_holders WHERE guildId = ? AND type = ? AND name = ? AND userId = ? AND roleId = ?`);
+const stmtAddRejection = db.prepare(`
+INSERT INTO message_rejections (guildId,userId,reason,count) VALUES (@g,@u,@r,1)
+ON CONFLICT(guildId,userId,reason) DO UPDATE SET count = count + 1
+`);
+const stmtGetRejections = db.prepare(`SELECT * FROM message_rejections WHERE guildId = ? ORDER BY count DESC`);
+const stmtGetUserRejections = db.prepare(`SELECT * FROM message_rejections WHERE guildId = ? AND userId = ? ORDER BY count DESC`);
+const stmtDeleteUserActivity = db.prepare(`DELETE FROM activity WHERE guildId = ? AND userId = ?`);
+const stmtMarkCycleStart = db.prepare(`
+INSERT INTO cycle_marks (guildId,at,userId,bucket,channelId,messages,voiceSeconds,reactions,threadMessages,streamSeconds,cameraSeconds)
+SELECT guildId, @at, userId, bucket, channelId, messages, voiceSeconds, reactions, threadMessages, streamSeconds, cameraSeconds
+FROM activity WHERE guildId = @g AND bucket = @b
+`);
+// Marks are only read while a board's cycle still starts at them.
+const stmtPruneCycleMarks = db.prepare(`
+DELETE FROM cycle_marks WHERE guildId = @g AND at < @at
+  AND at NOT IN (SELECT startAt FROM leaderboards WHERE guildId = @g AND startAt IS NOT NULL)
+`);
+const stmtEraseCycleMarks = db.prepare(`DELETE FROM cycle_marks WHERE guildId = ? AND userId = ?`);
+// A deleted message leaves the snapshots taken after it in its hour too, so cycles started since keep their count.
+const stmtUncountCycleMarks = db.prepare(`
+UPDATE cycle_marks SET messages = messages - 1, threadMessages = threadMessages - @th
+WHERE guildId = @g AND userId = @u AND bucket = @b AND channelId = @c AND at > @at
+`);
+const stmtInsertAudit = db.prepare(`
+INSERT INTO audit_log (guildId,actorId,action,targetId,relatedId,type,before,after,reason,createdAt)
+VALUES (@g,@actor,@action,@target,@related,@t,@before,@after,@reason,@at)
+`);
+const stmtCountAudit = db.prepare(`SELECT COUNT(*) AS n FROM audit_log WHERE guildId = @g AND (@u IS NULL OR targetId = @u OR relatedId = @u)`);
+const stmtGetAudit = db.prepare(`
+SELECT * FROM audit_log WHERE guildId = @g AND (@u IS NULL OR targetId = @u OR relatedId = @u)
+ORDER BY id DESC LIMIT @l OFFSET @o
+`);
+const stmtGetGuildUsers = db.prepare(`SELECT userId, username, messages, voiceSeconds FROM users WHERE guildId = ? ORDER BY userId`);
+const stmtGetGuildCycles = db.prepare(`SELECT * FROM cycles WHERE guildId = ? ORDER BY endAt`);
+const stmtFindCycle = db.prepare(`SELECT id FROM cycles WHERE guildId = ? AND type = ? AND name = ? AND endAt = ?`);
+const stmtDeleteGuildCycleResults = db.prepare(`DELETE FROM cycle_results WHERE cycleId IN (SELECT id FROM cycles WHERE guildId = ?)`);
+const stmtDeleteGuildCycles = db.prepare(`DELETE FROM cycles WHERE guildId = ?`);
+const stmtInsertCycle = db.prepare(`INSERT INTO cycles (guildId,type,name,cycle,startAt,endAt,metric) VALUES (@g,@t,@n,@cy,@s,@e,@m)`);
+const stmtInsertCycleResult = db.prepare(`INSERT INTO cycle_results (cycleId,rank,userId,username,value) VALUES (@c,@r,@u,@n,@v)`);
+const stmtCountCycles = db.prepare(`SELECT COUNT(*) AS n FROM cycles WHERE guildId = ? AND type = ? AND name = ?`);
+const stmtGetCycleAt = db.prepare(`SELECT * FROM cycles WHERE guildId = ? AND type = ? AND name = ? ORDER BY endAt DESC LIMIT 1 OFFSET ?`);
+const stmtGetCycleResults = db.prepare(`SELECT * FROM cycle_results WHERE cycleId = ? ORDER BY rank LIMIT ?`);
+const stmtGetCycleWinners = db.prepare(`
+SELECT c.id, r.userId FROM cycles c
+LEFT JOIN cycle_results r ON r.cycleId = c.id AND r.rank = 1
+WHERE c.guildId = ? AND c.type = ? AND c.name = ? ORDER BY c.endAt
+`);
+const stmtGetMemberPodiums = db.prepare(`
+SELECT c.type, r.rank, COUNT(*) AS n FROM cycle_results r JOIN cycles c ON c.id = r.cycleId
+WHERE c.guildId = ? AND r.userId = ? GROUP BY c.type, r.rank
+`);
+const stmtGetBestPlacements = db.prepare(`
+SELECT c.type, c.endAt, r.rank, r.value FROM cycle_results r JOIN cycles c ON c.id = r.cycleId
+WHERE c.guildId = ? AND r.userId = ? ORDER BY r.rank, c.endAt DESC LIMIT ?
+`);
+const stmtGetHallOfFame = db.prepare(`
+SELECT r.userId,
+  SUM(r.rank = 1) AS wins, SUM(r.rank = 2) AS seconds, SUM(r.rank = 3) AS thirds
+FROM cycle_results r JOIN cycles c ON c.id = r.cycleId
+WHERE c.guildId = @g AND ((@t IS NULL AND c.type != 'equipes') OR c.type = @t) AND r.rank <= 3 AND r.userId != ''
+GROUP BY r.userId ORDER BY wins DESC, seconds DESC, thirds DESC LIMIT @l
+`);
 
 const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMembers,
     GatewayIntentBits.GuildMessages,
     GatewayIntentBits.MessageContent,
     GatewayIntentBits.GuildVoiceStates,
+    GatewayIntentBits.GuildMessageReactions,
   ],
-  partials: [Partials.Channel],
+  partials: [Partials.Channel, Partials.Message, Partials.Reaction],
 });
 
 const activeVoice = new Map();
-const pendingUpdate = new Map();
+// Go Live and camera sessions, keyed like activeVoice; they only run inside a counted voice session.
+const activeMedia = { stream: new Map(), camera: new Map() };
+const updateQueue = new Map();
+const updateState = new Map();
+const forcedUpdates = new Set();
+// Boards whose cycle is being finalized, keyed like updateQueue; the expiry tick and /leaderboard terminer can overlap.
+const finalizingBoards = new Set();
+const channelBlockedUntil = new Map();
+const updateStats = { sent: 0, skipped: 0, failed: 0, rateLimited: 0 };
+let updatesRunning = 0;
+let updateBlockedUntil = 0;
+let updateTimer = null;
+let updateTimerAt = 0;
+const lastMessages = new Map();
+const pendingImports = new Map();
+const filterCache = new Map();
+const privacyCache = new Map();
+const rankSnapshots = new Map();
+const notifyCooldowns = new Map();
+const notifySent = new Map();
+// When each member in voice next needs a level and milestone check, keyed like activeVoice.
+const voiceChecksDue = new Map();
+
+function fillTemplate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (m, key) => vars[key] ?? m);
+}
+
+// Looks a dotted key up in the language's catalog, falling back to French, and fills its placeholders.
+function t(lang, key, vars = {}) {
+  const lookup = catalog => key.split('.').reduce((node, k) => node?.[k], catalog);
+  const text = lookup(LOCALES[lang]) ?? lookup(LOCALES.fr) ?? key;
+  return typeof text === 'string' ? fillTemplate(text, vars) : text;
+}
 
-function formatDHMS(totalSec) {
+function formatDHMS(totalSec, lang = DEFAULT_LOCALE) {
   totalSec = Math.max(0, Math.floor(totalSec));
   const days = Math.floor(totalSec / 86400);
   totalSec %= 86400;
@@ -104,36 +359,417 @@ function formatDHMS(totalSec) {
   totalSec %= 3600;
   const minutes = Math.floor(totalSec / 60);
   const seconds = totalSec % 60;
-  return `${days} jours, ${hours} heures, ${minutes} minutes, ${seconds} secondes`;
+  return t(lang, 'format.duration', { d: fmtNumber(days, lang), h: hours, m: minutes, s: seconds });
+}
+function fmtNumber(n, lang = DEFAULT_LOCALE) { return (n || 0).toLocaleString(t(lang, 'meta.intl')); }
+
+// Short form of formatDHMS for boards that ask for it: "2j 4h 05m", "1h 20m", "12m 30s".
+function formatCompactDuration(totalSec, lang = DEFAULT_LOCALE) {
+  totalSec = Math.max(0, Math.floor(totalSec));
+  const d = fmtNumber(Math.floor(totalSec / 86400), lang);
+  const h = Math.floor(totalSec % 86400 / 3600);
+  const m = String(Math.floor(totalSec % 3600 / 60)).padStart(2, '0');
+  if (totalSec >= 86400) return t(lang, 'format.compactDays', { d, h, m });
+  if (h) return t(lang, 'format.compactHours', { h, m });
+  return t(lang, 'format.compactMinutes', { m: Number(m), s: String(totalSec % 60).padStart(2, '0') });
+}
+
+function guildLocale(gid) {
+  return (gid && stmtGetGuildSettings.get(gid)?.locale) || DEFAULT_LOCALE;
 }
-function fmtNumber(n) { return (n || 0).toLocaleString('en-US'); }
 
 const MEDALS = ['🥇','🥈','🥉'];
 const COLOR_MARKERS = ['🟢','🔴','🔵','🟣','🟡','🟤','⚫️','⚪️','🟤','🟩'];
+const DEFAULT_LINE_TEMPLATE = '• {medaille} {marqueur} {mention} : `{valeur}`';
+const DEFAULT_TEAM_LINE_TEMPLATE = '• {medaille} {marqueur} {mention} : `{valeur}`\n{details}';
+
+const CYCLES = ['daily', 'weekly', 'monthly', 'custom', 'never'];
+const PERIODS = ['cycle', 'today', '7d', '30d', 'all'];
+const BOARD_TYPES = ['message', 'vocal', 'global', 'reactions', 'fils', 'stream', 'camera'];
+const BOARD_TYPE_CHOICES = [
+  { name:'message', value:'message' },{ name:'vocal', value:'vocal' },{ name:'global (XP)', value:'global' },
+  { name:'réactions', value:'reactions' },{ name:'fils et forums', value:'fils' },{ name:'stream (Go Live)', value:'stream' },{ name:'caméra', value:'camera' },
+];
+// Activity column ranked by each member board; global and team boards derive their score from messages and voice.
+const ACTIVITY_COLUMNS = { message:'messages', vocal:'voiceSeconds', reactions:'reactions', fils:'threadMessages', stream:'streamSeconds', camera:'cameraSeconds' };
+// Boards ranking time rather than counts, with the kind of voice ledger session that feeds them.
+const SESSION_KINDS = { vocal:'voice', stream:'stream', camera:'camera' };
+const MEDIA_KINDS = ['stream', 'camera'];
+// stmtAddActivity parameter credited by each kind of media session.
+const MEDIA_ACTIVITY_PARAMS = { stream:'st', camera:'ca' };
+// How long message and reaction ids are kept to undo deletions and ignore repeated reactions.
+const COUNTED_EVENTS_KEEP_MS = 30 * DAY_MS;
+const TEAM_BOARD_CHOICE = { name:'équipes', value:'equipes' };
+// Member stats a guild's teams can be ranked on.
+const TEAM_METRICS = ['message', 'vocal', 'global'];
+const LEVEL_STEPS = [1, 5, 10, 20, 50];
+const MAX_TEAMS = 25;
+
+function describeCycle(cfg, lang = DEFAULT_LOCALE) {
+  const cycle = cfg.cycle || 'weekly';
+  if (cycle === 'never') return t(lang, 'cycles.describeNever');
+  if (cycle === 'custom') return t(lang, 'cycles.describeCustom', { duration: formatDHMS((cfg.cycleMs || WEEK_MS) / 1000, lang) });
+  const label = t(lang, `cycles.${cycle}.label`);
+  if (!cfg.anchorTime) return label;
+  const vars = { label, time: cfg.anchorTime, tz: cfg.timezone || DEFAULT_TIMEZONE };
+  if (cycle === 'weekly') return t(lang, 'cycles.anchorWeekly', { ...vars, day: t(lang, 'weekdays')[cfg.anchorDay ?? 1] });
+  if (cycle === 'monthly') return t(lang, 'cycles.anchorMonthly', vars);
+  return t(lang, 'cycles.anchorDaily', vars);
+}
+
+function timerMessageText(endAt, pausedAt = null, lang = DEFAULT_LOCALE) {
+  if (pausedAt) {
+    if (!endAt) return t(lang, 'timer.paused');
+    return t(lang, 'timer.pausedLeft', { duration: formatDHMS(Math.max(0, endAt - pausedAt) / 1000, lang) });
+  }
+  if (!endAt) return t(lang, 'timer.permanent');
+  return t(lang, 'timer.countdown', { time: `<t:${Math.floor(endAt / 1000)}:R>` });
+}
+
+function boardTitle(type, name, lang = DEFAULT_LOCALE) {
+  return name ? t(lang, 'board.named', { type: t(lang, `types.${type}`), name }) : t(lang, `types.${type}`);
+}
+
+// Board names end up in button ids, which are split on ':'.
+function parseBoardName(raw) {
+  const name = (raw || '').trim();
+  return name.includes(':') ? null : name;
+}
+
+// Shared by /apparence modifier and apercu.
+function addAppearanceOptions(sc) {
+  return sc
+    .addStringOption(opt => opt.setName('type').setDescription('Type de classement').setRequired(true)
+      .addChoices(...BOARD_TYPE_CHOICES, TEAM_BOARD_CHOICE))
+    .addStringOption(opt => opt.setName('nom').setDescription('Nom du leaderboard (principal par défaut)').setMaxLength(32).setRequired(false))
+    .addStringOption(opt => opt.setName('titre').setDescription('Titre de l\'embed (« - » pour le titre par défaut)').setMaxLength(256).setRequired(false))
+    .addStringOption(opt => opt.setName('couleur').setDescription('Couleur hexadécimale, ex : #5865f2').setRequired(false))
+    .addStringOption(opt => opt.setName('miniature').setDescription('Lien d\'image, ou « serveur » pour l\'icône du serveur').setRequired(false))
+    .addIntegerOption(opt => opt.setName('entrees').setDescription(`Nombre de membres affichés (défaut : ${LEADERBOARD_TOP})`).setMinValue(1).setMaxValue(25).setRequired(false))
+    .addStringOption(opt => opt.setName('ligne').setDescription('Modèle de ligne : {rang} {medaille} {marqueur} {mention} {pseudo} {valeur}, \\n = saut').setMaxLength(200).setRequired(false))
+    .addBooleanOption(opt => opt.setName('duree_compacte').setDescription('Durées courtes (2j 4h 05m)').setRequired(false))
+    .addStringOption(opt => opt.setName('pied').setDescription('Pied de page : {cycle} {reste} {top}').setMaxLength(200).setRequired(false));
+}
+
+// Reads the /apparence options that were given; "-" puts a field back to its default.
+function readAppearanceOptions(options, lang) {
+  const look = {};
+  for (const [opt, key] of [['titre','title'], ['miniature','thumbnail'], ['ligne','lineTemplate'], ['pied','footerText']]) {
+    const value = options.getString(opt)?.trim();
+    if (value !== undefined) look[key] = value === '-' || value === '' ? null : value;
+  }
+  if (look.lineTemplate) look.lineTemplate = look.lineTemplate.replace(/\\n/g, '\n');
+  if (look.thumbnail === 'server') look.thumbnail = 'serveur';
+  if (look.thumbnail && look.thumbnail !== 'serveur' && !/^https?:\/\/\S+$/.test(look.thumbnail))
+    return { error: t(lang, 'appearance.invalidThumbnail') };
+
+  const color = options.getString('couleur')?.trim();
+  if (color === '-') look.color = null;
+  else if (color) {
+    const hex = color.replace(/^#/, '');
+    if (!/^[0-9a-f]{6}$/i.test(hex)) return { error: t(lang, 'appearance.invalidColor') };
+    look.color = parseInt(hex, 16);
+  }
+
+  const count = options.getInteger('entrees');
+  if (count !== null) look.topCount = count;
+  const compact = options.getBoolean('duree_compacte');
+  if (compact !== null) look.compactDuration = compact ? 1 : 0;
+  return { look };
+}
+
+const COMMAND_VARS = { defaultTimezone: DEFAULT_TIMEZONE, defaultTop: LEADERBOARD_TOP };
+
+// The commands are declared in French; other catalogs translate names, descriptions and choice
+// labels in their `commands` section, keyed by the French text.
+function localizeCommand(node, isChoice = false) {
+  for (const catalog of Object.values(LOCALES)) {
+    const texts = catalog.commands;
+    if (!texts) continue;
+    const name = (isChoice ? texts.choices : texts.names)?.[node.name];
+    const description = node.description && Object.entries(texts.descriptions || {})
+      .find(([source]) => fillTemplate(source, COMMAND_VARS) === node.description)?.[1];
+    for (const locale of catalog.meta.discord) {
+      if (name) node.name_localizations = { ...node.name_localizations, [locale]: name };
+      if (description) node.description_localizations = { ...node.description_localizations, [locale]: fillTemplate(description, COMMAND_VARS) };
+    }
+  }
+  node.options?.forEach(option => localizeCommand(option));
+  node.choices?.forEach(choice => localizeCommand(choice, true));
+  return node;
+}
 
 const commands = [
   new SlashCommandBuilder()
     .setName('classement')
-    .setDescription('Voir le classement vocal ou message')
-    .addStringOption(opt => opt.setName('type').setDescription('message ou vocal').setRequired(true)
-      .addChoices({ name:'message', value:'message' },{ name:'vocal', value:'vocal' })),
+    .setDescription('Voir un classement du serveur')
+    .addStringOption(opt => opt.setName('type').setDescription('Type de classement').setRequired(true)
+      .addChoices(...BOARD_TYPE_CHOICES, TEAM_BOARD_CHOICE))
+    .addStringOption(opt => opt.setName('periode').setDescription('Période couverte (défaut : cycle en cours)').setRequired(false)
+      .addChoices(...PERIODS.map(value => ({ name: t('fr', `periods.${value}`), value }))))
+    .addStringOption(opt => opt.setName('nom').setDescription('Nom du leaderboard (principal par défaut)').setMaxLength(32).setRequired(false)),
+  new SlashCommandBuilder()
+    .setName('confidentialite')
+    .setDescription('Gérer ce que le bot enregistre sur vous')
+    .addSubcommand(sc => sc.setName('voir').setDescription('Voir ce que le bot enregistre sur vous'))
+    .addSubcommand(sc => sc.setName('desactiver').setDescription('Ne plus être compté et disparaître des classements'))
+    .addSubcommand(sc => sc.setName('activer').setDescription('Être de nouveau compté dans les classements'))
+    .addSubcommand(sc => sc.setName('supprimer').setDescription('Effacer toutes vos données sur ce serveur')),
+  new SlashCommandBuilder()
+    .setName('profil')
+    .setDescription('Voir votre rang et vos statistiques (ou celles d\'un membre)')
+    .addUserOption(opt => opt.setName('membre').setDescription('Membre (vous par défaut)').setRequired(false)),
+  new SlashCommandBuilder()
+    .setName('palmares')
+    .setDescription('Consulter les cycles passés et les vainqueurs')
+    .addSubcommand(sc => sc.setName('historique').setDescription('Parcourir les cycles terminés')
+      .addStringOption(opt => opt.setName('type').setDescription('Type de classement').setRequired(true)
+        .addChoices(...BOARD_TYPE_CHOICES, TEAM_BOARD_CHOICE))
+      .addStringOption(opt => opt.setName('nom').setDescription('Nom du leaderboard (principal par défaut)').setMaxLength(32).setRequired(false)))
+    .addSubcommand(sc => sc.setName('membre').setDescription('Podiums et séries de victoires d\'un membre')
+      .addUserOption(opt => opt.setName('membre').setDescription('Membre (vous par défaut)').setRequired(false)))
+    .addSubcommand(sc => sc.setName('hall-of-fame').setDescription('Les membres les plus titrés, tous cycles confondus')
+      .addStringOption(opt => opt.setName('type').setDescription('Type de classement (tous par défaut)').setRequired(false)
+        .addChoices(...BOARD_TYPE_CHOICES))),
   new SlashCommandBuilder()
     .setName('setleaderboard')
-    .setDescription('Configurer un salon pour leaderboard (owner only). Démarre le cycle (test 4min).')
-    .addStringOption(opt => opt.setName('type').setDescription('message ou vocal').setRequired(true)
-      .addChoices({ name:'message', value:'message' },{ name:'vocal', value:'vocal' }))
-    .addChannelOption(opt => opt.setName('salon').setDescription('Salon de publication').setRequired(true)),
+    .setDescription('Configurer un salon pour leaderboard (gestionnaires). Démarre le cycle.')
+    .addStringOption(opt => opt.setName('type').setDescription('Type de classement').setRequired(true)
+      .addChoices(...BOARD_TYPE_CHOICES, TEAM_BOARD_CHOICE))
+    .addChannelOption(opt => opt.setName('salon').setDescription('Salon de publication').setRequired(true))
+    .addStringOption(opt => opt.setName('cycle').setDescription('Fréquence de réinitialisation (défaut : hebdomadaire)').setRequired(false)
+      .addChoices(
+        { name:'quotidien', value:'daily' },
+        { name:'hebdomadaire', value:'weekly' },
+        { name:'mensuel', value:'monthly' },
+        { name:'personnalisé', value:'custom' },
+        { name:'permanent (jamais)', value:'never' }
+      ))
+    .addStringOption(opt => opt.setName('duree').setDescription('Durée du cycle personnalisé (ex : 3j12h, 90m)').setRequired(false))
+    .addStringOption(opt => opt.setName('heure').setDescription('Heure fixe de réinitialisation HH:MM (aligne le cycle sur le calendrier)').setRequired(false))
+    .addStringOption(opt => opt.setName('jour').setDescription('Jour de réinitialisation (cycle hebdomadaire avec heure fixe)').setRequired(false)
+      .addChoices(...t('fr', 'weekdays').map((name, i) => ({ name, value: String(i) }))))
+    .addStringOption(opt => opt.setName('fuseau').setDescription(`Fuseau horaire IANA (défaut : ${DEFAULT_TIMEZONE})`).setRequired(false))
+    .addStringOption(opt => opt.setName('nom').setDescription('Nom d\'un leaderboard supplémentaire (ex : Gaming vocal)').setMaxLength(32).setRequired(false))
+    .addChannelOption(opt => opt.setName('portee').setDescription('Limiter un leaderboard nommé à ce salon ou cette catégorie').setRequired(false)
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildVoice, ChannelType.GuildStageVoice, ChannelType.GuildForum, ChannelType.GuildCategory)),
+  new SlashCommandBuilder()
+    .setName('leaderboard')
+    .setDescription('Gérer le cycle d\'un leaderboard configuré (gestionnaires)')
+    .addSubcommand(sc => sc.setName('pause').setDescription('Mettre le cycle en pause et geler le compte à rebours')
+      .addStringOption(opt => opt.setName('type').setDescription('Type de classement').setRequired(true)
+        .addChoices(...BOARD_TYPE_CHOICES, TEAM_BOARD_CHOICE))
+      .addStringOption(opt => opt.setName('nom').setDescription('Nom du leaderboard (principal par défaut)').setMaxLength(32).setRequired(false)))
+    .addSubcommand(sc => sc.setName('reprendre').setDescription('Reprendre un cycle en pause')
+      .addStringOption(opt => opt.setName('type').setDescription('Type de classement').setRequired(true)
+        .addChoices(...BOARD_TYPE_CHOICES, TEAM_BOARD_CHOICE))
+      .addStringOption(opt => opt.setName('nom').setDescription('Nom du leaderboard (principal par défaut)').setMaxLength(32).setRequired(false)))
+    .addSubcommand(sc => sc.setName('terminer').setDescription('Clôturer le cycle maintenant et en démarrer un nouveau')
+      .addStringOption(opt => opt.setName('type').setDescription('Type de classement').setRequired(true)
+        .addChoices(...BOARD_TYPE_CHOICES, TEAM_BOARD_CHOICE))
+      .addStringOption(opt => opt.setName('nom').setDescription('Nom du leaderboard (principal par défaut)').setMaxLength(32).setRequired(false)))
+    .addSubcommand(sc => sc.setName('arreter').setDescription('Arrêter et désenregistrer le leaderboard')
+      .addStringOption(opt => opt.setName('type').setDescription('Type de classement').setRequired(true)
+        .addChoices(...BOARD_TYPE_CHOICES, TEAM_BOARD_CHOICE))
+      .addStringOption(opt => opt.setName('nom').setDescription('Nom du leaderboard (principal par défaut)').setMaxLength(32).setRequired(false)))
+    .addSubcommand(sc => sc.setName('portee').setDescription('Ajouter ou retirer un salon ou une catégorie de la portée d\'un leaderboard nommé')
+      .addStringOption(opt => opt.setName('type').setDescription('Type de classement').setRequired(true)
+        .addChoices(...BOARD_TYPE_CHOICES, TEAM_BOARD_CHOICE))
+      .addStringOption(opt => opt.setName('nom').setDescription('Nom du leaderboard').setMaxLength(32).setRequired(true))
+      .addChannelOption(opt => opt.setName('salon').setDescription('Salon ou catégorie').setRequired(true)
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildVoice, ChannelType.GuildStageVoice, ChannelType.GuildForum, ChannelType.GuildCategory))
+      .addBooleanOption(opt => opt.setName('retirer').setDescription('Retirer au lieu d\'ajouter').setRequired(false)))
+    .addSubcommand(sc => sc.setName('statut').setDescription('État des leaderboards du serveur')),
+  new SlashCommandBuilder()
+    .setName('apparence')
+    .setDescription('Personnaliser l\'embed d\'un leaderboard (gestionnaires)')
+    .addSubcommand(sc => addAppearanceOptions(sc.setName('modifier').setDescription('Modifier et publier l\'apparence du leaderboard')))
+    .addSubcommand(sc => addAppearanceOptions(sc.setName('apercu').setDescription('Prévisualiser une apparence sans l\'enregistrer')))
+    .addSubcommand(sc => sc.setName('reinitialiser').setDescription('Revenir à l\'apparence par défaut')
+      .addStringOption(opt => opt.setName('type').setDescription('Type de classement').setRequired(true)
+        .addChoices(...BOARD_TYPE_CHOICES, TEAM_BOARD_CHOICE))
+      .addStringOption(opt => opt.setName('nom').setDescription('Nom du leaderboard (principal par défaut)').setMaxLength(32).setRequired(false))),
+  new SlashCommandBuilder()
+    .setName('stats')
+    .setDescription('Corriger les statistiques d\'un membre (gestionnaires)')
+    .addSubcommand(sc => sc.setName('ajouter').setDescription('Ajouter des messages ou du temps vocal')
+      .addUserOption(opt => opt.setName('membre').setDescription('Membre').setRequired(true))
+      .addStringOption(opt => opt.setName('type').setDescription('message ou vocal').setRequired(true)
+        .addChoices({ name:'message', value:'message' },{ name:'vocal', value:'vocal' }))
+      .addStringOption(opt => opt.setName('valeur').setDescription('Nombre de messages, ou durée (ex : 2h30m, minutes si nombre seul)').setRequired(true))
+      .addStringOption(opt => opt.setName('raison').setDescription('Raison (journal)').setRequired(false)))
+    .addSubcommand(sc => sc.setName('retirer').setDescription('Retirer des messages ou du temps vocal')
+      .addUserOption(opt => opt.setName('membre').setDescription('Membre').setRequired(true))
+      .addStringOption(opt => opt.setName('type').setDescription('message ou vocal').setRequired(true)
+        .addChoices({ name:'message', value:'message' },{ name:'vocal', value:'vocal' }))
+      .addStringOption(opt => opt.setName('valeur').setDescription('Nombre de messages, ou durée (ex : 2h30m, minutes si nombre seul)').setRequired(true))
+      .addStringOption(opt => opt.setName('raison').setDescription('Raison (journal)').setRequired(false)))
+    .addSubcommand(sc => sc.setName('definir').setDescription('Fixer les messages ou le temps vocal')
+      .addUserOption(opt => opt.setName('membre').setDescription('Membre').setRequired(true))
+      .addStringOption(opt => opt.setName('type').setDescription('message ou vocal').setRequired(true)
+        .addChoices({ name:'message', value:'message' },{ name:'vocal', value:'vocal' }))
+      .addStringOption(opt => opt.setName('valeur').setDescription('Nombre de messages, ou durée (ex : 2h30m, minutes si nombre seul)').setRequired(true))
+      .addStringOption(opt => opt.setName('raison').setDescription('Raison (journal)').setRequired(false)))
+    .addSubcommand(sc => sc.setName('reinitialiser').setDescription('Remettre à zéro les statistiques du cycle d\'un membre')
+      .addUserOption(opt => opt.setName('membre').setDescription('Membre').setRequired(true))
+      .addStringOption(opt => opt.setName('raison').setDescription('Raison (journal)').setRequired(false)))
+    .addSubcommand(sc => sc.setName('transferer').setDescription('Transférer toutes les statistiques d\'un compte vers un autre')
+      .addUserOption(opt => opt.setName('source').setDescription('Ancien compte').setRequired(true))
+      .addUserOption(opt => opt.setName('cible').setDescription('Nouveau compte').setRequired(true))
+      .addStringOption(opt => opt.setName('raison').setDescription('Raison (journal)').setRequired(false)))
+    .addSubcommand(sc => sc.setName('journal').setDescription('Historique des modifications manuelles')
+      .addUserOption(opt => opt.setName('membre').setDescription('Filtrer par membre').setRequired(false))
+      .addIntegerOption(opt => opt.setName('page').setDescription('Page').setMinValue(1).setRequired(false))),
+  new SlashCommandBuilder()
+    .setName('donnees')
+    .setDescription('Exporter, importer ou effacer les données du classement (gestionnaires)')
+    .addSubcommand(sc => sc.setName('exporter').setDescription('Télécharger les statistiques, la configuration et les cycles archivés')
+      .addStringOption(opt => opt.setName('format').setDescription('Format du fichier').setRequired(true)
+        .addChoices({ name:'CSV', value:'csv' },{ name:'JSON', value:'json' })))
+    .addSubcommand(sc => sc.setName('importer').setDescription('Importer un fichier CSV ou JSON (aperçu avant validation)')
+      .addAttachmentOption(opt => opt.setName('fichier').setDescription('Export JSON, ou CSV avec userId,messages,voiceSeconds').setRequired(true))
+      .addStringOption(opt => opt.setName('mode').setDescription('fusion : ajoute aux statistiques · remplacement : écrase').setRequired(true)
+        .addChoices({ name:'fusion', value:'merge' },{ name:'remplacement', value:'replace' })))
+    .addSubcommand(sc => sc.setName('web').setDescription('Publier ou non les classements sur la page web et l\'API du bot')
+      .addBooleanOption(opt => opt.setName('actif').setDescription('Rendre les classements de ce serveur publics').setRequired(true)))
+    .addSubcommand(sc => sc.setName('effacer').setDescription('Effacer toutes les données d\'un membre')
+      .addUserOption(opt => opt.setName('membre').setDescription('Membre').setRequired(true))
+      .addStringOption(opt => opt.setName('raison').setDescription('Raison (journal)').setRequired(false)))
+    .addSubcommand(sc => sc.setName('departs').setDescription('Effacer les données des membres partis après un délai')
+      .addIntegerOption(opt => opt.setName('jours').setDescription('Jours avant effacement (vide : masqués sans effacement)').setMinValue(0).setMaxValue(365).setRequired(false))),
+  new SlashCommandBuilder()
+    .setName('antispam')
+    .setDescription('Règles anti-farm pour le comptage des messages (gestionnaires)')
+    .addSubcommand(sc => sc.setName('config').setDescription('Modifier les règles (0 ou faux pour désactiver)')
+      .addIntegerOption(opt => opt.setName('cooldown').setDescription('Secondes minimum entre deux messages comptés').setMinValue(0).setRequired(false))
+      .addIntegerOption(opt => opt.setName('longueur_min').setDescription('Nombre minimum de caractères').setMinValue(0).setRequired(false))
+      .addIntegerOption(opt => opt.setName('mots_min').setDescription('Nombre minimum de mots').setMinValue(0).setRequired(false))
+      .addBooleanOption(opt => opt.setName('doublons').setDescription('Ignorer les messages identiques ou quasi identiques au précédent').setRequired(false))
+      .addBooleanOption(opt => opt.setName('emojis_seuls').setDescription('Ignorer les messages composés uniquement d\'emojis').setRequired(false))
+      .addBooleanOption(opt => opt.setName('stickers_seuls').setDescription('Ignorer les messages composés uniquement d\'un sticker').setRequired(false))
+      .addBooleanOption(opt => opt.setName('pieces_jointes_seules').setDescription('Ignorer les messages sans texte avec pièce jointe').setRequired(false))
+      .addBooleanOption(opt => opt.setName('suppressions').setDescription('Décompter les messages supprimés (envoyés depuis moins de 30 jours)').setRequired(false)))
+    .addSubcommand(sc => sc.setName('voir').setDescription('Afficher les règles actuelles'))
+    .addSubcommand(sc => sc.setName('stats').setDescription('Messages refusés et raisons')
+      .addUserOption(opt => opt.setName('membre').setDescription('Détail pour un membre').setRequired(false))),
+  new SlashCommandBuilder()
+    .setName('regles-vocal')
+    .setDescription('Règles de comptage du temps vocal (gestionnaires)')
+    .addSubcommand(sc => sc.setName('config').setDescription('Choisir quand le temps vocal n\'est pas compté')
+      .addBooleanOption(opt => opt.setName('micro_coupe').setDescription('Micro coupé par le membre').setRequired(false))
+      .addBooleanOption(opt => opt.setName('casque_coupe').setDescription('Casque coupé par le membre').setRequired(false))
+      .addBooleanOption(opt => opt.setName('mute_serveur').setDescription('Rendu muet ou sourd par le serveur').setRequired(false))
+      .addBooleanOption(opt => opt.setName('salon_afk').setDescription('Dans le salon AFK du serveur').setRequired(false))
+      .addBooleanOption(opt => opt.setName('seul').setDescription('Seul dans le salon (ou uniquement avec des bots)').setRequired(false)))
+    .addSubcommand(sc => sc.setName('voir').setDescription('Afficher les règles actuelles')),
+  new SlashCommandBuilder()
+    .setName('filtres')
+    .setDescription('Salons, catégories et rôles pris en compte (gestionnaires)')
+    .addSubcommand(sc => sc.setName('ajouter-salon').setDescription('Ajouter un salon textuel, vocal ou une catégorie à la liste')
+      .addChannelOption(opt => opt.setName('salon').setDescription('Salon ou catégorie').setRequired(true)))
+    .addSubcommand(sc => sc.setName('retirer-salon').setDescription('Retirer un salon ou une catégorie de la liste')
+      .addChannelOption(opt => opt.setName('salon').setDescription('Salon ou catégorie').setRequired(true)))
+    .addSubcommand(sc => sc.setName('ajouter-role').setDescription('Ajouter un rôle à la liste')
+      .addRoleOption(opt => opt.setName('role').setDescription('Rôle').setRequired(true)))
+    .addSubcommand(sc => sc.setName('retirer-role').setDescription('Retirer un rôle de la liste')
+      .addRoleOption(opt => opt.setName('role').setDescription('Rôle').setRequired(true)))
+    .addSubcommand(sc => sc.setName('mode').setDescription('Exclure les éléments listés, ou ne compter qu\'eux')
+      .addStringOption(opt => opt.setName('mode').setDescription('Mode de la liste').setRequired(true)
+        .addChoices({ name:'exclusion', value:'exclude' },{ name:'autorisation', value:'allow' })))
+    .addSubcommand(sc => sc.setName('voir').setDescription('Afficher les listes actuelles')),
+  new SlashCommandBuilder()
+    .setName('recompenses')
+    .setDescription('Rôles attribués automatiquement aux vainqueurs du cycle (gestionnaires)')
+    .addSubcommand(sc => sc.setName('position').setDescription('Rôle pour une place précise')
+      .addStringOption(opt => opt.setName('type').setDescription('Type de classement').setRequired(true)
+        .addChoices(...BOARD_TYPE_CHOICES))
+      .addIntegerOption(opt => opt.setName('position').setDescription('Place récompensée').setMinValue(1).setMaxValue(25).setRequired(true))
+      .addRoleOption(opt => opt.setName('role').setDescription('Rôle attribué').setRequired(true))
+      .addStringOption(opt => opt.setName('nom').setDescription('Nom du leaderboard (principal par défaut)').setMaxLength(32).setRequired(false)))
+    .addSubcommand(sc => sc.setName('top').setDescription('Un même rôle pour tout le top N (remplace la configuration)')
+      .addStringOption(opt => opt.setName('type').setDescription('Type de classement').setRequired(true)
+        .addChoices(...BOARD_TYPE_CHOICES))
+      .addIntegerOption(opt => opt.setName('nombre').setDescription('Nombre de places récompensées').setMinValue(1).setMaxValue(25).setRequired(true))
+      .addRoleOption(opt => opt.setName('role').setDescription('Rôle attribué').setRequired(true))
+      .addStringOption(opt => opt.setName('nom').setDescription('Nom du leaderboard (principal par défaut)').setMaxLength(32).setRequired(false)))
+    .addSubcommand(sc => sc.setName('retirer').setDescription('Supprimer la récompense d\'une place (ou toutes)')
+      .addStringOption(opt => opt.setName('type').setDescription('Type de classement').setRequired(true)
+        .addChoices(...BOARD_TYPE_CHOICES))
+      .addIntegerOption(opt => opt.setName('position').setDescription('Place (toutes par défaut)').setMinValue(1).setMaxValue(25).setRequired(false))
+      .addStringOption(opt => opt.setName('nom').setDescription('Nom du leaderboard (principal par défaut)').setMaxLength(32).setRequired(false)))
+    .addSubcommand(sc => sc.setName('salon-logs').setDescription('Salon où signaler les erreurs d\'attribution')
+      .addChannelOption(opt => opt.setName('salon').setDescription('Salon de logs').setRequired(true)))
+    .addSubcommand(sc => sc.setName('voir').setDescription('Afficher les récompenses configurées')),
+  new SlashCommandBuilder()
+    .setName('niveaux')
+    .setDescription('XP du classement global, niveaux et annonces (gestionnaires)')
+    .addSubcommand(sc => sc.setName('config').setDescription('Modifier le barème d\'XP et la courbe de niveaux')
+      .addIntegerOption(opt => opt.setName('points_message').setDescription('XP par message compté').setMinValue(0).setMaxValue(1000).setRequired(false))
+      .addIntegerOption(opt => opt.setName('points_minute').setDescription('XP par minute de vocal comptée').setMinValue(0).setMaxValue(1000).setRequired(false))
+      .addIntegerOption(opt => opt.setName('niveau_base').setDescription('XP nécessaire pour atteindre le niveau 1').setMinValue(1).setMaxValue(1000000).setRequired(false))
+      .addNumberOption(opt => opt.setName('croissance').setDescription('Exposant de la courbe : XP du niveau n = base × n^croissance').setMinValue(1).setMaxValue(3).setRequired(false)))
+    .addSubcommand(sc => sc.setName('annonces').setDescription('Salon où annoncer les passages de niveau')
+      .addChannelOption(opt => opt.setName('salon').setDescription('Salon des annonces (vide pour désactiver)').setRequired(false)))
+    .addSubcommand(sc => sc.setName('role').setDescription('Rôle attribué en atteignant un niveau')
+      .addIntegerOption(opt => opt.setName('niveau').setDescription('Niveau requis').setMinValue(1).setMaxValue(1000).setRequired(true))
+      .addRoleOption(opt => opt.setName('role').setDescription('Rôle attribué (vide pour retirer)').setRequired(false)))
+    .addSubcommand(sc => sc.setName('voir').setDescription('Afficher la configuration actuelle')),
+  new SlashCommandBuilder()
+    .setName('equipes')
+    .setDescription('Rôles en compétition sur les leaderboards d\'équipes (gestionnaires)')
+    .addSubcommand(sc => sc.setName('ajouter').setDescription('Faire concourir un rôle comme équipe')
+      .addRoleOption(opt => opt.setName('role').setDescription('Rôle de l\'équipe').setRequired(true)))
+    .addSubcommand(sc => sc.setName('retirer').setDescription('Retirer une équipe de la compétition')
+      .addRoleOption(opt => opt.setName('role').setDescription('Rôle de l\'équipe').setRequired(true)))
+    .addSubcommand(sc => sc.setName('mesure').setDescription('Choisir la statistique qui départage les équipes')
+      .addStringOption(opt => opt.setName('type').setDescription('Statistique additionnée sur les membres de chaque équipe').setRequired(true)
+        .addChoices(...BOARD_TYPE_CHOICES.filter(c => TEAM_METRICS.includes(c.value)))))
+    .addSubcommand(sc => sc.setName('voir').setDescription('Afficher les équipes et leur score du cycle en cours')),
+  new SlashCommandBuilder()
+    .setName('notifications')
+    .setDescription('Notifications de paliers et de changements de rang (gestionnaires)')
+    .addSubcommand(sc => sc.setName('config').setDescription('Choisir les notifications envoyées et leur fréquence')
+      .addBooleanOption(opt => opt.setName('paliers').setDescription('Annoncer les paliers de messages et d\'heures de vocal').setRequired(false))
+      .addBooleanOption(opt => opt.setName('podium').setDescription('Annoncer les entrées et sorties du top 3').setRequired(false))
+      .addBooleanOption(opt => opt.setName('depassements').setDescription('Prévenir un membre quand il se fait dépasser').setRequired(false))
+      .addIntegerOption(opt => opt.setName('delai').setDescription('Minutes entre deux notifications du même type pour un membre').setMinValue(0).setMaxValue(1440).setRequired(false))
+      .addIntegerOption(opt => opt.setName('limite').setDescription('Notifications maximum par heure, salon et MP compris').setMinValue(1).setMaxValue(100).setRequired(false)))
+    .addSubcommand(sc => sc.setName('salon').setDescription('Salon où publier les notifications')
+      .addChannelOption(opt => opt.setName('salon').setDescription('Salon des notifications (vide pour désactiver)').setRequired(false)))
+    .addSubcommand(sc => sc.setName('paliers').setDescription('Choisir les paliers annoncés')
+      .addStringOption(opt => opt.setName('messages').setDescription('Paliers de messages, ex : 1000, 5000, 10000').setRequired(false))
+      .addStringOption(opt => opt.setName('vocal').setDescription('Paliers d\'heures de vocal, ex : 10, 50, 100').setRequired(false))
+      .addBooleanOption(opt => opt.setName('reinitialiser').setDescription('Revenir aux paliers par défaut').setRequired(false)))
+    .addSubcommand(sc => sc.setName('voir').setDescription('Afficher la configuration actuelle')),
+  new SlashCommandBuilder()
+    .setName('alertes')
+    .setDescription('Vos notifications de paliers et de classement')
+    .addBooleanOption(opt => opt.setName('mp').setDescription('Les recevoir en message privé plutôt que dans le salon du serveur').setRequired(true)),
+  new SlashCommandBuilder()
+    .setName('permissions')
+    .setDescription('Qui peut gérer les classements de ce serveur')
+    .addSubcommand(sc => sc.setName('role-admin').setDescription('Rôle autorisé en plus de « Gérer le serveur » (vide pour retirer)')
+      .addRoleOption(opt => opt.setName('role').setDescription('Rôle administrateur du bot').setRequired(false)))
+    .addSubcommand(sc => sc.setName('voir').setDescription('Afficher la configuration actuelle')),
+  new SlashCommandBuilder()
+    .setName('langue')
+    .setDescription('Langue du bot sur ce serveur')
+    .addStringOption(opt => opt.setName('langue').setDescription('Nouvelle langue (affiche la langue actuelle si vide)').setRequired(false)
+      .addChoices(...Object.entries(LOCALES).map(([value, catalog]) => ({ name: catalog.meta.name, value })))),
   new SlashCommandBuilder()
     .setName('bot-name')
     .setDescription('Changer le nom du bot (owner only)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
     .addStringOption(opt => opt.setName('name').setDescription('Nouveau nom').setRequired(true)),
   new SlashCommandBuilder()
     .setName('bot-avatar')
     .setDescription('Changer l\'avatar du bot (owner only)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
     .addStringOption(opt => opt.setName('photo_lien').setDescription('Lien de la photo').setRequired(true)),
   new SlashCommandBuilder()
     .setName('bot-presence')
     .setDescription('Changer la présence du bot (owner only)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
     .addStringOption(opt => opt.setName('type').setDescription('Type de présence').setRequired(true)
       .addChoices(
         { name:'dnd', value:'dnd' },
@@ -144,6 +780,7 @@ const commands = [
   new SlashCommandBuilder()
     .setName('bot-status')
     .setDescription('Changer le status/activité du bot (owner only)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
     .addStringOption(opt => opt.setName('type').setDescription('Type d\'activité').setRequired(true)
       .addChoices(
         { name:'streaming', value:'streaming' },
@@ -153,10 +790,18 @@ const commands = [
         { name:'competing', value:'competing' }
       ))
     .addStringOption(opt => opt.setName('texte').setDescription('Texte de l\'activité (optionnel pour streaming)').setRequired(false)),
+  new SlashCommandBuilder()
+    .setName('bot-stats')
+    .setDescription('Afficher les compteurs de mise à jour des leaderboards (owner only)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+  new SlashCommandBuilder()
+    .setName('bot-backup')
+    .setDescription('Sauvegarder la base de données immédiatement (owner only)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
   new SlashCommandBuilder()
     .setName('help')
     .setDescription('Afficher l\'aide des commandes'),
-].map(c => c.toJSON());
+].map(c => localizeCommand(c.toJSON()));
 
 const rest = new REST({ version:'10' }).setToken(TOKEN);
 (async () => {
@@ -168,415 +813,2714 @@ const rest = new REST({ version:'10' }).setToken(TOKEN);
   }
 })();
 
+client.rest.on('rateLimited', onRateLimited);
+
 client.once('ready', async () => {
   console.log(`Logged in as ${client.user.tag}`);
 
-  client.guilds.cache.forEach(guild => {
-    guild.voiceStates.cache.forEach(state => {
-      if (state.channel && !state.member.user.bot) {
-        const key = `${guild.id}:${state.id}`;
-        const row = stmtGetUser.get(guild.id, state.id);
-        if (row && row.voiceJoin) {
-          activeVoice.set(key, new Date(row.voiceJoin * 1000));  // FIX: multiply by 1000 to convert seconds to ms
-        } else {
-          const now = new Date();
-          activeVoice.set(key, now);
-          stmtUpsertUser.run({ g: guild.id, u: state.id, n: state.member.displayName || state.member.user.username });
-          stmtSetVoiceJoin.run({ start: Math.floor(now.getTime()/1000), g: guild.id, u: state.id });
-        }
-      }
-    });
-  });
+  // Members in voice come with the guilds, so sessions are reconciled before the slower full member fetch.
+  reconcileVoiceSessions();
+  await Promise.all(client.guilds.cache.map(guild => guild.members.fetch().catch(e => console.error('members fetch err', guild.id, e))));
+
+  reconcileDepartedMembers();
+  purgeDepartedMembers();
+  if (HTTP_PORT) startHttpServer();
 
+  setInterval(() => {
+    const now = Date.now();
+    stmtCheckpointVoiceSessions.run(now);
+    // Voice XP only reaches `activity` when a session closes, so level-ups and milestones in voice are checked
+    // here, once the running session may have crossed the member's next threshold.
+    voiceChecksDue.forEach((due, key) => { if (!activeVoice.has(key)) voiceChecksDue.delete(key); });
+    activeVoice.forEach((start, key) => {
+      if ((voiceChecksDue.get(key) ?? 0) > now) return;
+      const [gid, uid] = key.split(':');
+      voiceChecksDue.set(key, nextVoiceCheckAt(gid, uid, now));
+      checkLevelUp(gid, uid).catch(e => console.error('checkLevelUp err', e));
+      checkMilestones(gid, uid).catch(e => console.error('checkMilestones err', e));
+    });
+  }, VOICE_CHECKPOINT_MS);
   setInterval(processLeaderboardsExpiry, 15*1000);
+  setInterval(purgeDepartedMembers, HOUR_MS);
+  setInterval(pruneCountedEvents, HOUR_MS);
+  setInterval(pruneNotifyThrottles, HOUR_MS);
+  setInterval(pruneLastMessages, HOUR_MS);
   setInterval(() => {
     const rows = stmtGetAllLeaderboards.all();
-    for (const r of rows) scheduleLeaderboardUpdate(r.guildId, r.type, 0);
-  }, 30*1000);
+    for (const r of rows) scheduleBoardUpdate(r.guildId, r.type, r.name, 0);
+  }, UPDATE_REFRESH_MS);
+  if (BACKUP_INTERVAL_HOURS > 0) {
+    setInterval(() => {
+      backupDatabase('auto').then(rotateBackups).catch(e => console.error('Scheduled backup failed', e));
+    }, BACKUP_INTERVAL_HOURS * HOUR_MS);
+  }
 });
 
-client.on('messageCreate', msg => {
-  if (!msg.guild || msg.author.bot) return;
-  stmtUpsertUser.run({ g: msg.guild.id, u: msg.author.id, n: msg.member?.displayName || msg.author.username });
-  stmtIncMessage.run({ g: msg.guild.id, u: msg.author.id });
-  scheduleLeaderboardUpdate(msg.guild.id, 'message');
+// Messages in threads and forum posts count as messages of the parent channel and also feed the `fils` boards.
+const recordMessage = db.transaction((gid, uid, channelId, at, messageId = null, thread = false) => {
+  stmtIncMessage.run({ g: gid, u: uid });
+  stmtAddActivity.run({ ...NO_ACTIVITY, g: gid, u: uid, b: Math.floor(at / HOUR_MS) * HOUR_MS, c: channelId, m: 1, th: thread ? 1 : 0 });
+  if (messageId) stmtAddCountedMessage.run({ g: gid, id: messageId, u: uid, c: channelId, th: thread ? 1 : 0, at });
 });
 
-client.on('voiceStateUpdate', (o,n) => {
-  if (n.member?.user.bot) return;
-  const gid = n.guild.id;
-  const uid = n.id;
-  const key = `${gid}:${uid}`;
+// Takes a deleted message back out of the hour it was counted in. Every board except the unnamed message
+// board ranks that activity from its own cycle start, so each of them only loses the message if it was sent
+// during its cycle; the unnamed board's counter on `users` is decremented under the same condition.
+const uncountMessage = db.transaction((gid, counted) => {
+  const cfg = stmtGetLeaderboard.get(gid, 'message', '');
+  if (!cfg || counted.createdAt >= cfg.startAt) stmtDecMessage.run(gid, counted.userId);
+  const bucket = { g: gid, u: counted.userId, b: Math.floor(counted.createdAt / HOUR_MS) * HOUR_MS, c: counted.channelId };
+  stmtAddActivity.run({ ...NO_ACTIVITY, ...bucket, m: -1, th: counted.thread ? -1 : 0 });
+  stmtUncountCycleMarks.run({ ...bucket, th: counted.thread ? 1 : 0, at: counted.createdAt });
+  stmtDeleteCountedMessage.run(gid, counted.messageId);
+});
 
-  if (!o.channel && n.channel) {
-    const start = new Date();
-    activeVoice.set(key, start);
-    stmtUpsertUser.run({ g: gid, u: uid, n: n.member.displayName || n.member.user.username });
-    stmtSetVoiceJoin.run({ start: Math.floor(start.getTime()/1000), g: gid, u: uid });
-    scheduleLeaderboardUpdate(gid, 'vocal');
-    return;
+// Credits a finished stretch of voice, stream or camera time, split across the hourly activity buckets it covers.
+function creditActivityTime(gid, uid, channelId, startMs, endMs, param = 'v') {
+  for (let t = startMs; t < endMs;) {
+    const bucket = Math.floor(t / HOUR_MS) * HOUR_MS;
+    const next = Math.min(bucket + HOUR_MS, endMs);
+    const seconds = Math.floor(next / 1000) - Math.floor(t / 1000);
+    if (seconds > 0) stmtAddActivity.run({ ...NO_ACTIVITY, g: gid, u: uid, b: bucket, c: channelId, [param]: seconds });
+    t = next;
   }
+}
 
-  if (o.channel && n.channel && o.channelId !== n.channelId) {
-    const start = activeVoice.get(key) || (o.joinedTimestamp ? new Date(o.joinedTimestamp) : null);
-    if (start) {
-      stmtAddVoiceSeconds.run({ inc: Math.floor((Date.now()-start.getTime())/1000), g: gid, u: uid });
-    }
-    const newStart = new Date();
-    activeVoice.set(key, newStart);
-    stmtSetVoiceJoin.run({ start: Math.floor(newStart.getTime()/1000), g: gid, u: uid });
-    scheduleLeaderboardUpdate(gid, 'vocal');
-    return;
+const creditVoiceSession = db.transaction((gid, uid, channelId, startMs, endMs) => {
+  stmtAddVoiceSeconds.run({ inc: Math.max(0, Math.floor(endMs / 1000) - Math.floor(startMs / 1000)), g: gid, u: uid });
+  creditActivityTime(gid, uid, channelId, startMs, endMs);
+});
+
+const GUILD_SETTING_COLUMNS = new Set(db.prepare(`PRAGMA table_info(guild_settings)`).all().map(c => c.name));
+const settingStatements = new Map();
+
+function getGuildSettings(gid) {
+  let row = stmtGetGuildSettings.get(gid);
+  if (!row) {
+    stmtInsertGuildSettings.run(gid);
+    row = stmtGetGuildSettings.get(gid);
   }
+  return row;
+}
 
-  if (o.channel && !n.channel) {
-    const start = activeVoice.get(key) || (o.joinedTimestamp ? new Date(o.joinedTimestamp) : null);
-    if (start) {
-      stmtAddVoiceSeconds.run({ inc: Math.floor((Date.now()-start.getTime())/1000), g: gid, u: uid });
-    }
-    activeVoice.delete(key);
-    stmtSetVoiceJoin.run({ start: null, g: gid, u: uid });
-    scheduleLeaderboardUpdate(gid, 'vocal');
+function setGuildSetting(gid, column, value) {
+  if (column === 'guildId' || !GUILD_SETTING_COLUMNS.has(column)) throw new Error(`Unknown guild setting ${column}`);
+  if (!settingStatements.has(column)) {
+    settingStatements.set(column, db.prepare(`
+      INSERT INTO guild_settings (guildId, ${column}) VALUES (?, ?)
+      ON CONFLICT(guildId) DO UPDATE SET ${column} = excluded.${column}
+    `));
   }
-});
+  settingStatements.get(column).run(gid, value);
+}
 
-async function buildLeaderboardEmbed(guildId, type) {
-  let rows = type === 'message'
-    ? stmtGetTopMessages.all(guildId, 100)
-    : stmtGetTopVoice.all(guildId, 100).map(r => {
-        let total = r.voiceSeconds || 0;
-        const key = `${guildId}:${r.userId}`;
-        if (activeVoice.has(key)) total += Math.floor((Date.now()-activeVoice.get(key))/1000);
-        else if (r.voiceJoin) total += Math.floor((Date.now()-r.voiceJoin*1000)/1000);
-        return { ...r, totalSeconds: total };
-      }).sort((a,b)=> (b.totalSeconds||0)-(a.totalSeconds||0));
+function getFilters(gid) {
+  if (!filterCache.has(gid)) {
+    const f = { mode: getGuildSettings(gid).filterMode, text: new Set(), voice: new Set(), category: new Set(), role: new Set() };
+    for (const r of stmtGetFilters.all(gid)) f[r.kind]?.add(r.targetId);
+    filterCache.set(gid, f);
+  }
+  return filterCache.get(gid);
+}
 
-  const slice = rows.slice(0, LEADERBOARD_TOP);
+function channelKind(channel) {
+  if (channel.type === ChannelType.GuildCategory) return 'category';
+  if (channel.type === ChannelType.GuildVoice || channel.type === ChannelType.GuildStageVoice) return 'voice';
+  return 'text';
+}
 
-  const lines = slice.map((d,i)=>{
-    const medal = i < 3 ? MEDALS[i] + ' ' : '▫️ ';
-    const marker = COLOR_MARKERS[i % COLOR_MARKERS.length];
-    if (type === 'message') return `• ${medal}${marker} <@${d.userId}> : \`${fmtNumber(d.messages)} messages\``;
-    return `• ${medal}${marker} <@${d.userId}> : \`${formatDHMS(d.totalSeconds)}\``;
-  });
+// Threads are judged by their parent channel; a listed category covers every channel inside it.
+function isTrackedChannel(gid, channel) {
+  if (!channel) return false;
+  const f = getFilters(gid);
+  const base = channel.isThread?.() && channel.parent ? channel.parent : channel;
+  const set = f[channelKind(base)];
+  const listed = set.has(channel.id) || set.has(base.id) || (base.parentId && f.category.has(base.parentId));
+  if (f.mode === 'allow') return !(set.size || f.category.size) || listed;
+  return !listed;
+}
 
-  const description = lines.map(l => `${l}\n\n──────────`).join('\n').trim();
+function isTrackedMember(gid, member) {
+  if (!member?.roles) return true;
+  const f = getFilters(gid);
+  if (!f.role.size) return true;
+  const hasListed = member.roles.cache.some(r => f.role.has(r.id));
+  return f.mode === 'allow' ? hasListed : !hasListed;
+}
 
-  const embed = new EmbedBuilder()
-    .setTitle(type === 'message'
-      ? '📊 Statistiques Textuelles'
-      : '🎙️ Statistiques Vocales')
-    .setDescription(description || 'Aucun résultat')
-    .setColor(0x2f2b36)
-    .setTimestamp();
+function getPrivacy(gid) {
+  if (!privacyCache.has(gid)) {
+    privacyCache.set(gid, {
+      optedOut: new Set(stmtGetOptOuts.all(gid).map(r => r.userId)),
+      departed: new Set(stmtGetDeparted.all(gid).map(r => r.userId)),
+    });
+  }
+  return privacyCache.get(gid);
+}
 
-  return { embed, rows };
+function isOptedOut(gid, userId) {
+  return getPrivacy(gid).optedOut.has(userId);
 }
 
-async function buildConfiguredEmbed(gid, type) {
-  const lb = stmtGetLeaderboard.get(gid, type);
-  const { embed, rows } = await buildLeaderboardEmbed(gid, type);
+// Opted-out and departed members are hidden from every ranking, as are members excluded by the role filters.
+function isHiddenMember(gid, userId) {
+  const privacy = getPrivacy(gid);
+  if (privacy.optedOut.has(userId) || privacy.departed.has(userId)) return true;
+  const member = client.guilds.cache.get(gid)?.members.cache.get(userId);
+  return !!member && !isTrackedMember(gid, member);
+}
 
-  if (lb?.startAt && lb?.endAt) {
-    const remainingMs = Math.max(0, lb.endAt - Date.now());
-    const d = Math.floor(remainingMs / 86400000);
-    const h = Math.floor((remainingMs % 86400000) / 3600000);
-    const m = Math.floor((remainingMs % 3600000) / 60000);
-    embed.setFooter({ text: `Fin du cycle dans : ${d} jours, ${h} heures, ${m} minutes — Top 3 sera récompensé` });
-  } else {
-    embed.setFooter({ text: 'Cycle non démarré' });
-  }
+// Once a member has been quiet for longer than the cooldown (and at least an hour), their last message is forgotten.
+function pruneLastMessages() {
+  const now = Date.now();
+  lastMessages.forEach((last, key) => {
+    const cooldown = (getGuildSettings(key.split(':')[0]).msgCooldown || 0) * 1000;
+    if (now - last.at >= Math.max(cooldown, HOUR_MS)) lastMessages.delete(key);
+  });
+}
 
-  if (lb?.winnersText) {
-    const base = embed.data.description || '';
-    const appended = `${base}\n\n**Les vainqueurs de la semaine :**\n${lb.winnersText}`;
-    embed.setDescription(appended);
+client.on('messageCreate', msg => {
+  if (!msg.guild || msg.author.bot) return;
+  if (!isTrackedChannel(msg.guild.id, msg.channel) || !isTrackedMember(msg.guild.id, msg.member)) return;
+  if (isOptedOut(msg.guild.id, msg.author.id)) return;
+  const rejected = checkMessageRules(msg, getGuildSettings(msg.guild.id), lastMessages);
+  if (rejected) {
+    stmtAddRejection.run({ g: msg.guild.id, u: msg.author.id, r: rejected });
+    return;
   }
+  stmtUpsertUser.run({ g: msg.guild.id, u: msg.author.id, n: msg.member?.displayName || msg.author.username });
+  const thread = !!msg.channel.isThread?.();
+  const channelId = thread && msg.channel.parentId ? msg.channel.parentId : msg.channelId;
+  recordMessage(msg.guild.id, msg.author.id, channelId, msg.createdTimestamp || Date.now(), msg.id, thread);
+  scheduleLeaderboardUpdate(msg.guild.id, 'message');
+  checkLevelUp(msg.guild.id, msg.author.id).catch(e => console.error('checkLevelUp err', e));
+  checkMilestones(msg.guild.id, msg.author.id).catch(e => console.error('checkMilestones err', e));
+});
 
-  return { embed, rows };
+function pruneCountedEvents() {
+  const before = Date.now() - COUNTED_EVENTS_KEEP_MS;
+  stmtPruneCountedMessages.run(before);
+  stmtPruneCountedReactions.run(before);
 }
 
-function scheduleLeaderboardUpdate(g,t,d=DEBOUNCE_MS){
-  const k = `${g}:${t}`;
-  if (pendingUpdate.has(k)) clearTimeout(pendingUpdate.get(k));
-  pendingUpdate.set(k, setTimeout(()=>doLeaderboardUpdate(g,t), d));
+function handleMessageDeleted(gid, messageId) {
+  if (!gid || !getGuildSettings(gid).msgUncountDeleted) return false;
+  const counted = stmtGetCountedMessage.get(gid, messageId);
+  if (!counted) return false;
+  uncountMessage(gid, counted);
+  return true;
 }
 
-async function doLeaderboardUpdate(gid, type) {
-  const cfg = stmtGetLeaderboard.get(gid, type);
-  if (!cfg?.active) return;
-  try {
-    const ch = await client.channels.fetch(cfg.channelId).catch(()=>null);
-    if (!ch?.isTextBased()) return;
+client.on('messageDelete', msg => {
+  if (handleMessageDeleted(msg.guildId, msg.id)) scheduleLeaderboardUpdate(msg.guildId, 'message');
+});
 
-    const { embed } = await buildConfiguredEmbed(gid, type);
+client.on('messageDeleteBulk', (messages, channel) => {
+  let changed = false;
+  messages.forEach(msg => { if (handleMessageDeleted(channel.guildId, msg.id)) changed = true; });
+  if (changed) scheduleLeaderboardUpdate(channel.guildId, 'message');
+});
 
-    if (cfg.messageId) {
-      const msg = await ch.messages.fetch(cfg.messageId).catch(()=>null);
-      if (msg) return msg.edit({ embeds:[embed] });
-    }
+// A reaction counts once per member, message and emoji, so removing and adding it again earns nothing.
+client.on('messageReactionAdd', (reaction, user) => {
+  const message = reaction.message;
+  const guild = message.guild;
+  if (!guild || user.bot) return;
+  const member = guild.members.cache.get(user.id);
+  if (!message.channel || !isTrackedChannel(guild.id, message.channel) || !isTrackedMember(guild.id, member)) return;
+  if (isOptedOut(guild.id, user.id)) return;
+  const now = Date.now();
+  const emoji = reaction.emoji.id || reaction.emoji.name;
+  if (!stmtAddCountedReaction.run({ g: guild.id, id: message.id, u: user.id, e: emoji, at: now }).changes) return;
+  stmtUpsertUser.run({ g: guild.id, u: user.id, n: member?.displayName || user.username });
+  const channelId = message.channel.isThread?.() && message.channel.parentId ? message.channel.parentId : message.channelId;
+  stmtAddActivity.run({ ...NO_ACTIVITY, g: guild.id, u: user.id, b: Math.floor(now / HOUR_MS) * HOUR_MS, c: channelId, r: 1 });
+  scheduleLeaderboardUpdate(guild.id, 'reactions');
+});
 
-    const sent = await ch.send({ embeds:[embed] });
-    stmtUpdateLeaderboardMessage.run(sent.id, gid, type);
-  } catch(e){ console.error('doLeaderboardUpdate err', e); }
+// Whether a member's current voice state earns time under the guild's voice rules.
+function isVoiceCounting(state, settings) {
+  if (!state?.channel || state.member?.user.bot) return false;
+  if (!isTrackedChannel(state.guild.id, state.channel) || !isTrackedMember(state.guild.id, state.member)) return false;
+  if (isOptedOut(state.guild.id, state.id)) return false;
+  if (settings.voiceIgnoreAfk && state.channelId === state.guild.afkChannelId) return false;
+  if (settings.voiceIgnoreSelfMute && state.selfMute) return false;
+  if (settings.voiceIgnoreSelfDeaf && state.selfDeaf) return false;
+  if (settings.voiceIgnoreServerMute && (state.serverMute || state.serverDeaf)) return false;
+  if (settings.voiceIgnoreAlone && !state.channel.members.some(m => !m.user.bot && m.id !== state.id)) return false;
+  return true;
 }
 
-async function processLeaderboardsExpiry(){
-  const rows = stmtGetAllLeaderboards.all();
-  for (const lb of rows){
-    if (lb.endAt && Date.now() >= lb.endAt){
-      await finalizeAndResetLeaderboard(lb.guildId, lb.type);
-    }
-  }
+// Every counted stretch of voice, stream or camera time is a ledger row; it is credited once, when the row is closed.
+const closeVoiceSession = db.transaction((gid, uid, startMs, endMs, reason, kind = 'voice') => {
+  const channelId = stmtGetOpenVoiceSession.get(gid, uid, kind)?.channelId ?? '';
+  if (kind === 'voice') creditVoiceSession(gid, uid, channelId, startMs, endMs);
+  else creditActivityTime(gid, uid, channelId, startMs, endMs, MEDIA_ACTIVITY_PARAMS[kind]);
+  stmtCloseVoiceSession.run({ g: gid, u: uid, k: kind, e: endMs, r: reason });
+});
+
+function sessionMap(kind) {
+  return kind === 'voice' ? activeVoice : activeMedia[kind];
 }
 
-async function finalizeAndResetLeaderboard(gid, type) {
-  const cfg = stmtGetLeaderboard.get(gid, type);
-  if (!cfg) return;
+function startVoiceSession(state, start = new Date()) {
+  const gid = state.guild.id;
+  activeVoice.set(`${gid}:${state.id}`, start);
+  stmtUpsertUser.run({ g: gid, u: state.id, n: state.member.displayName || state.member.user.username });
+  stmtOpenVoiceSession.run({ g: gid, u: state.id, c: state.channelId, k: 'voice', s: start.getTime() });
+}
 
-  const ch = await client.channels.fetch(cfg.channelId).catch(()=>null);
-  if (!ch?.isTextBased()) return;
+function startMediaSession(state, kind, start = new Date()) {
+  activeMedia[kind].set(`${state.guild.id}:${state.id}`, start);
+  stmtOpenVoiceSession.run({ g: state.guild.id, u: state.id, c: state.channelId, k: kind, s: start.getTime() });
+}
+
+function stopMediaSession(gid, uid, kind, reason) {
+  const key = `${gid}:${uid}`;
+  const start = activeMedia[kind].get(key);
+  if (start) closeVoiceSession(gid, uid, start.getTime(), Date.now(), reason, kind);
+  activeMedia[kind].delete(key);
+}
 
-  let rows = type === 'message'
-    ? stmtGetTopMessages.all(gid, 100)
-    : stmtGetTopVoice.all(gid, 100).map(r=>{
-        let total=r.voiceSeconds||0;
-        const k=`${gid}:${r.userId}`;
-        if(activeVoice.has(k)) total+=Math.floor((Date.now()-activeVoice.get(k))/1000);
-        else if(r.voiceJoin) total+=Math.floor((Date.now()-r.voiceJoin*1000)/1000);
-        return {...r, totalSeconds:total};
-      }).sort((a,b)=> (b.totalSeconds||0)-(a.totalSeconds||0));
+// Stream and camera sessions end with the voice session they belong to.
+function stopVoiceSession(gid, uid, reason = 'leave') {
+  const key = `${gid}:${uid}`;
+  for (const kind of MEDIA_KINDS) stopMediaSession(gid, uid, kind, reason);
+  const start = activeVoice.get(key);
+  if (start) closeVoiceSession(gid, uid, start.getTime(), Date.now(), reason);
+  activeVoice.delete(key);
+}
 
-  const top3 = rows.slice(0,3);
-  const winnersLines = top3.map((d,i)=>{
-    const m = MEDALS[i] || '•';
-    if(type==='message') return `${m} <@${d.userId}> — \`${fmtNumber(d.messages)} messages\``;
-    return `${m} <@${d.userId}> — \`${formatDHMS(d.totalSeconds)}\``;
+// Closes the member's running sessions at "now" and opens new ones, so stored totals are exact before an edit.
+function flushVoiceSession(gid, uid) {
+  const key = `${gid}:${uid}`;
+  const now = new Date();
+  for (const kind of ['voice', ...MEDIA_KINDS]) {
+    const start = sessionMap(kind).get(key);
+    if (!start) continue;
+    const channelId = stmtGetOpenVoiceSession.get(gid, uid, kind)?.channelId ?? null;
+    closeVoiceSession(gid, uid, start.getTime(), now.getTime(), 'split', kind);
+    sessionMap(kind).set(key, now);
+    stmtOpenVoiceSession.run({ g: gid, u: uid, c: channelId, k: kind, s: now.getTime() });
+  }
+}
+
+// On startup, sessions left open by a crash are closed at their last checkpoint rather than trusting their start
+// time, then members currently in voice start fresh sessions. Sessions this process already opened are left alone.
+function reconcileVoiceSessions() {
+  let recovered = 0;
+  for (const s of stmtGetOpenVoiceSessions.all()) {
+    if (sessionMap(s.kind).get(`${s.guildId}:${s.userId}`)?.getTime() === s.startAt) continue;
+    closeVoiceSession(s.guildId, s.userId, s.startAt, Math.max(s.startAt, s.checkpointAt), 'recovered', s.kind);
+    recovered++;
+  }
+  if (recovered) console.log(`Recovered ${recovered} open voice session(s) at their last checkpoint.`);
+
+  client.guilds.cache.forEach(guild => {
+    const settings = getGuildSettings(guild.id);
+    guild.voiceStates.cache.forEach(state => {
+      if (state.channel && state.member && !state.member.user.bot) refreshVoiceState(state, settings);
+    });
+    scheduleLeaderboardUpdate(guild.id, 'vocal');
   });
+}
 
-  const winnersText = winnersLines.join('\n');
-  stmtUpdateWinnersText.run(winnersText, gid, type);
+function closeAllVoiceSessions(reason) {
+  activeVoice.forEach((start, key) => {
+    const [gid, uid] = key.split(':');
+    stopVoiceSession(gid, uid, reason);
+  });
+}
 
-  const { embed } = await buildConfiguredEmbed(gid,type);
+// Opens or closes the member's session to match the rules; returns true when the voice session changed.
+function refreshVoiceState(state, settings) {
+  const counting = isVoiceCounting(state, settings);
+  const active = activeVoice.has(`${state.guild.id}:${state.id}`);
+  let changed = true;
+  if (counting && !active) startVoiceSession(state);
+  else if (!counting && active) stopVoiceSession(state.guild.id, state.id, state.channel ? 'rules' : 'leave');
+  else changed = false;
+  refreshMediaSessions(state, counting);
+  return changed;
+}
 
-  if (cfg.messageId) {
-    const msg = await ch.messages.fetch(cfg.messageId).catch(()=>null);
-    if (msg) await msg.edit({ embeds:[embed] }).catch(()=>{});
-    else {
-      const s = await ch.send({ embeds:[embed] });
-      stmtUpdateLeaderboardMessage.run(s.id,gid,type);
-    }
-  } else {
-    const s = await ch.send({ embeds:[embed] });
-    stmtUpdateLeaderboardMessage.run(s.id,gid,type);
+// Go Live and camera time count while the member's voice time counts and the flag is on.
+function refreshMediaSessions(state, counting) {
+  const key = `${state.guild.id}:${state.id}`;
+  for (const kind of MEDIA_KINDS) {
+    const on = counting && !!(kind === 'stream' ? state.streaming : state.selfVideo);
+    const active = activeMedia[kind].has(key);
+    if (on && !active) startMediaSession(state, kind);
+    else if (!on && active) stopMediaSession(state.guild.id, state.id, kind, state.channel ? 'stop' : 'leave');
+    else continue;
+    scheduleLeaderboardUpdate(state.guild.id, kind);
   }
+}
+
+function refreshGuildVoice(guild) {
+  const settings = getGuildSettings(guild.id);
+  let changed = false;
+  guild.voiceStates.cache.forEach(state => {
+    if (state.member && !state.member.user.bot && refreshVoiceState(state, settings)) changed = true;
+  });
+  if (changed) scheduleLeaderboardUpdate(guild.id, 'vocal');
+}
 
-  if (type === 'message') stmtResetCountsMessages.run(gid);
-  else stmtResetCountsVoice.run(gid);
+client.on('voiceStateUpdate', (o,n) => {
+  if (n.member?.user.bot) return;
+  const gid = n.guild.id;
+  const uid = n.id;
+  const key = `${gid}:${uid}`;
+  const settings = getGuildSettings(gid);
+  let changed = false;
 
-  if (type === 'vocal') {
-    activeVoice.forEach((start, key) => {
-      const [guildId, uid] = key.split(':');
-      if (guildId === gid) {
-        const now = new Date();
-        activeVoice.set(key, now);
-        stmtSetVoiceJoin.run({ start: Math.floor(now.getTime() / 1000), g: guildId, u: uid });  // Mettre à jour la DB
-      }
+  if (o.channelId && o.channelId !== n.channelId && activeVoice.has(key)) {
+    stopVoiceSession(gid, uid, n.channelId ? 'move' : 'leave');
+    changed = true;
+  }
+  if (refreshVoiceState(n, settings)) changed = true;
+
+  // Joining or leaving can change whether the other members are alone.
+  for (const channel of new Set([o.channel, n.channel])) {
+    channel?.members.forEach(member => {
+      if (member.id !== uid && !member.user.bot && refreshVoiceState(member.voice, settings)) changed = true;
     });
   }
 
-  const startAt = Date.now();
-  const endAt = startAt + WEEK_MS;
-  stmtUpsertLeaderboard.run({ g:gid, t:type, c:cfg.channelId, m:cfg.messageId || null, tm: cfg.timerMessageId || null, s:startAt, e:endAt, w:winnersText, a:1 });
-  if (cfg.timerMessageId) {
-    const timerMsg = await ch.messages.fetch(cfg.timerMessageId).catch(()=>null);
-    if (timerMsg) {
-      const newUnix = Math.floor(endAt / 1000);
-      await timerMsg.edit(`⏳ Le classement sera réinitialisé <t:${newUnix}:R>`).catch(e => console.error('Error updating timer message:', e));
-    }
+  if (changed) {
+    scheduleLeaderboardUpdate(gid, 'vocal');
+    checkLevelUp(gid, uid).catch(e => console.error('checkLevelUp err', e));
+    checkMilestones(gid, uid).catch(e => console.error('checkMilestones err', e));
   }
+});
 
-  scheduleLeaderboardUpdate(gid,type,500);
+// Same query as stmtGetPeriodMessages for the other activity columns, prepared on first use.
+const periodStatements = new Map();
+function periodStatement(column) {
+  if (!periodStatements.has(column)) {
+    periodStatements.set(column, db.prepare(`
+      SELECT a.userId, u.username, SUM(a.${column}) AS ${column} FROM ${PERIOD_ACTIVITY} a
+      LEFT JOIN users u ON u.guildId = a.guildId AND u.userId = a.userId
+      WHERE a.guildId = @g AND a.bucket >= @since AND (@ch IS NULL OR a.channelId IN (SELECT value FROM json_each(@ch)))
+      GROUP BY a.userId HAVING SUM(a.${column}) > 0 ORDER BY ${column} DESC LIMIT @l
+    `));
+  }
+  return periodStatements.get(column);
 }
 
-async function buildClassementPaginated(gid,type,page=1){
-  let rows = type==='message'
-    ? stmtGetTopMessages.all(gid,100)
-    : stmtGetTopVoice.all(gid,100).map(r=>{
-        let total=r.voiceSeconds||0;
-        const k=`${gid}:${r.userId}`;
-        if(activeVoice.has(k)) total+=Math.floor((Date.now()-activeVoice.get(k))/1000);
-        else if(r.voiceJoin) total+=Math.floor((Date.now()-r.voiceJoin*1000)/1000);
-        return {...r,totalSeconds:total};
-      }).sort((a,b)=> (b.totalSeconds||0)-(a.totalSeconds||0));
+// Rankings over a period come from the hourly activity buckets, exact from a cycle start; live voice, stream
+// and camera time is clipped to the period. `channels` limits them to a board's scope (null for the whole guild).
+function getPeriodRanking(guildId, type, limit, sinceMs, channels = null) {
+  const since = Math.floor(sinceMs / HOUR_MS) * HOUR_MS;
+  const ch = channels && JSON.stringify(channels);
+  const params = { g: guildId, since, from: sinceMs, ch };
+  if (type === 'message') return stmtGetPeriodMessages.all({ ...params, l: limit });
+  if (!SESSION_KINDS[type]) return periodStatement(ACTIVITY_COLUMNS[type]).all({ ...params, l: limit });
+
+  const column = ACTIVITY_COLUMNS[type];
+  const sessions = sessionMap(SESSION_KINDS[type]);
+  const voiceStates = client.guilds.cache.get(guildId)?.voiceStates.cache;
+  const isLive = uid => sessions.has(`${guildId}:${uid}`) && (!channels || channels.includes(voiceStates?.get(uid)?.channelId));
+  const rows = type === 'vocal' ? stmtGetPeriodVoice.all(params) : periodStatement(column).all({ ...params, l: -1 });
+  const seen = new Set(rows.map(r => r.userId));
+  sessions.forEach((start, key) => {
+    const [g, uid] = key.split(':');
+    if (g !== guildId || seen.has(uid) || !isLive(uid)) return;
+    const u = stmtGetUser.get(guildId, uid);
+    rows.push({ userId: uid, username: u?.username, [column]: 0 });
+  });
 
-  const pages = Math.max(1, Math.ceil(rows.length / RESULTS_PER_PAGE));
-  const safe = Math.min(Math.max(1,page),pages);
-  const start = (safe-1)*RESULTS_PER_PAGE;
-  const slice = rows.slice(start,start+RESULTS_PER_PAGE);
+  const ranked = rows.map(r => {
+    let total = r[column] || 0;
+    const key = `${guildId}:${r.userId}`;
+    if (isLive(r.userId)) total += Math.floor((Date.now() - Math.max(sessions.get(key).getTime(), sinceMs)) / 1000);
+    return { ...r, totalSeconds: total };
+  }).filter(r => r.totalSeconds > 0).sort((a,b)=> b.totalSeconds - a.totalSeconds);
+  return limit < 0 ? ranked : ranked.slice(0, limit);
+}
 
-  const lines = slice.map((d,i)=>{
-    const index = start+i;
-    const medal = index<3 ? MEDALS[index]+' ' : '▫️ ';
-    const marker = COLOR_MARKERS[index % COLOR_MARKERS.length];
-    if(type==='message') return `• ${medal}${marker} <@${d.userId}> : \`${fmtNumber(d.messages)} messages\``;
-    return `• ${medal}${marker} <@${d.userId}> : \`${formatDHMS(d.totalSeconds)}\``;
+// Channel ids a named board counts, with its categories expanded to their current channels; null when unscoped.
+function getBoardChannels(guildId, type, name) {
+  const targets = stmtGetBoardScope.all(guildId, type, name).map(r => r.targetId);
+  if (!targets.length) return null;
+  const channels = new Set(targets);
+  client.guilds.cache.get(guildId)?.channels.cache.forEach(c => {
+    if (c.parentId && targets.includes(c.parentId)) channels.add(c.id);
   });
+  return [...channels];
+}
 
-  const description = lines.map(l=>`${l}\n\n──────────`).join('\n').trim();
+// `name` picks a named board; the unnamed board of each type is the default. Hidden members are dropped
+// before `limit` applies, so a board still lists `limit` visible members.
+function getRanking(guildId, type, limit = 100, period = 'cycle', name = '') {
+  const rows = getRawRanking(guildId, type, -1, period, name).filter(r => !isHiddenMember(guildId, r.userId));
+  return limit < 0 ? rows : rows.slice(0, limit);
+}
 
-  const embed = new EmbedBuilder()
-    .setTitle(type==='message'
-      ? '📊 Statistiques Textuelles'
-      : '🎙️ Statistiques Vocales')
-    .setDescription(description || 'Aucun résultat')
-    .setColor(0x2f2b36)
-    .setFooter({ text:`Page ${safe}/${pages}` })
-    .setTimestamp();
+// The unnamed message and voice boards rank the cycle counters on `users`; named boards rank the activity
+// of their scope since their own cycle start. Every other
+// type always ranks activity, since its cycle has no counter of its own.
+function getRawRanking(guildId, type, limit, period, name = '') {
+  const cfg = stmtGetLeaderboard.get(guildId, type, name);
+  const since = period === 'cycle' ? (cfg?.startAt || 0) : periodStart(period, cfg?.timezone || DEFAULT_TIMEZONE);
+  if (type === 'global' || type === 'equipes') {
+    const channels = name ? getBoardChannels(guildId, type, name) : null;
+    return type === 'global' ? getXpRanking(guildId, limit, since, channels) : getTeamRanking(guildId, limit, since, channels);
+  }
+  if (name || (type !== 'message' && type !== 'vocal')) {
+    return getPeriodRanking(guildId, type, limit, since, name ? getBoardChannels(guildId, type, name) : null);
+  }
+  if (period !== 'cycle') return getPeriodRanking(guildId, type, limit, since);
+  if (type === 'message') return stmtGetTopMessages.all(guildId, limit);
+  return stmtGetTopVoice.all(guildId, limit).map(r => {
+    let total = r.voiceSeconds || 0;
+    const key = `${guildId}:${r.userId}`;
+    if (activeVoice.has(key)) total += Math.floor((Date.now()-activeVoice.get(key))/1000);
+    return { ...r, totalSeconds: total };
+  }).sort((a,b)=> (b.totalSeconds||0)-(a.totalSeconds||0));
+}
 
-  return { embed, pages };
+// Members are scored on messages and voice minutes, weighted by the guild's XP settings.
+function getXpRanking(guildId, limit, sinceMs, channels = null) {
+  const settings = getGuildSettings(guildId);
+  const byUser = new Map();
+  const entry = r => {
+    if (!byUser.has(r.userId)) byUser.set(r.userId, { userId: r.userId, username: r.username, messages: 0, totalSeconds: 0 });
+    return byUser.get(r.userId);
+  };
+  for (const r of getPeriodRanking(guildId, 'message', -1, sinceMs, channels)) entry(r).messages = r.messages;
+  for (const r of getPeriodRanking(guildId, 'vocal', -1, sinceMs, channels)) entry(r).totalSeconds = r.totalSeconds;
+  const ranked = [...byUser.values()]
+    .map(r => ({ ...r, xp: computeXp(settings, r.messages, r.totalSeconds) }))
+    .filter(r => r.xp > 0).sort((a,b)=> b.xp - a.xp);
+  return limit < 0 ? ranked : ranked.slice(0, limit);
 }
 
-function makePageButtons(type,page,max){
-  const row = new ActionRowBuilder();
-  row.addComponents(
-    new ButtonBuilder()
-      .setCustomId(`classe_prev:${type}:${page}`)
-      .setLabel('⬅️')
-      .setStyle(ButtonStyle.Primary)
-      .setDisabled(page<=1),
-    new ButtonBuilder()
-      .setCustomId(`classe_next:${type}:${page}`)
-      .setLabel('➡️')
-      .setStyle(ButtonStyle.Primary)
-      .setDisabled(page>=max)
-  );
-  return row;
+// Team boards rank the guild's team roles on the sum of their current members' messages, voice time or
+// XP (the guild's `teamMetric`); a member holding several team roles counts for each. Rows carry the role
+// id as `userId`, so cycles archive teams like members.
+function getTeamRanking(guildId, limit, sinceMs, channels = null) {
+  const guild = client.guilds.cache.get(guildId);
+  if (!guild) return [];
+  const metric = getGuildSettings(guildId).teamMetric;
+  const byUser = new Map(getXpRanking(guildId, -1, sinceMs, channels).map(r => [r.userId, r]));
+  const ranked = stmtGetTeams.all(guildId).map(({ roleId }) => {
+    const role = guild.roles.cache.get(roleId);
+    if (!role) return null;
+    const team = { userId: roleId, username: role.name, metric, members: 0, messages: 0, totalSeconds: 0, xp: 0, score: 0, topUserId: null, topScore: 0 };
+    guild.members.cache.forEach(member => {
+      if (member.user.bot || !member.roles.cache.has(roleId) || isHiddenMember(guildId, member.id)) return;
+      team.members++;
+      const r = byUser.get(member.id);
+      if (!r) return;
+      const score = rankingValue(metric, r);
+      team.messages += r.messages;
+      team.totalSeconds += r.totalSeconds;
+      team.xp += r.xp;
+      team.score += score;
+      if (score > team.topScore) Object.assign(team, { topUserId: member.id, topScore: score });
+    });
+    return team;
+  }).filter(Boolean).sort((a,b)=> b.score - a.score);
+  return limit < 0 ? ranked : ranked.slice(0, limit);
 }
 
-client.on('interactionCreate', async interaction => {
-  try {
+// Lifetime messages and voice time, including the running voice session.
+function memberTotals(gid, uid) {
+  const { messages, voiceSeconds } = stmtGetMemberTotals.get(gid, uid);
+  const start = activeVoice.get(`${gid}:${uid}`);
+  const live = start ? Math.floor((Date.now() - start.getTime()) / 1000) : 0;
+  return { messages, voiceSeconds: voiceSeconds + live };
+}
 
-    if (interaction.isChatInputCommand()) {
+// Levels follow lifetime XP: every counted message and voice minute.
+function memberXp(gid, uid, settings = getGuildSettings(gid)) {
+  const { messages, voiceSeconds } = memberTotals(gid, uid);
+  return computeXp(settings, messages, voiceSeconds);
+}
 
-      if (interaction.commandName === 'classement') {
-        const type = interaction.options.getString('type');
-        await interaction.deferReply();
-        const { embed, pages } = await buildClassementPaginated(interaction.guildId, type, 1);
-        const row = makePageButtons(type,1,pages);
-        return interaction.editReply({ embeds:[embed], components:[row] });
-      }
+function rankingValue(type, row) {
+  if (type === 'global') return row.xp || 0;
+  if (type === 'equipes') return row.score || 0;
+  if (SESSION_KINDS[type]) return row.totalSeconds || 0;
+  return row[ACTIVITY_COLUMNS[type]] || 0;
+}
+
+function formatStat(type, value, lang = DEFAULT_LOCALE, compact = false) {
+  if (type === 'message' || type === 'fils') return t(lang, 'format.messages', { n: fmtNumber(value, lang) });
+  if (type === 'reactions') return t(lang, 'format.reactions', { n: fmtNumber(value, lang) });
+  if (type === 'global') return t(lang, 'format.xp', { n: fmtNumber(value, lang) });
+  return compact ? formatCompactDuration(value, lang) : formatDHMS(value, lang);
+}
+
+// A team's score is formatted as the stat it sums.
+function formatRankingValue(type, row, lang = DEFAULT_LOCALE, compact = false) {
+  return formatStat(type === 'equipes' ? row.metric : type, rankingValue(type, row), lang, compact);
+}
+
+// Team boards rank roles; every other board ranks members.
+function entrantMention(type, id) {
+  return type === 'equipes' ? `<@&${id}>` : `<@${id}>`;
+}
+
+function teamDetails(row, lang) {
+  const top = row.topUserId
+    ? t(lang, 'teams.top', { user: row.topUserId, value: formatStat(row.metric, row.topScore, lang) })
+    : t(lang, 'teams.noTop');
+  return t(lang, 'teams.details', { members: fmtNumber(row.members, lang), top });
+}
+
+client.on('guildMemberUpdate', (o, n) => {
+  if (n.user.bot) return;
+  // Team boards count members by role.
+  if (!o.roles.cache.equals(n.roles.cache)) scheduleLeaderboardUpdate(n.guild.id, 'equipes');
+  if (!n.voice?.channel) return;
+  if (refreshVoiceState(n.voice, getGuildSettings(n.guild.id))) scheduleLeaderboardUpdate(n.guild.id, 'vocal');
+});
+
+// `lb` carries the board's appearance settings; /apparence apercu passes unsaved ones.
+async function buildLeaderboardEmbed(guildId, type, name = '', lb = null) {
+  lb = lb || stmtGetLeaderboard.get(guildId, type, name) || {};
+  const lang = guildLocale(guildId);
+  const rows = getRanking(guildId, type, 100, 'cycle', name);
+
+  const slice = rows.slice(0, lb.topCount || LEADERBOARD_TOP);
+
+  // Placeholders are accepted under their French and English names.
+  const lines = slice.map((d,i)=> {
+    const vars = {
+      rang: i + 1,
+      medaille: i < 3 ? MEDALS[i] : '▫️',
+      marqueur: COLOR_MARKERS[i % COLOR_MARKERS.length],
+      mention: entrantMention(type, d.userId),
+      pseudo: d.username || d.userId,
+      valeur: formatRankingValue(type, d, lang, !!lb.compactDuration),
+      membres: d.members ?? '',
+      meilleur: d.topUserId ? `<@${d.topUserId}>` : '—',
+      details: type === 'equipes' ? teamDetails(d, lang) : '',
+    };
+    const template = lb.lineTemplate || (type === 'equipes' ? DEFAULT_TEAM_LINE_TEMPLATE : DEFAULT_LINE_TEMPLATE);
+    return fillTemplate(template, {
+      ...vars, rank: vars.rang, medal: vars.medaille, marker: vars.marqueur, user: vars.pseudo, value: vars.valeur,
+      members: vars.membres, best: vars.meilleur,
+    });
+  });
+
+  // Custom line templates bring their own layout; the default one keeps the separators.
+  const description = lb.lineTemplate
+    ? lines.join('\n')
+    : lines.map(l => `${l}\n\n──────────`).join('\n').trim();
+
+  const thumbnail = lb.thumbnail === 'serveur' ? client.guilds.cache.get(guildId)?.iconURL() : lb.thumbnail;
+  const title = t(lang, `board.titles.${type}`);
+  const embed = new EmbedBuilder()
+    .setTitle(lb.title || (name ? t(lang, 'board.titleNamed', { title, name }) : title))
+    .setDescription((description || t(lang, 'common.noResult')).slice(0, 3500))
+    .setColor(lb.color ?? 0x2f2b36)
+    .setThumbnail(thumbnail || null)
+    .setTimestamp();
+
+  return { embed, rows };
+}
+
+async function buildConfiguredEmbed(gid, type, name = '', look = null) {
+  const lb = look || stmtGetLeaderboard.get(gid, type, name);
+  const lang = guildLocale(gid);
+  const { embed, rows } = await buildLeaderboardEmbed(gid, type, name, lb);
+
+  if (lb?.pausedAt) {
+    embed.setFooter({ text: lb.endAt
+      ? t(lang, 'board.pausedLeft', { duration: formatDHMS(Math.max(0, lb.endAt - lb.pausedAt) / 1000, lang) })
+      : t(lang, 'board.paused') });
+  } else if (lb?.startAt && lb?.endAt) {
+    const remainingSec = Math.max(0, lb.endAt - Date.now()) / 1000;
+    const rewardRanks = stmtGetRewardRoles.all(gid, type, name).map(r => r.rank);
+    const rewarded = rewardRanks.length ? Math.max(...rewardRanks) : 3;
+    const remaining = lb.compactDuration
+      ? formatCompactDuration(remainingSec, lang)
+      : t(lang, 'format.remaining', { d: Math.floor(remainingSec / 86400), h: Math.floor(remainingSec % 86400 / 3600), m: Math.floor(remainingSec % 3600 / 60) });
+    const vars = { cycle: describeCycle(lb, lang), remaining, reste: remaining, top: rewarded };
+    embed.setFooter({ text: lb.footerText ? fillTemplate(lb.footerText, vars) : t(lang, 'board.countdown', vars) });
+  } else if (lb?.startAt && lb.cycle === 'never') {
+    embed.setFooter({ text: lb.footerText
+      ? fillTemplate(lb.footerText, { cycle: describeCycle(lb, lang), remaining: '∞', reste: '∞', top: '' })
+      : t(lang, 'board.permanent') });
+  } else {
+    embed.setFooter({ text: t(lang, 'board.notStarted') });
+  }
+
+  if (lb?.winnersText) {
+    const base = embed.data.description || '';
+    const heading = t(lang, 'board.winners', { period: t(lang, `cycles.${lb.cycle || 'weekly'}.period`) });
+    embed.setDescription(`${base}\n\n${heading}\n${lb.winnersText}`);
+  }
+
+  return { embed, rows };
+}
+
+// Activity of a type refreshes every active board of that type in the guild, and the boards that depend on it:
+// global and team boards score messages and voice, thread boards count a subset of messages, and stream and
+// camera sessions end with the voice session.
+const UPDATE_CASCADE = { message: ['global', 'equipes', 'fils'], vocal: ['global', 'equipes', ...MEDIA_KINDS] };
+
+function scheduleLeaderboardUpdate(g,t,d=DEBOUNCE_MS){
+  const types = [t, ...(UPDATE_CASCADE[t] || [])];
+  for (const type of types) {
+    for (const { name } of stmtGetTypeLeaderboards.all(g, type)) scheduleBoardUpdate(g, type, name, d);
+  }
+}
+
+// Every board edit goes through one queue: at most UPDATE_CONCURRENCY edits in flight,
+// at least UPDATE_MIN_INTERVAL_MS between two edits of the same message. `force` renders a paused board.
+function scheduleBoardUpdate(g, t, n, d = DEBOUNCE_MS, force = false) {
+  const k = `${g}:${t}:${n}`;
+  if (force) forcedUpdates.add(k);
+  const lastEditAt = updateState.get(k)?.lastEditAt || 0;
+  const due = Math.max(Date.now() + d, lastEditAt + UPDATE_MIN_INTERVAL_MS);
+  // An already queued update is never pushed back, so a busy channel still refreshes.
+  if (updateQueue.has(k) && updateQueue.get(k) <= due) return;
+  updateQueue.set(k, due);
+  armUpdateQueue();
+}
+
+function armUpdateQueue() {
+  if (!updateQueue.size || updatesRunning >= UPDATE_CONCURRENCY) return;
+  const next = Math.max(Math.min(...updateQueue.values()), updateBlockedUntil);
+  if (updateTimer && updateTimerAt <= next) return;
+  clearTimeout(updateTimer);
+  updateTimerAt = next;
+  updateTimer = setTimeout(pumpUpdateQueue, Math.max(0, next - Date.now()));
+}
+
+function pumpUpdateQueue() {
+  updateTimer = null;
+  const now = Date.now();
+  if (now >= updateBlockedUntil) {
+    const due = [...updateQueue].filter(([, at]) => at <= now).sort((a, b) => a[1] - b[1]);
+    for (const [k] of due) {
+      if (updatesRunning >= UPDATE_CONCURRENCY) break;
+      updateQueue.delete(k);
+      updatesRunning++;
+      const [g, t, ...n] = k.split(':');
+      doLeaderboardUpdate(g, t, n.join(':'), forcedUpdates.delete(k)).finally(() => {
+        updatesRunning--;
+        armUpdateQueue();
+      });
+    }
+  }
+  armUpdateQueue();
+}
+
+function unscheduleBoardUpdate(g, t, n) {
+  updateQueue.delete(`${g}:${t}:${n}`);
+  updateState.delete(`${g}:${t}:${n}`);
+  forcedUpdates.delete(`${g}:${t}:${n}`);
+}
+
+// discord.js retries the request that hit a 429 by itself; the queue stops feeding it more
+// until the limit resets: the whole queue for a global limit, one channel otherwise.
+function onRateLimited(info) {
+  updateStats.rateLimited++;
+  const until = Date.now() + (info.retryAfter || info.timeToReset || 1000);
+  if (info.global) updateBlockedUntil = Math.max(updateBlockedUntil, until);
+  else if (info.route?.startsWith('/channels/') && info.majorParameter)
+    channelBlockedUntil.set(info.majorParameter, Math.max(channelBlockedUntil.get(info.majorParameter) || 0, until));
+}
+
+// The embed timestamp changes on every render, so it is left out of the comparison.
+function embedSignature(embed) {
+  const { timestamp, ...data } = embed.toJSON();
+  return JSON.stringify(data);
+}
+
+// Paused boards are frozen; `force` renders them once so the pause shows up.
+async function doLeaderboardUpdate(gid, type, name = '', force = false) {
+  const cfg = stmtGetLeaderboard.get(gid, type, name);
+  if (!cfg || (!cfg.active && !force)) return;
+  const k = `${gid}:${type}:${name}`;
+
+  const blockedUntil = channelBlockedUntil.get(cfg.channelId) || 0;
+  if (blockedUntil > Date.now()) {
+    scheduleBoardUpdate(gid, type, name, blockedUntil - Date.now());
+    return;
+  }
+
+  try {
+    const { embed, rows } = await buildConfiguredEmbed(gid, type, name);
+    if (cfg.active) notifyRankChanges(gid, type, name, rows, cfg).catch(e => console.error('notifyRankChanges err', e));
+    const signature = embedSignature(embed);
+    const last = updateState.get(k);
+    if (cfg.messageId && last?.messageId === cfg.messageId && last.signature === signature) {
+      updateStats.skipped++;
+      return;
+    }
+
+    const ch = await client.channels.fetch(cfg.channelId).catch(()=>null);
+    if (!ch?.isTextBased()) return;
+
+    let messageId = cfg.messageId;
+    const msg = messageId ? await ch.messages.fetch(messageId).catch(()=>null) : null;
+    if (msg) {
+      await msg.edit({ embeds:[embed] });
+    } else {
+      const sent = await ch.send({ embeds:[embed] });
+      messageId = sent.id;
+      stmtUpdateLeaderboardMessage.run(messageId, gid, type, name);
+    }
+
+    const now = Date.now();
+    stmtTouchLeaderboard.run(now, gid, type, name);
+    updateState.set(k, { messageId, signature, lastEditAt: now });
+    updateStats.sent++;
+  } catch(e){
+    updateStats.failed++;
+    console.error('doLeaderboardUpdate err', e);
+  }
+}
+
+async function updateTimerMessage(cfg, text) {
+  if (!cfg.timerMessageId) return;
+  const ch = await client.channels.fetch(cfg.channelId).catch(()=>null);
+  const timerMsg = await ch?.messages?.fetch(cfg.timerMessageId).catch(()=>null);
+  if (timerMsg) await timerMsg.edit(text).catch(e => console.error('Error updating timer message:', e));
+}
+
+async function processLeaderboardsExpiry(){
+  const rows = stmtGetAllLeaderboards.all();
+  for (const lb of rows){
+    if (!lb.endAt || Date.now() < lb.endAt) continue;
+    try {
+      const failure = await finalizeAndResetLeaderboard(lb.guildId, lb.type, lb.name, { onlyIfDue: true });
+      // A board whose channel is gone is paused instead of being retried every tick; /setleaderboard revives it.
+      if (failure === 'noChannel') {
+        stmtPauseLeaderboard.run(Date.now(), lb.guildId, lb.type, lb.name);
+        console.error(`Leaderboard ${lb.guildId}:${lb.type}:${lb.name} paused, its channel ${lb.channelId} is unavailable`);
+      }
+    } catch (e) {
+      console.error('finalize err', lb.guildId, lb.type, lb.name, e);
+    }
+  }
+}
+
+// The audit keeps only who erased whom; the opt-out and DM choices and reward holders (so the bot can
+// still take the roles back) survive an erasure. Archived placements stay without a name, so past
+// rankings keep their ranks.
+const eraseMemberData = db.transaction((gid, uid, audit) => {
+  stmtEraseUser.run(gid, uid);
+  stmtDeleteUserActivity.run(gid, uid);
+  stmtEraseCycleMarks.run(gid, uid);
+  stmtEraseVoiceSessions.run(gid, uid);
+  stmtEraseMemberLevel.run(gid, uid);
+  stmtEraseMilestones.run(gid, uid);
+  stmtEraseRejections.run(gid, uid);
+  stmtAnonymizeCycleResults.run(uid, gid);
+  stmtEraseAuditTarget.run(gid, uid);
+  stmtRemoveDeparted.run(gid, uid);
+  stmtEraseCountedMessages.run(gid, uid);
+  stmtEraseCountedReactions.run(gid, uid);
+  stmtInsertAudit.run({
+    g: gid, actor: audit.actorId, action: 'erase', target: uid, related: null, t: null,
+    before: null, after: null, reason: audit.reason ?? null, at: Date.now(),
+  });
+});
+
+function eraseMember(gid, uid, audit) {
+  const key = `${gid}:${uid}`;
+  activeVoice.delete(key);
+  for (const kind of MEDIA_KINDS) activeMedia[kind].delete(key);
+  lastMessages.delete(key);
+  eraseMemberData(gid, uid, audit);
+  privacyCache.delete(gid);
+  // A member still in voice starts over with a fresh session.
+  const state = client.guilds.cache.get(gid)?.voiceStates.cache.get(uid);
+  if (state?.channel && state.member) refreshVoiceState(state, getGuildSettings(gid));
+  scheduleLeaderboardUpdate(gid, 'message');
+  scheduleLeaderboardUpdate(gid, 'vocal');
+  scheduleLeaderboardUpdate(gid, 'reactions');
+}
+
+// Members who left while the bot was offline are marked as departed, once the member list is complete.
+function reconcileDepartedMembers() {
+  const now = Date.now();
+  client.guilds.cache.forEach(guild => {
+    if (guild.members.cache.size < guild.memberCount) return;
+    for (const { userId } of stmtGetGuildUsers.all(guild.id)) {
+      if (guild.members.cache.has(userId)) stmtRemoveDeparted.run(guild.id, userId);
+      else stmtAddDeparted.run(guild.id, userId, now);
+    }
+    privacyCache.delete(guild.id);
+  });
+}
+
+function purgeDepartedMembers() {
+  for (const r of stmtGetExpiredDeparted.all({ now: Date.now() })) {
+    eraseMember(r.guildId, r.userId, { actorId: client.user.id, reason: t(guildLocale(r.guildId), 'privacy.departedReason', { days: r.days }) });
+  }
+}
+
+client.on('guildMemberRemove', member => {
+  if (member.user?.bot) return;
+  const gid = member.guild.id;
+  if (activeVoice.has(`${gid}:${member.id}`)) stopVoiceSession(gid, member.id, 'leave');
+  lastMessages.delete(`${gid}:${member.id}`);
+  stmtAddDeparted.run(gid, member.id, Date.now());
+  privacyCache.delete(gid);
+  scheduleLeaderboardUpdate(gid, 'message');
+  scheduleLeaderboardUpdate(gid, 'vocal');
+  scheduleLeaderboardUpdate(gid, 'reactions');
+});
+
+client.on('guildMemberAdd', member => {
+  if (member.user.bot) return;
+  if (!stmtRemoveDeparted.run(member.guild.id, member.id).changes) return;
+  privacyCache.delete(member.guild.id);
+  scheduleLeaderboardUpdate(member.guild.id, 'message');
+  scheduleLeaderboardUpdate(member.guild.id, 'vocal');
+  scheduleLeaderboardUpdate(member.guild.id, 'reactions');
+});
+
+function parseStatValue(type, raw) {
+  const str = String(raw || '').trim();
+  if (type === 'message') return /^\d+$/.test(str) ? parseInt(str) : null;
+  if (/^\d+$/.test(str)) return parseInt(str) * 60;
+  const ms = parseDuration(str);
+  return ms === null ? null : Math.floor(ms / 1000);
+}
+
+function buildAuditEmbed(gid, user, page = 1) {
+  const lang = guildLocale(gid);
+  const perPage = 10;
+  const total = stmtCountAudit.get({ g: gid, u: user?.id ?? null }).n;
+  const pages = Math.max(1, Math.ceil(total / perPage));
+  const safe = Math.min(Math.max(1, page), pages);
+  const rows = stmtGetAudit.all({ g: gid, u: user?.id ?? null, l: perPage, o: (safe-1)*perPage });
+
+  const lines = rows.map(r => r.action === 'erase' ? t(lang, 'audit.lineErase', {
+    time: `<t:${Math.floor(r.createdAt/1000)}:f>`,
+    action: t(lang, 'audit.actions.erase'),
+    target: r.targetId,
+    actor: r.actorId,
+    reason: r.reason ? `\n└ *${r.reason}*` : '',
+  }) : t(lang, 'audit.line', {
+    time: `<t:${Math.floor(r.createdAt/1000)}:f>`,
+    action: t(lang, `audit.actions.${r.action}`),
+    type: t(lang, `audit.types.${r.type}`),
+    target: r.targetId,
+    related: r.relatedId ? (r.action === 'transfer-out' ? ` → <@${r.relatedId}>` : ` ← <@${r.relatedId}>`) : '',
+    actor: r.actorId,
+    before: formatStat(r.type, r.before, lang),
+    after: formatStat(r.type, r.after, lang),
+    reason: r.reason ? `\n└ *${r.reason}*` : '',
+  }));
+
+  return new EmbedBuilder()
+    .setTitle(user ? t(lang, 'audit.titleMember', { name: user.username }) : t(lang, 'audit.title'))
+    .setDescription(lines.join('\n\n') || t(lang, 'audit.empty'))
+    .setColor(0x2f2b36)
+    .setFooter({ text: t(lang, 'audit.footer', { page: safe, pages, total }) });
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i+1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',' || c === ';') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i+1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f !== '')) rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some(f => f !== '')) rows.push(row);
+  return rows;
+}
+
+function toCsv(columns, rows) {
+  const esc = v => {
+    const str = v === null || v === undefined ? '' : String(v);
+    return /[",;\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return [columns.join(','), ...rows.map(r => columns.map(c => esc(r[c])).join(','))].join('\n');
+}
+
+function buildExport(gid) {
+  const users = stmtGetGuildUsers.all(gid);
+  const leaderboards = stmtGetGuildLeaderboards.all(gid);
+  const cycles = stmtGetGuildCycles.all(gid).map(c => ({
+    type: c.type, name: c.name, cycle: c.cycle, startAt: c.startAt, endAt: c.endAt, metric: c.metric,
+    results: stmtGetCycleResults.all(c.id, -1).map(r => ({ rank: r.rank, userId: r.userId, username: r.username, value: r.value })),
+  }));
+  return { version: 1, guildId: gid, exportedAt: Date.now(), users, leaderboards, cycles };
+}
+
+function exportAttachments(gid, format) {
+  const data = buildExport(gid);
+  const stamp = new Date(data.exportedAt).toISOString().slice(0,10);
+  if (format === 'json') {
+    return [new AttachmentBuilder(Buffer.from(JSON.stringify(data, null, 2)), { name: `leaderboard-${gid}-${stamp}.json` })];
+  }
+  const files = [
+    new AttachmentBuilder(Buffer.from(toCsv(['userId','username','messages','voiceSeconds'], data.users)), { name: `users-${stamp}.csv` }),
+    new AttachmentBuilder(Buffer.from(toCsv(
+      ['type','name','channelId','messageId','timerMessageId','startAt','endAt','active','cycle','cycleMs','anchorDay','anchorTime','timezone','pausedAt'],
+      data.leaderboards
+    )), { name: `leaderboards-${stamp}.csv` }),
+  ];
+  if (data.cycles.length) {
+    const flat = data.cycles.flatMap(c => c.results.map(r => ({ type: c.type, name: c.name, cycle: c.cycle, startAt: c.startAt, endAt: c.endAt, ...r })));
+    files.push(new AttachmentBuilder(Buffer.from(toCsv(['type','name','cycle','startAt','endAt','rank','userId','username','value'], flat)), { name: `cycles-${stamp}.csv` }));
+  }
+  return files;
+}
+
+const IMPORT_COLUMNS = {
+  userId: ['userid','user_id','id','discordid','discord_id'],
+  username: ['username','name','user','pseudo'],
+  messages: ['messages','message','msg','messagecount','message_count'],
+  voiceSeconds: ['voiceseconds','voice_seconds','voice','voicetime','voice_time','vocal'],
+};
+
+// Validates an uploaded export (ours, or a users CSV from another bot). Throws with a readable message.
+function parseImportFile(name, text, lang = DEFAULT_LOCALE) {
+  const users = [];
+  let cycles = [];
+  const fail = (key, vars) => { throw new Error(t(lang, `data.errors.${key}`, vars)); };
+  const checkUser = (u, where) => {
+    if (!/^\d{17,20}$/.test(String(u.userId))) fail('invalidId', { where, value: u.userId });
+    for (const k of ['messages','voiceSeconds']) {
+      if (u[k] === undefined || u[k] === null || u[k] === '') { u[k] = null; continue; }
+      const n = Number(u[k]);
+      if (!Number.isInteger(n) || n < 0) fail('invalidValue', { where, field: k, value: u[k] });
+      u[k] = n;
+    }
+    users.push({ userId: String(u.userId), username: u.username || null, messages: u.messages, voiceSeconds: u.voiceSeconds });
+  };
+
+  if (name.toLowerCase().endsWith('.json')) {
+    let data;
+    try { data = JSON.parse(text); } catch { fail('badJson'); }
+    if (!Array.isArray(data?.users)) fail('missingUsers');
+    data.users.forEach((u, i) => checkUser({ ...u }, `users[${i}]`));
+    cycles = (data.cycles || []).map((c, i) => {
+      if (![...BOARD_TYPES, 'equipes'].includes(c.type) || !Number.isFinite(c.endAt) || !Array.isArray(c.results))
+        fail('invalidCycle', { index: i });
+      return c;
+    });
+  } else {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) fail('emptyFile');
+    const cols = header.map(h => h.trim().toLowerCase());
+    const index = Object.fromEntries(Object.entries(IMPORT_COLUMNS).map(([k, aliases]) => [k, cols.findIndex(c => aliases.includes(c))]));
+    if (index.userId < 0) fail('missingUserId');
+    if (index.messages < 0 && index.voiceSeconds < 0) fail('missingValues');
+    rows.forEach((r, i) => checkUser(
+      Object.fromEntries(Object.entries(index).map(([k, idx]) => [k, idx >= 0 ? r[idx]?.trim() : undefined])),
+      t(lang, 'data.errors.line', { n: i + 2 })
+    ));
+  }
+
+  const seen = new Set();
+  for (const u of users) {
+    if (seen.has(u.userId)) fail('duplicate', { user: u.userId });
+    seen.add(u.userId);
+  }
+  if (!users.length && !cycles.length) fail('nothing');
+  return { users, cycles };
+}
+
+// Target counters per member: merge adds the file to current stats, replace makes them equal to the file.
+function planImport(gid, data, mode) {
+  const current = new Map(stmtGetGuildUsers.all(gid).map(u => [u.userId, u]));
+  const changes = [];
+  for (const u of data.users) {
+    const cur = current.get(u.userId);
+    const before = { message: cur?.messages || 0, vocal: cur?.voiceSeconds || 0 };
+    const after = {
+      message: u.messages === null ? (mode === 'replace' ? 0 : before.message) : (mode === 'merge' ? before.message + u.messages : u.messages),
+      vocal: u.voiceSeconds === null ? (mode === 'replace' ? 0 : before.vocal) : (mode === 'merge' ? before.vocal + u.voiceSeconds : u.voiceSeconds),
+    };
+    changes.push({ userId: u.userId, username: u.username, isNew: !cur, before, after });
+  }
+  if (mode === 'replace') {
+    const inFile = new Set(data.users.map(u => u.userId));
+    for (const cur of current.values()) {
+      if (inFile.has(cur.userId) || (!cur.messages && !cur.voiceSeconds)) continue;
+      changes.push({ userId: cur.userId, removed: true, before: { message: cur.messages || 0, vocal: cur.voiceSeconds || 0 }, after: { message: 0, vocal: 0 } });
+    }
+  }
+  const newCycles = mode === 'replace' ? data.cycles : data.cycles.filter(c => !stmtFindCycle.get(gid, c.type, c.name || '', c.endAt));
+  return { changes: changes.filter(c => c.before.message !== c.after.message || c.before.vocal !== c.after.vocal), newCycles };
+}
+
+function buildImportPreview(plan, mode, lang = DEFAULT_LOCALE) {
+  const sum = (key, type) => plan.changes.reduce((n, c) => n + c[key][type], 0);
+  const num = n => fmtNumber(n, lang);
+  const dur = sec => formatDHMS(sec, lang);
+  const added = plan.changes.filter(c => c.isNew).length;
+  const removed = plan.changes.filter(c => c.removed).length;
+  const sample = [...plan.changes]
+    .sort((a, b) => (Math.abs(b.after.message - b.before.message) + Math.abs(b.after.vocal - b.before.vocal) / 60)
+      - (Math.abs(a.after.message - a.before.message) + Math.abs(a.after.vocal - a.before.vocal) / 60))
+    .slice(0, 10)
+    .map(c => t(lang, 'data.previewLine', {
+      user: c.userId,
+      flags: `${c.isNew ? ' 🆕' : ''}${c.removed ? ' 🗑️' : ''}`,
+      messagesBefore: num(c.before.message), messagesAfter: num(c.after.message),
+      voiceBefore: dur(c.before.vocal), voiceAfter: dur(c.after.vocal),
+    }));
+
+  return new EmbedBuilder()
+    .setTitle(t(lang, 'data.previewTitle', { mode: t(lang, `data.modes.${mode}`) }))
+    .setDescription([
+      t(lang, mode === 'replace' ? 'data.previewMembersReplace' : 'data.previewMembers', { count: plan.changes.length, added, removed }),
+      t(lang, 'data.previewMessages', { before: num(sum('before','message')), after: num(sum('after','message')) }),
+      t(lang, 'data.previewVoice', { before: dur(sum('before','vocal')), after: dur(sum('after','vocal')) }),
+      t(lang, mode === 'replace' ? 'data.previewCyclesReplace' : 'data.previewCyclesMerge', { count: plan.newCycles.length }),
+      '',
+      sample.join('\n') || t(lang, 'data.previewEmpty'),
+    ].join('\n').slice(0, 4096))
+    .setColor(0x2f2b36)
+    .setFooter({ text: t(lang, 'data.previewFooter') });
+}
+
+const applyImport = db.transaction((gid, plan, mode, actorId) => {
+  const lang = guildLocale(gid);
+  const audit = { actorId, action: 'import', reason: t(lang, 'data.auditReason', { mode: t(lang, `data.modes.${mode}`) }), bucket: 0 };
+  for (const c of plan.changes) {
+    if (c.isNew || c.username) stmtUpsertUser.run({ g: gid, u: c.userId, n: c.username || null });
+    if (c.before.message !== c.after.message) setUserStat(gid, c.userId, 'message', c.after.message, audit);
+    if (c.before.vocal !== c.after.vocal) setUserStat(gid, c.userId, 'vocal', c.after.vocal, audit);
+  }
+  if (mode === 'replace') {
+    stmtDeleteGuildCycleResults.run(gid);
+    stmtDeleteGuildCycles.run(gid);
+  }
+  for (const c of plan.newCycles) {
+    const { lastInsertRowid } = stmtInsertCycle.run({
+      g: gid, t: c.type, n: c.name || '', cy: c.cycle || null, s: c.startAt ?? null, e: c.endAt,
+      m: c.type === 'equipes' ? (TEAM_METRICS.includes(c.metric) ? c.metric : 'global') : null,
+    });
+    c.results.forEach((r, i) => stmtInsertCycleResult.run({
+      c: lastInsertRowid, r: r.rank ?? i + 1, u: String(r.userId), n: r.username ?? null, v: Number(r.value) || 0,
+    }));
+  }
+});
+
+function isOwner(userId) {
+  return OWNER_IDS.includes(userId);
+}
+
+// Global owners, members with Manage Guild and holders of the guild's admin role manage that guild's leaderboards.
+function canManageGuild(interaction) {
+  if (isOwner(interaction.user.id)) return true;
+  const member = interaction.member;
+  if (!interaction.guildId || !member) return false;
+  if (interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) return true;
+  const adminRoleId = getGuildSettings(interaction.guildId).adminRoleId;
+  const roles = Array.isArray(member.roles) ? member.roles : [...member.roles.cache.keys()];
+  return !!adminRoleId && roles.includes(adminRoleId);
+}
+
+async function logToGuild(gid, content) {
+  const channelId = getGuildSettings(gid).logChannelId;
+  if (!channelId) return;
+  const ch = await client.channels.fetch(channelId).catch(()=>null);
+  if (!ch?.isTextBased()) return;
+  await ch.send({ content, allowedMentions: { parse: [] } }).catch(e => console.error('logToGuild err', e));
+}
+
+// Moves the reward roles from the previous winners to the ranks of the cycle that just ended.
+async function applyRewardRoles(gid, type, name, rows) {
+  const lang = guildLocale(gid);
+  const rewards = stmtGetRewardRoles.all(gid, type, name);
+  const holders = stmtGetRewardHolders.all(gid, type, name);
+  if (!rewards.length && !holders.length) return;
+
+  const guild = await client.guilds.fetch(gid).catch(()=>null);
+  if (!guild) return;
+
+  const wanted = [];
+  for (const r of rewards) {
+    const winner = rows[r.rank - 1];
+    if (winner && rankingValue(type, winner) > 0) wanted.push({ userId: winner.userId, roleId: r.roleId, rank: r.rank });
+  }
+  const isWanted = (uid, roleId) => wanted.some(w => w.userId === uid && w.roleId === roleId);
+  const failures = [];
+
+  const describeError = (role, e) => {
+    if (!role) return t(lang, 'rewards.roleMissing');
+    if (!role.editable) return t(lang, 'rewards.roleAbove');
+    return e?.message || t(lang, 'rewards.unknownError');
+  };
+
+  for (const h of holders) {
+    if (isWanted(h.userId, h.roleId)) continue;
+    const role = guild.roles.cache.get(h.roleId);
+    const member = await guild.members.fetch(h.userId).catch(()=>null);
+    try {
+      if (member && role) await member.roles.remove(role, t(lang, 'rewards.removeReason'));
+      stmtRemoveRewardHolder.run(gid, type, name, h.userId, h.roleId);
+    } catch (e) {
+      failures.push(t(lang, 'rewards.removeFailed', { role: h.roleId, user: h.userId, error: describeError(role, e) }));
+    }
+  }
+
+  for (const w of wanted) {
+    const role = guild.roles.cache.get(w.roleId);
+    const member = await guild.members.fetch(w.userId).catch(()=>null);
+    if (!member) {
+      failures.push(t(lang, 'rewards.memberLeft', { role: w.roleId, rank: w.rank, user: w.userId }));
+      continue;
+    }
+    try {
+      if (!role) throw new Error('role not found');
+      if (!member.roles.cache.has(role.id)) await member.roles.add(role, t(lang, 'rewards.addReason', { title: boardTitle(type, name, lang), rank: w.rank }));
+      stmtAddRewardHolder.run(gid, type, name, w.userId, w.roleId);
+    } catch (e) {
+      failures.push(t(lang, 'rewards.addFailed', { role: w.roleId, user: w.userId, rank: w.rank, error: describeError(role, e) }));
+    }
+  }
+
+  if (failures.length) {
+    console.error('applyRewardRoles failures', gid, type, name, failures);
+    const heading = t(lang, 'rewards.logTitle', { title: boardTitle(type, name, lang), count: failures.length });
+    await logToGuild(gid, `${heading}\n${failures.map(f => `• ${f}`).join('\n')}`.slice(0, 2000));
+  }
+}
+
+// Levels never go down: a lower XP setting or removed stats leave the reached level in place.
+async function checkLevelUp(gid, uid) {
+  const settings = getGuildSettings(gid);
+  const level = levelForXp(memberXp(gid, uid, settings), settings);
+  const reached = stmtGetMemberLevel.get(gid, uid)?.level ?? 0;
+  if (level <= reached) return;
+  stmtSetMemberLevel.run(gid, uid, level);
+  if (isHiddenMember(gid, uid)) return;
+
+  const lang = guildLocale(gid);
+  if (settings.levelChannelId) {
+    const ch = await client.channels.fetch(settings.levelChannelId).catch(()=>null);
+    if (ch?.isTextBased()) {
+      await ch.send({ content: t(lang, 'levels.announce', { user: uid, level }), allowedMentions: { users: [uid] } })
+        .catch(e => console.error('level announce err', e));
+    }
+  }
+
+  const roles = stmtGetLevelRoles.all(gid).filter(r => r.level > reached && r.level <= level);
+  if (!roles.length) return;
+  const guild = client.guilds.cache.get(gid);
+  const member = await guild?.members.fetch(uid).catch(()=>null);
+  if (!member) return;
+  const failures = [];
+  for (const r of roles) {
+    const role = guild.roles.cache.get(r.roleId);
+    try {
+      if (!role) throw new Error(t(lang, 'rewards.roleMissing'));
+      if (!member.roles.cache.has(role.id)) await member.roles.add(role, t(lang, 'levels.addReason', { level: r.level }));
+    } catch (e) {
+      const error = role && !role.editable ? t(lang, 'rewards.roleAbove') : (e?.message || t(lang, 'rewards.unknownError'));
+      failures.push(t(lang, 'levels.addFailed', { role: r.roleId, user: uid, level: r.level, error }));
+    }
+  }
+  if (failures.length) {
+    console.error('checkLevelUp failures', gid, uid, failures);
+    await logToGuild(gid, `${t(lang, 'levels.logTitle', { count: failures.length })}\n${failures.map(f => `• ${f}`).join('\n')}`.slice(0, 2000));
+  }
+}
+
+function milestoneList(settings, type) {
+  const custom = type === 'message' ? settings.milestoneMessages : settings.milestoneVoiceHours;
+  return custom === null || custom === undefined ? DEFAULT_MILESTONES[type] : parseMilestones(custom);
+}
+
+// When a member's running voice session reaches their next level or voice milestone, at the latest
+// VOICE_RECHECK_MS from now. Messages sent meanwhile are checked when they are counted.
+function nextVoiceCheckAt(gid, uid, now = Date.now()) {
+  const settings = getGuildSettings(gid);
+  const { messages, voiceSeconds } = memberTotals(gid, uid);
+  const xp = computeXp(settings, messages, voiceSeconds);
+  const level = Math.max(levelForXp(xp, settings), stmtGetMemberLevel.get(gid, uid)?.level ?? 0);
+  let wait = VOICE_RECHECK_MS;
+  if (settings.xpPerVoiceMinute > 0)
+    wait = Math.min(wait, Math.ceil((xpForLevel(level + 1, settings) - xp) / settings.xpPerVoiceMinute) * MINUTE_MS);
+  const milestone = milestoneList(settings, 'vocal')?.find(hours => hours * 3600 > voiceSeconds);
+  if (milestone) wait = Math.min(wait, (milestone * 3600 - voiceSeconds) * 1000);
+  return now + wait;
+}
+
+// Records the highest milestone a member has passed; only a newly passed one is announced.
+async function checkMilestones(gid, uid) {
+  const settings = getGuildSettings(gid);
+  const totals = memberTotals(gid, uid);
+  const values = { message: totals.messages, vocal: totals.voiceSeconds / 3600 };
+  for (const type of ['message', 'vocal']) {
+    const reached = milestoneList(settings, type).filter(m => m <= values[type]).pop();
+    if (!reached || reached <= (stmtGetMilestone.get(gid, uid, type)?.value ?? 0)) continue;
+    stmtSetMilestone.run(gid, uid, type, reached);
+    if (settings.notifyMilestones) {
+      const lang = guildLocale(gid);
+      await sendNotification(gid, uid, type === 'message' ? 'milestoneMessages' : 'milestoneVoice', { value: fmtNumber(reached, lang) });
+    }
+  }
+}
+
+// Compares a board's ranking with the one from its previous update. The first update after the bot
+// starts or a new cycle begins only records the ranking. Team boards rank roles and notify nobody.
+async function notifyRankChanges(gid, type, name, rows, lb) {
+  if (type === 'equipes') return;
+  const k = `${gid}:${type}:${name}`;
+  const ranked = rows.filter(r => rankingValue(type, r) > 0).map(r => r.userId);
+  const snapshot = rankSnapshots.get(k);
+  rankSnapshots.set(k, { startAt: lb.startAt, ranked });
+  if (!snapshot || snapshot.startAt !== lb.startAt) return;
+  const previous = snapshot.ranked;
+
+  const settings = getGuildSettings(gid);
+  const lang = guildLocale(gid);
+  const board = lb.title || boardTitle(type, name, lang);
+  const before = new Map(previous.map((uid, i) => [uid, i + 1]));
+  const shown = lb.topCount || LEADERBOARD_TOP;
+  const notices = new Map();
+
+  // Leaving the podium says more than being overtaken, so it replaces that notice.
+  ranked.forEach((uid, i) => {
+    const rank = i + 1;
+    const was = before.get(uid);
+    if (settings.notifyPodium && rank <= 3 && !(was <= 3)) {
+      notices.set(uid, ['podiumEnter', { board, rank, medal: MEDALS[rank-1] }]);
+    } else if (settings.notifyOvertaken && was && rank > was && rank <= shown) {
+      const by = ranked.slice(0, i).find(other => (before.get(other) ?? Infinity) > was);
+      if (by) notices.set(uid, ['overtaken', { board, rank, by }]);
+    }
+  });
+  if (settings.notifyPodium) {
+    previous.slice(0, 3).forEach(uid => {
+      const rank = ranked.indexOf(uid) + 1;
+      if (!rank || rank > 3) notices.set(uid, ['podiumLeave', { board, place: rank ? `#${rank}` : '—' }]);
+    });
+  }
+
+  for (const [uid, [kind, vars]] of notices) await sendNotification(gid, uid, kind, vars);
+}
+
+// Members who opted in get their notifications by DM, the others in the guild's notification channel.
+// Every kind waits `notifyCooldown` minutes per member, and a guild sends at most `notifyHourlyLimit`
+// notifications an hour, DMs included.
+async function sendNotification(gid, uid, kind, vars) {
+  if (isHiddenMember(gid, uid)) return;
+  const settings = getGuildSettings(gid);
+  const now = Date.now();
+  const cooldownKey = `${gid}:${uid}:${kind}`;
+  if ((notifyCooldowns.get(cooldownKey) || 0) > now) return;
+  const dm = !!stmtGetNotifyDm.get(gid, uid);
+  if (!dm && !settings.notifyChannelId) return;
+  const sent = (notifySent.get(gid) || []).filter(at => at > now - HOUR_MS);
+  notifySent.set(gid, sent);
+  if (sent.length >= settings.notifyHourlyLimit) return;
+  // The slot is taken before sending so notifications sent at the same time cannot exceed the limit.
+  sent.push(now);
+  notifyCooldowns.set(cooldownKey, now + settings.notifyCooldown * MINUTE_MS);
+
+  const lang = guildLocale(gid);
+  let ok;
+  if (dm) {
+    const user = await client.users.fetch(uid).catch(()=>null);
+    const guild = client.guilds.cache.get(gid);
+    // Closed DMs are the member's choice, not an error.
+    ok = await user?.send(t(lang, `notify.dm.${kind}`, { ...vars, guild: guild?.name ?? gid })).catch(()=>null);
+  } else {
+    const ch = await client.channels.fetch(settings.notifyChannelId).catch(()=>null);
+    ok = ch?.isTextBased() && await ch.send({ content: t(lang, `notify.posts.${kind}`, { ...vars, user: uid }), allowedMentions: { users: [uid] } })
+      .catch(e => console.error('notification err', e));
+  }
+  if (ok) return;
+  sent.splice(sent.indexOf(now), 1);
+  notifyCooldowns.delete(cooldownKey);
+}
+
+function pruneNotifyThrottles() {
+  const now = Date.now();
+  notifyCooldowns.forEach((until, key) => { if (until <= now) notifyCooldowns.delete(key); });
+  notifySent.forEach((sent, gid) => { if (!sent.some(at => at > now - HOUR_MS)) notifySent.delete(gid); });
+}
+
+const archiveCycle = db.transaction((gid, type, cfg, rows) => {
+  const ranked = rows.filter(r => rankingValue(type, r) > 0);
+  const { lastInsertRowid } = stmtInsertCycle.run({
+    g: gid, t: type, n: cfg.name, cy: cfg.cycle || 'weekly', s: cfg.startAt ?? null, e: Date.now(),
+    m: type === 'equipes' ? getGuildSettings(gid).teamMetric : null,
+  });
+  ranked.forEach((r, i) => stmtInsertCycleResult.run({
+    c: lastInsertRowid, r: i + 1, u: r.userId, n: r.username ?? null, v: rankingValue(type, r),
+  }));
+  return lastInsertRowid;
+});
+
+// Starts a board's cycle now. When that falls mid-hour, the hour's activity bucket already holds earlier
+// activity: it is recorded under the start time so rankings since then can take it back out.
+function startCycle(gid, type) {
+  // Running sessions are split at the start so the time before it lands in the old cycle and in `activity`.
+  if (type !== 'message') {
+    activeVoice.forEach((start, key) => {
+      const [guildId, uid] = key.split(':');
+      if (guildId === gid) flushVoiceSession(guildId, uid);
+    });
+  }
+  const startAt = Date.now();
+  stmtPruneCycleMarks.run({ g: gid, at: startAt });
+  if (startAt % HOUR_MS) stmtMarkCycleStart.run({ g: gid, at: startAt, b: Math.floor(startAt / HOUR_MS) * HOUR_MS });
+  return startAt;
+}
+
+// Archives a board's cycle and starts the next one. Returns null once done, or why nothing happened:
+// 'busy' while the same board is already being finalized, 'notDue' when `onlyIfDue` and its cycle was
+// restarted meanwhile, 'missing' without a board and 'noChannel' when its channel is gone.
+async function finalizeAndResetLeaderboard(gid, type, name = '', { onlyIfDue = false } = {}) {
+  const k = `${gid}:${type}:${name}`;
+  if (finalizingBoards.has(k)) return 'busy';
+  finalizingBoards.add(k);
+  try {
+    return await finalizeBoardCycle(gid, type, name, onlyIfDue);
+  } finally {
+    finalizingBoards.delete(k);
+  }
+}
+
+async function finalizeBoardCycle(gid, type, name, onlyIfDue) {
+  let cfg = stmtGetLeaderboard.get(gid, type, name);
+  if (!cfg) return 'missing';
+
+  const ch = await client.channels.fetch(cfg.channelId).catch(()=>null);
+  if (!ch?.isTextBased()) return 'noChannel';
+
+  // The cycle is archived and restarted before anything is posted, so a failed post cannot archive it twice.
+  cfg = stmtGetLeaderboard.get(gid, type, name);
+  if (!cfg) return 'missing';
+  if (onlyIfDue && !(cfg.active && cfg.endAt && Date.now() >= cfg.endAt)) return 'notDue';
+
+  const lang = guildLocale(gid);
+  const rows = getRanking(gid, type, -1, 'cycle', name);
+  archiveCycle(gid, type, cfg, rows);
+
+  const top3 = rows.slice(0,3);
+  const winnersLines = top3.map((d,i)=>{
+    const m = MEDALS[i] || '•';
+    return `${m} ${entrantMention(type, d.userId)} — \`${formatRankingValue(type, d, lang, !!cfg.compactDuration)}\``;
+  });
+  const winnersText = winnersLines.join('\n');
+
+  const startAt = startCycle(gid, type);
+
+  // Only the unnamed board's cycle counters on `users` are reset; lifetime history stays in `activity`,
+  // where named and global boards simply start counting again from the new cycle start.
+  if (!name && type === 'message') stmtResetCountsMessages.run(gid);
+  else if (!name && type === 'vocal') stmtResetCountsVoice.run(gid);
+
+  const endAt = computeCycleEnd(cfg, startAt);
+  stmtUpsertLeaderboard.run({
+    g:gid, t:type, n:name, c:cfg.channelId, m:cfg.messageId || null, tm: cfg.timerMessageId || null, s:startAt, e:endAt, w:winnersText, a:1,
+    cy: cfg.cycle || 'weekly', cm: cfg.cycleMs ?? null, ad: cfg.anchorDay ?? null, at: cfg.anchorTime ?? null, tz: cfg.timezone ?? null,
+  });
+  // The board message shows the new cycle under the previous winners; the update queue posts it again if it was deleted.
+  scheduleBoardUpdate(gid, type, name, 0);
+
+  const winner = rows[0];
+  if (type === 'equipes' && winner && rankingValue(type, winner) > 0) {
+    const lines = [t(lang, 'teams.winner', { role: winner.userId, title: boardTitle(type, name, lang), value: formatRankingValue(type, winner, lang) })];
+    if (winner.topUserId) lines.push(t(lang, 'teams.winnerTop', { user: winner.topUserId, value: formatStat(winner.metric, winner.topScore, lang) }));
+    await ch.send({ content: lines.join('\n'), allowedMentions: { parse: [] } }).catch(e => console.error('team winner announce err', e));
+  }
+
+  if (cfg.timerMessageId) {
+    const timerMsg = await ch.messages.fetch(cfg.timerMessageId).catch(()=>null);
+    if (timerMsg) {
+      await timerMsg.edit(timerMessageText(endAt, null, lang)).catch(e => console.error('Error updating timer message:', e));
+    }
+  }
+
+  await applyRewardRoles(gid, type, name, rows).catch(e => console.error('applyRewardRoles err', e));
+  return null;
+}
+
+async function buildClassementPaginated(gid,type,page=1,period='cycle',name=''){
+  const lang = guildLocale(gid);
+  const rows = getRanking(gid, type, 100, period, name);
+
+  const pages = Math.max(1, Math.ceil(rows.length / RESULTS_PER_PAGE));
+  const safe = Math.min(Math.max(1,page),pages);
+  const start = (safe-1)*RESULTS_PER_PAGE;
+  const slice = rows.slice(start,start+RESULTS_PER_PAGE);
+
+  const lines = slice.map((d,i)=>{
+    const index = start+i;
+    const medal = index<3 ? MEDALS[index]+' ' : '▫️ ';
+    const marker = COLOR_MARKERS[index % COLOR_MARKERS.length];
+    const line = `• ${medal}${marker} ${entrantMention(type, d.userId)} : \`${formatRankingValue(type, d, lang)}\``;
+    return type === 'equipes' ? `${line}\n${teamDetails(d, lang)}` : line;
+  });
+
+  const description = lines.map(l=>`${l}\n\n──────────`).join('\n').trim();
+
+  const title = t(lang, `board.titles.${type}`);
+  const embed = new EmbedBuilder()
+    .setTitle(name ? t(lang, 'board.titleNamed', { title, name }) : title)
+    .setDescription(description || t(lang, 'common.noResult'))
+    .setColor(0x2f2b36)
+    .setFooter({ text: t(lang, 'board.pageFooter', { period: t(lang, `periods.${period}`), page: safe, pages }) })
+    .setTimestamp();
+
+  return { embed, pages };
+}
+
+function rankPosition(gid, type, userId) {
+  const ranked = getRanking(gid, type, -1).filter(r => rankingValue(type, r) > 0);
+  const index = ranked.findIndex(r => r.userId === userId);
+  const value = index >= 0 ? rankingValue(type, ranked[index]) : 0;
+  const rank = index >= 0 ? index + 1 : null;
+  // Amount still needed to overtake whoever currently holds `target` (1-based).
+  const gap = target => ranked[target-1] ? rankingValue(type, ranked[target-1]) - value + 1 : null;
+  return {
+    rank,
+    total: ranked.length,
+    value,
+    toNext: rank === 1 ? null : gap(rank ? rank - 1 : ranked.length),
+    toPodium: rank && rank <= 3 ? null : (ranked.length < 3 ? 1 : gap(3)),
+  };
+}
+
+function buildProfileEmbed(guild, user) {
+  const lang = guildLocale(guild.id);
+  const embed = new EmbedBuilder()
+    .setTitle(t(lang, 'profile.title', { name: user.username }))
+    .setThumbnail(user.displayAvatarURL())
+    .setColor(0x2f2b36)
+    .setTimestamp();
+
+  for (const type of BOARD_TYPES) {
+    const pos = rankPosition(guild.id, type, user.id);
+    const lines = [
+      pos.rank ? t(lang, 'profile.rank', { rank: pos.rank, total: pos.total }) : t(lang, 'profile.unranked'),
+      t(lang, 'profile.total', { value: formatStat(type, pos.value, lang) }),
+    ];
+    if (pos.toNext !== null) lines.push(t(lang, 'profile.toNext', { value: formatStat(type, pos.toNext, lang) }));
+    if (pos.toPodium !== null) lines.push(t(lang, 'profile.toPodium', { value: formatStat(type, pos.toPodium, lang) }));
+    if (pos.rank && pos.rank <= 3) lines.push(t(lang, 'profile.onPodium', { medal: MEDALS[pos.rank-1] }));
+    embed.addFields({ name: t(lang, `typeLabels.${type}`), value: lines.join('\n'), inline: true });
+  }
+
+  const settings = getGuildSettings(guild.id);
+  const xp = memberXp(guild.id, user.id, settings);
+  const level = levelForXp(xp, settings);
+  embed.addFields({
+    name: t(lang, 'profile.level', { level }),
+    value: t(lang, 'profile.levelValue', {
+      xp: formatStat('global', xp, lang),
+      next: level + 1,
+      missing: formatStat('global', xpForLevel(level + 1, settings) - xp, lang),
+    }),
+    inline: false,
+  });
+
+  const key = `${guild.id}:${user.id}`;
+  const state = guild.voiceStates.cache.get(user.id);
+  if (activeVoice.has(key) && state?.channelId) {
+    const start = activeVoice.get(key).getTime();
+    embed.addFields({
+      name: t(lang, 'profile.liveSession'),
+      value: t(lang, 'profile.liveSessionValue', {
+        channel: state.channelId,
+        time: `<t:${Math.floor(start/1000)}:R>`,
+        duration: formatDHMS((Date.now()-start)/1000, lang),
+      }),
+      inline: false,
+    });
+  }
+
+  const best = stmtGetBestPlacements.all(guild.id, user.id, 3);
+  embed.addFields({
+    name: t(lang, 'profile.best'),
+    value: best.map(b => {
+      const medal = b.rank <= 3 ? MEDALS[b.rank-1] : `**#${b.rank}**`;
+      return `${medal} ${t(lang, `typeNames.${b.type}`)} — \`${formatStat(b.type, b.value, lang)}\` (<t:${Math.floor(b.endAt/1000)}:d>)`;
+    }).join('\n') || t(lang, 'profile.noCycle'),
+    inline: false,
+  });
+
+  return embed;
+}
+
+function computeWinStreaks(gid, type, name = '') {
+  const streaks = new Map();
+  let holder = null;
+  for (const c of stmtGetCycleWinners.all(gid, type, name)) {
+    if (c.userId !== holder && holder) streaks.get(holder).current = 0;
+    holder = c.userId;
+    if (!holder) continue;
+    const s = streaks.get(holder) || { current: 0, best: 0 };
+    s.current += 1;
+    s.best = Math.max(s.best, s.current);
+    streaks.set(holder, s);
+  }
+  return streaks;
+}
+
+function buildPalmaresHistory(gid, type, page=1, name='') {
+  const lang = guildLocale(gid);
+  const total = stmtCountCycles.get(gid, type, name).n;
+  const pages = Math.max(1, total);
+  const safe = Math.min(Math.max(1,page),pages);
+  const baseTitle = t(lang, `palmares.titles.${type}`);
+  const title = name ? t(lang, 'board.titleNamed', { title: baseTitle, name }) : baseTitle;
+
+  const cycle = total ? stmtGetCycleAt.get(gid, type, name, safe-1) : null;
+  if (!cycle) {
+    const embed = new EmbedBuilder()
+      .setTitle(title)
+      .setDescription(t(lang, 'palmares.empty'))
+      .setColor(0x2f2b36);
+    return { embed, pages, page: safe };
+  }
+
+  const results = stmtGetCycleResults.all(cycle.id, LEADERBOARD_TOP);
+  const lines = results.map(r => {
+    const medal = r.rank <= 3 ? MEDALS[r.rank-1] : `**${r.rank}.**`;
+    const entrant = r.userId ? entrantMention(type, r.userId) : t(lang, 'privacy.erasedEntry');
+    return `${medal} ${entrant} — \`${formatStat(type === 'equipes' ? cycle.metric || 'global' : type, r.value, lang)}\``;
+  });
+  const period = cycle.startAt
+    ? t(lang, 'palmares.range', { start: `<t:${Math.floor(cycle.startAt/1000)}:f>`, end: `<t:${Math.floor(cycle.endAt/1000)}:f>` })
+    : t(lang, 'palmares.endedAt', { end: `<t:${Math.floor(cycle.endAt/1000)}:f>` });
+  const cycleLabel = CYCLES.includes(cycle.cycle) ? t(lang, `cycles.${cycle.cycle}.label`) : cycle.cycle;
+
+  const embed = new EmbedBuilder()
+    .setTitle(t(lang, 'palmares.cycleTitle', { title, cycle: cycleLabel }))
+    .setDescription(`${period}\n\n${lines.join('\n') || t(lang, 'palmares.noActivity')}`)
+    .setColor(0x2f2b36)
+    .setFooter({ text: t(lang, 'palmares.footer', { number: total - safe + 1, total, page: safe, pages }) });
+
+  return { embed, pages, page: safe };
+}
+
+function buildPalmaresMember(gid, user) {
+  const lang = guildLocale(gid);
+  const embed = new EmbedBuilder()
+    .setTitle(t(lang, 'palmares.memberTitle', { name: user.username }))
+    .setThumbnail(user.displayAvatarURL())
+    .setColor(0x2f2b36);
+
+  const counts = stmtGetMemberPodiums.all(gid, user.id);
+  for (const type of BOARD_TYPES) {
+    const byRank = counts.filter(c => c.type === type);
+    // Boards other than messages and voice are optional; their section only shows once the member has placed on one.
+    if (type !== 'message' && type !== 'vocal' && !byRank.length) continue;
+    const at = rank => byRank.find(c => c.rank === rank)?.n || 0;
+    const cycles = byRank.reduce((sum, c) => sum + c.n, 0);
+    const best = byRank.length ? Math.min(...byRank.map(c => c.rank)) : null;
+    const streak = computeWinStreaks(gid, type).get(user.id) || { current: 0, best: 0 };
+    embed.addFields({
+      name: t(lang, `typeLabels.${type}`),
+      value: cycles
+        ? [
+            t(lang, 'palmares.podiums', {
+              gold: MEDALS[0], first: at(1), silver: MEDALS[1], second: at(2), bronze: MEDALS[2], third: at(3),
+              total: at(1)+at(2)+at(3),
+            }),
+            t(lang, 'palmares.bestPlace', { place: best === 1 ? t(lang, 'palmares.first') : t(lang, 'palmares.nth', { n: best }), cycles }),
+            t(lang, 'palmares.streak', { current: streak.current, best: streak.best }),
+          ].join('\n')
+        : t(lang, 'palmares.neverRanked'),
+      inline: false,
+    });
+  }
+  return embed;
+}
+
+function buildHallOfFame(gid, type) {
+  const lang = guildLocale(gid);
+  const rows = stmtGetHallOfFame.all({ g: gid, t: type || null, l: LEADERBOARD_TOP });
+  const types = type ? [type] : BOARD_TYPES;
+  const bestStreak = new Map();
+  for (const ty of types) {
+    computeWinStreaks(gid, ty).forEach((s, uid) => bestStreak.set(uid, Math.max(bestStreak.get(uid) || 0, s.best)));
+  }
+
+  const lines = rows.map((r,i) => {
+    const medal = i < 3 ? MEDALS[i] : `**${i+1}.**`;
+    const streak = bestStreak.get(r.userId) ? ` · 🔥 ${bestStreak.get(r.userId)}` : '';
+    return `${medal} <@${r.userId}> — ${MEDALS[0]} ${r.wins} · ${MEDALS[1]} ${r.seconds} · ${MEDALS[2]} ${r.thirds}${streak}`;
+  });
+
+  return new EmbedBuilder()
+    .setTitle(type ? t(lang, 'palmares.hallOfFameType', { type: t(lang, `typeNames.${type}`) }) : t(lang, 'palmares.hallOfFame'))
+    .setDescription(lines.join('\n') || t(lang, 'palmares.empty'))
+    .setColor(0x2f2b36)
+    .setFooter({ text: t(lang, 'palmares.hallOfFameFooter') });
+}
+
+function buildStatusEmbed(gid) {
+  const lang = guildLocale(gid);
+  const boards = stmtGetGuildLeaderboards.all(gid);
+  const link = (b, id) => id ? `[message](https://discord.com/channels/${gid}/${b.channelId}/${id})` : t(lang, 'common.none');
+  const ts = (ms, style = 'f') => ms ? `<t:${Math.floor(ms/1000)}:${style}>` : '—';
+
+  const embed = new EmbedBuilder()
+    .setTitle(t(lang, 'status.title'))
+    .setColor(0x2f2b36)
+    .setTimestamp();
+  if (!boards.length) return embed.setDescription(t(lang, 'status.empty'));
+
+  for (const b of boards.slice(0, 25)) {
+    const state = b.pausedAt
+      ? t(lang, 'status.pausedSince', { time: ts(b.pausedAt, 'R') })
+      : t(lang, b.active ? 'status.active' : 'status.inactive');
+    const scope = stmtGetBoardScope.all(gid, b.type, b.name).map(r => `<#${r.targetId}>`);
+    embed.addFields({
+      name: b.name ? t(lang, 'board.titleNamed', { title: t(lang, `typeLabels.${b.type}`), name: b.name }) : t(lang, `typeLabels.${b.type}`),
+      value: [
+        t(lang, 'status.state', { state }),
+        t(lang, 'status.channel', { channel: b.channelId }) + (b.name ? t(lang, 'status.scope', { scope: scope.join(', ') || t(lang, 'common.wholeGuild') }) : ''),
+        t(lang, 'status.links', { board: link(b, b.messageId), timer: link(b, b.timerMessageId) }),
+        t(lang, 'status.cycle', { cycle: describeCycle(b, lang) }),
+        t(lang, 'status.dates', { start: ts(b.startAt), end: b.pausedAt ? t(lang, 'status.frozen') : ts(b.endAt) }),
+        t(lang, 'status.lastUpdate', { time: ts(b.lastUpdateAt, 'R') }),
+      ].join('\n'),
+      inline: false,
+    });
+  }
+  return embed;
+}
+
+function buildUpdateStatsEmbed(lang = DEFAULT_LOCALE) {
+  const blocked = updateBlockedUntil > Date.now() ? `<t:${Math.ceil(updateBlockedUntil/1000)}:R>` : t(lang, 'updates.no');
+  const channels = [...channelBlockedUntil.values()].filter(at => at > Date.now()).length;
+  return new EmbedBuilder()
+    .setTitle(t(lang, 'updates.title'))
+    .setColor(0x2f2b36)
+    .addFields(
+      { name: t(lang, 'updates.sent'), value: fmtNumber(updateStats.sent, lang), inline:true },
+      { name: t(lang, 'updates.skipped'), value: fmtNumber(updateStats.skipped, lang), inline:true },
+      { name: t(lang, 'updates.failed'), value: fmtNumber(updateStats.failed, lang), inline:true },
+      { name: t(lang, 'updates.rateLimited'), value: fmtNumber(updateStats.rateLimited, lang), inline:true },
+      { name: t(lang, 'updates.queued'), value: `${updateQueue.size} / ${updatesRunning}`, inline:true },
+      { name: t(lang, 'updates.blocked'), value: t(lang, 'updates.blockedValue', { global: blocked, channels }), inline:true },
+    )
+    .setFooter({ text: t(lang, 'updates.footer', { guilds: client.guilds.cache.size, uptime: formatDHMS(process.uptime(), lang) }) })
+    .setTimestamp();
+}
+
+function buildAntispamEmbed(gid) {
+  const lang = guildLocale(gid);
+  const st = getGuildSettings(gid);
+  const onOff = v => t(lang, v ? 'antispam.enabled' : 'antispam.disabled');
+  return new EmbedBuilder()
+    .setTitle(t(lang, 'antispam.title'))
+    .setDescription([
+      t(lang, 'antispam.cooldown', { value: st.msgCooldown ? t(lang, 'antispam.cooldownValue', { n: st.msgCooldown }) : t(lang, 'antispam.noneMasculine') }),
+      t(lang, 'antispam.minLength', { value: st.msgMinLength ? t(lang, 'antispam.minLengthValue', { n: st.msgMinLength }) : t(lang, 'antispam.noneFeminine') }),
+      t(lang, 'antispam.minWords', { value: st.msgMinWords || t(lang, 'antispam.noneMasculine') }),
+      t(lang, 'antispam.duplicates', { value: onOff(st.msgNoDuplicates) }),
+      t(lang, 'antispam.emoji', { value: onOff(st.msgIgnoreEmoji) }),
+      t(lang, 'antispam.stickers', { value: onOff(st.msgIgnoreStickers) }),
+      t(lang, 'antispam.attachments', { value: onOff(st.msgIgnoreAttachments) }),
+      t(lang, 'antispam.deletions', { value: onOff(st.msgUncountDeleted) }),
+    ].join('\n'))
+    .setColor(0x2f2b36);
+}
+
+function buildVoiceRulesEmbed(gid) {
+  const lang = guildLocale(gid);
+  const st = getGuildSettings(gid);
+  const rule = (v, label) => t(lang, 'voiceRules.rule', {
+    icon: v ? '⛔' : '✅',
+    label: t(lang, `voiceRules.${label}`),
+    state: t(lang, v ? 'voiceRules.notCounted' : 'voiceRules.counted'),
+  });
+  return new EmbedBuilder()
+    .setTitle(t(lang, 'voiceRules.title'))
+    .setDescription([
+      rule(st.voiceIgnoreSelfMute, 'selfMute'),
+      rule(st.voiceIgnoreSelfDeaf, 'selfDeaf'),
+      rule(st.voiceIgnoreServerMute, 'serverMute'),
+      rule(st.voiceIgnoreAfk, 'afk'),
+      rule(st.voiceIgnoreAlone, 'alone'),
+    ].join('\n'))
+    .setColor(0x2f2b36);
+}
+
+function buildFiltersEmbed(gid) {
+  const lang = guildLocale(gid);
+  const f = getFilters(gid);
+  const list = (set, fmt) => set.size ? [...set].map(fmt).join(', ') : t(lang, 'common.none');
+  return new EmbedBuilder()
+    .setTitle(t(lang, 'filters.title', { mode: t(lang, `filters.modes.${f.mode === 'allow' ? 'allow' : 'exclude'}`) }))
+    .setDescription(t(lang, f.mode === 'allow' ? 'filters.allowDescription' : 'filters.excludeDescription'))
+    .addFields(
+      { name: t(lang, 'filters.text'), value: list(f.text, id => `<#${id}>`), inline: false },
+      { name: t(lang, 'filters.voice'), value: list(f.voice, id => `<#${id}>`), inline: false },
+      { name: t(lang, 'filters.categories'), value: list(f.category, id => `<#${id}>`), inline: false },
+      { name: t(lang, 'filters.roles'), value: list(f.role, id => `<@&${id}>`), inline: false },
+    )
+    .setColor(0x2f2b36);
+}
+
+function buildRewardsEmbed(gid) {
+  const lang = guildLocale(gid);
+  const embed = new EmbedBuilder()
+    .setTitle(t(lang, 'rewards.title'))
+    .setColor(0x2f2b36);
+  const boards = [...BOARD_TYPES.map(type => ({ type, name: '' })), ...stmtGetGuildLeaderboards.all(gid).filter(b => b.name)];
+  for (const { type, name } of boards.slice(0, 25)) {
+    const rewards = stmtGetRewardRoles.all(gid, type, name);
+    const holders = stmtGetRewardHolders.all(gid, type, name);
+    const lines = rewards.map(r => `${r.rank <= 3 ? MEDALS[r.rank-1] : `**#${r.rank}**`} <@&${r.roleId}>`);
+    if (holders.length) lines.push(t(lang, 'rewards.holders', { users: holders.map(h => `<@${h.userId}>`).join(', ') }));
+    const label = t(lang, `typeLabels.${type}`);
+    embed.addFields({ name: name ? t(lang, 'board.titleNamed', { title: label, name }) : label, value: lines.join('\n') || t(lang, 'common.noneFeminine'), inline: false });
+  }
+  const logChannelId = getGuildSettings(gid).logChannelId;
+  return embed.setFooter({ text: t(lang, logChannelId ? 'rewards.logChannel' : 'rewards.noLogChannel') });
+}
+
+function buildLevelsEmbed(gid) {
+  const lang = guildLocale(gid);
+  const st = getGuildSettings(gid);
+  const roles = stmtGetLevelRoles.all(gid);
+  return new EmbedBuilder()
+    .setTitle(t(lang, 'levels.title'))
+    .setDescription([
+      t(lang, 'levels.perMessage', { value: formatStat('global', st.xpPerMessage, lang) }),
+      t(lang, 'levels.perVoiceMinute', { value: formatStat('global', st.xpPerVoiceMinute, lang) }),
+      t(lang, 'levels.curve', { base: fmtNumber(st.levelBase, lang), growth: st.levelGrowth.toLocaleString(t(lang, 'meta.intl')) }),
+      t(lang, 'levels.channel', { channel: st.levelChannelId ? `<#${st.levelChannelId}>` : t(lang, 'levels.noChannel') }),
+    ].join('\n'))
+    .addFields(
+      {
+        name: t(lang, 'levels.steps'),
+        value: LEVEL_STEPS.map(level => t(lang, 'levels.step', { level, value: formatStat('global', xpForLevel(level, st), lang) })).join('\n'),
+        inline: true,
+      },
+      {
+        name: t(lang, 'levels.roles'),
+        value: roles.map(r => t(lang, 'levels.roleLine', { level: r.level, role: r.roleId })).join('\n') || t(lang, 'common.none'),
+        inline: true,
+      },
+    )
+    .setColor(0x2f2b36);
+}
+
+function buildNotificationsEmbed(gid) {
+  const lang = guildLocale(gid);
+  const st = getGuildSettings(gid);
+  const onOff = v => t(lang, v ? 'antispam.enabled' : 'antispam.disabled');
+  return new EmbedBuilder()
+    .setTitle(t(lang, 'notify.title'))
+    .setDescription([
+      t(lang, 'notify.channel', { channel: st.notifyChannelId ? `<#${st.notifyChannelId}>` : t(lang, 'notify.noChannel') }),
+      t(lang, 'notify.milestones', { value: onOff(st.notifyMilestones) }),
+      t(lang, 'notify.podium', { value: onOff(st.notifyPodium) }),
+      t(lang, 'notify.overtaken', { value: onOff(st.notifyOvertaken) }),
+      t(lang, 'notify.cooldown', { n: st.notifyCooldown }),
+      t(lang, 'notify.hourlyLimit', { n: st.notifyHourlyLimit }),
+      '',
+      t(lang, 'notify.dmHint'),
+    ].join('\n'))
+    .addFields(
+      { name: t(lang, 'notify.messageSteps'), value: milestoneList(st, 'message').map(n => formatStat('message', n, lang)).join('\n'), inline: true },
+      { name: t(lang, 'notify.voiceSteps'), value: milestoneList(st, 'vocal').map(n => t(lang, 'notify.hours', { n: fmtNumber(n, lang) })).join('\n'), inline: true },
+    )
+    .setColor(0x2f2b36);
+}
+
+function buildTeamsEmbed(gid) {
+  const lang = guildLocale(gid);
+  const ranking = getRanking(gid, 'equipes', -1);
+  const deleted = stmtGetTeams.all(gid).filter(r => !ranking.some(team => team.userId === r.roleId));
+  const lines = [
+    ...ranking.map((team, i) => {
+      const medal = i < 3 ? MEDALS[i] : `**${i+1}.**`;
+      return `${medal} <@&${team.userId}> — \`${formatRankingValue('equipes', team, lang)}\`\n${teamDetails(team, lang)}`;
+    }),
+    ...deleted.map(r => t(lang, 'teams.deletedRole', { role: r.roleId })),
+  ];
+  const period = stmtGetLeaderboard.get(gid, 'equipes', '')?.startAt ? 'cycle' : 'all';
+  return new EmbedBuilder()
+    .setTitle(t(lang, 'teams.title'))
+    .setDescription((lines.join('\n') || t(lang, 'teams.empty')).slice(0, 4096))
+    .setColor(0x2f2b36)
+    .setFooter({ text: t(lang, 'teams.footer', { metric: t(lang, `typeNames.${getGuildSettings(gid).teamMetric}`), period: t(lang, `periods.${period}`) }) });
+}
+
+function buildPrivacyEmbed(gid, user) {
+  const lang = guildLocale(gid);
+  const { messages, voiceSeconds } = stmtGetMemberTotals.get(gid, user.id);
+  const placements = stmtGetMemberPodiums.all(gid, user.id).reduce((sum, c) => sum + c.n, 0);
+  const purgeDays = getGuildSettings(gid).departedPurgeDays;
+  return new EmbedBuilder()
+    .setTitle(t(lang, 'privacy.title'))
+    .setDescription([
+      t(lang, isOptedOut(gid, user.id) ? 'privacy.statusOut' : 'privacy.statusIn'),
+      '',
+      t(lang, 'privacy.stored'),
+      t(lang, 'privacy.storedActivity', { messages: formatStat('message', messages, lang), voice: formatStat('vocal', voiceSeconds, lang) }),
+      t(lang, 'privacy.storedLevel', { level: stmtGetMemberLevel.get(gid, user.id)?.level ?? 0 }),
+      t(lang, 'privacy.storedCycles', { n: placements }),
+      '',
+      purgeDays === null ? t(lang, 'privacy.departedKept') : t(lang, 'privacy.departedErased', { days: purgeDays }),
+    ].join('\n'))
+    .setColor(0x2f2b36);
+}
+
+function buildRejectionsEmbed(gid, user) {
+  const lang = guildLocale(gid);
+  const reason = key => t(lang, `rejections.reasons.${key}`);
+  const embed = new EmbedBuilder().setColor(0x2f2b36).setTimestamp();
+  if (user) {
+    const rows = stmtGetUserRejections.all(gid, user.id);
+    const total = rows.reduce((sum, r) => sum + r.count, 0);
+    return embed
+      .setTitle(t(lang, 'rejections.titleMember', { name: user.username }))
+      .setDescription(rows.map(r => `• ${reason(r.reason)} : \`${fmtNumber(r.count, lang)}\``).join('\n') || t(lang, 'rejections.empty'))
+      .setFooter({ text: t(lang, 'rejections.total', { n: fmtNumber(total, lang) }) });
+  }
+
+  const byUser = new Map();
+  for (const r of stmtGetRejections.all(gid)) {
+    const u = byUser.get(r.userId) || { total: 0, reasons: [] };
+    u.total += r.count;
+    u.reasons.push(`${reason(r.reason)} ${fmtNumber(r.count, lang)}`);
+    byUser.set(r.userId, u);
+  }
+  const lines = [...byUser.entries()]
+    .sort((a,b) => b[1].total - a[1].total)
+    .slice(0, LEADERBOARD_TOP)
+    .map(([uid, u], i) => `**${i+1}.** <@${uid}> — \`${fmtNumber(u.total, lang)}\`\n└ ${u.reasons.join(' · ')}`);
+  return embed
+    .setTitle(t(lang, 'rejections.title'))
+    .setDescription(lines.join('\n') || t(lang, 'rejections.empty'));
+}
+
+function makePalmaresButtons(type,page,max,name=''){
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`palm_prev:${type}:${page}:${name}`)
+      .setLabel('⬅️')
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(page<=1),
+    new ButtonBuilder()
+      .setCustomId(`palm_next:${type}:${page}:${name}`)
+      .setLabel('➡️')
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(page>=max)
+  );
+}
+
+function makePageButtons(type,page,max,period='cycle',name=''){
+  const row = new ActionRowBuilder();
+  row.addComponents(
+    new ButtonBuilder()
+      .setCustomId(`classe_prev:${type}:${page}:${period}:${name}`)
+      .setLabel('⬅️')
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(page<=1),
+    new ButtonBuilder()
+      .setCustomId(`classe_next:${type}:${page}:${period}:${name}`)
+      .setLabel('➡️')
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(page>=max)
+  );
+  return row;
+}
+
+client.on('interactionCreate', async interaction => {
+  const lang = guildLocale(interaction.guildId);
+  try {
+
+    if (interaction.isChatInputCommand()) {
+
+      if (interaction.commandName === 'classement') {
+        const type = interaction.options.getString('type');
+        const period = interaction.options.getString('periode') || 'cycle';
+        const name = parseBoardName(interaction.options.getString('nom'));
+        if (name && !stmtGetLeaderboard.get(interaction.guildId, type, name))
+          return interaction.reply({ content: t(lang, 'common.unknownBoard', { title: boardTitle(type, name, lang) }), ephemeral:true });
+        await interaction.deferReply();
+        const { embed, pages } = await buildClassementPaginated(interaction.guildId, type, 1, period, name || '');
+        const row = makePageButtons(type,1,pages,period,name || '');
+        return interaction.editReply({ embeds:[embed], components:[row] });
+      }
+
+      if (interaction.commandName === 'profil') {
+        const user = interaction.options.getUser('membre') || interaction.user;
+        if (isOptedOut(interaction.guildId, user.id))
+          return interaction.reply({ content: t(lang, 'privacy.profileHidden'), ephemeral:true });
+        return interaction.reply({ embeds:[buildProfileEmbed(interaction.guild, user)] });
+      }
+
+      if (interaction.commandName === 'confidentialite') {
+        if (!interaction.guildId)
+          return interaction.reply({ content: t(lang, 'common.guildOnly'), ephemeral:true });
+
+        const gid = interaction.guildId;
+        const uid = interaction.user.id;
+        const sub = interaction.options.getSubcommand();
+
+        if (sub === 'voir')
+          return interaction.reply({ embeds:[buildPrivacyEmbed(gid, interaction.user)], ephemeral:true });
+
+        if (sub === 'supprimer') {
+          const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId(`privacy_erase:${uid}`).setLabel(t(lang, 'privacy.eraseConfirm')).setStyle(ButtonStyle.Danger),
+            new ButtonBuilder().setCustomId(`privacy_keep:${uid}`).setLabel(t(lang, 'data.cancel')).setStyle(ButtonStyle.Secondary),
+          );
+          return interaction.reply({ content: t(lang, 'privacy.eraseWarning'), components:[row], ephemeral:true });
+        }
+
+        if (sub === 'desactiver') stmtAddOptOut.run(gid, uid, Date.now());
+        else stmtRemoveOptOut.run(gid, uid);
+        privacyCache.delete(gid);
+        const state = interaction.guild.voiceStates.cache.get(uid);
+        if (state?.channel && state.member) refreshVoiceState(state, getGuildSettings(gid));
+        scheduleLeaderboardUpdate(gid, 'message');
+        scheduleLeaderboardUpdate(gid, 'vocal');
+        scheduleLeaderboardUpdate(gid, 'reactions');
+        return interaction.reply({ content: t(lang, sub === 'desactiver' ? 'privacy.optedOut' : 'privacy.optedIn'), ephemeral:true });
+      }
+
+      if (interaction.commandName === 'palmares') {
+        const sub = interaction.options.getSubcommand();
+
+        if (sub === 'historique') {
+          const type = interaction.options.getString('type');
+          const name = parseBoardName(interaction.options.getString('nom')) || '';
+          const { embed, pages, page } = buildPalmaresHistory(interaction.guildId, type, 1, name);
+          return interaction.reply({ embeds:[embed], components:[makePalmaresButtons(type,page,pages,name)] });
+        }
+
+        if (sub === 'membre') {
+          const user = interaction.options.getUser('membre') || interaction.user;
+          return interaction.reply({ embeds:[buildPalmaresMember(interaction.guildId, user)] });
+        }
+
+        if (sub === 'hall-of-fame') {
+          const type = interaction.options.getString('type');
+          return interaction.reply({ embeds:[buildHallOfFame(interaction.guildId, type)] });
+        }
+      }
 
       if (interaction.commandName === 'setleaderboard') {
 
-        if (!OWNER_IDS.includes(interaction.user.id))
-          return interaction.reply({ content:"❌ Vous n'avez pas la permission.", ephemeral:true });
+        if (!canManageGuild(interaction))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
 
         const type = interaction.options.getString('type');
         const ch = interaction.options.getChannel('salon');
         if (!ch || !ch.isTextBased())
-          return interaction.reply({ content:'Salon invalide.', ephemeral:true });
+          return interaction.reply({ content: t(lang, 'common.invalidChannel'), ephemeral:true });
+
+        const name = parseBoardName(interaction.options.getString('nom'));
+        if (name === null)
+          return interaction.reply({ content: t(lang, 'common.invalidBoardName'), ephemeral:true });
+        const scope = interaction.options.getChannel('portee');
+        if (scope && !name)
+          return interaction.reply({ content: t(lang, 'setleaderboard.scopeNeedsName'), ephemeral:true });
+
+        const schedule = {
+          cycle: interaction.options.getString('cycle') || 'weekly',
+          cycleMs: null,
+          anchorDay: null,
+          anchorTime: null,
+          timezone: interaction.options.getString('fuseau') || null,
+        };
+
+        // Options the chosen cycle doesn't use are refused rather than silently dropped.
+        const duree = interaction.options.getString('duree');
+        const heure = interaction.options.getString('heure');
+        const jour = interaction.options.getString('jour');
+        if (duree && schedule.cycle !== 'custom')
+          return interaction.reply({ content: t(lang, 'setleaderboard.durationNeedsCustom'), ephemeral:true });
+        if (heure && !['daily','weekly','monthly'].includes(schedule.cycle))
+          return interaction.reply({ content: t(lang, 'setleaderboard.timeNeedsCalendar'), ephemeral:true });
+        if (jour && (schedule.cycle !== 'weekly' || !heure))
+          return interaction.reply({ content: t(lang, 'setleaderboard.dayNeedsWeeklyTime'), ephemeral:true });
+
+        if (schedule.cycle === 'custom') {
+          schedule.cycleMs = parseDuration(duree);
+          if (!schedule.cycleMs || schedule.cycleMs < MINUTE_MS)
+            return interaction.reply({ content: t(lang, 'setleaderboard.invalidDuration'), ephemeral:true });
+        }
 
-        const startAt = Date.now();
-        const endAt = startAt + TEST_MS;
+        if (heure) {
+          schedule.anchorTime = parseAnchorTime(heure);
+          if (!schedule.anchorTime)
+            return interaction.reply({ content: t(lang, 'setleaderboard.invalidTime'), ephemeral:true });
+          if (schedule.cycle === 'weekly') schedule.anchorDay = parseInt(jour ?? '1');
+        }
+
+        if (schedule.timezone && !isValidTimezone(schedule.timezone))
+          return interaction.reply({ content: t(lang, 'setleaderboard.invalidTimezone'), ephemeral:true });
+
+        await interaction.deferReply({ ephemeral:true });
+        const startAt = startCycle(interaction.guildId, type);
+        const endAt = computeCycleEnd(schedule, startAt);
 
         stmtUpsertLeaderboard.run({
           g: interaction.guildId,
           t: type,
+          n: name,
           c: ch.id,
           m: null,
           tm: null,
           s: startAt,
           e: endAt,
           w: null,
-          a: 1
+          a: 1,
+          cy: schedule.cycle,
+          cm: schedule.cycleMs,
+          ad: schedule.anchorDay,
+          at: schedule.anchorTime,
+          tz: schedule.timezone,
         });
 
-        const unix = Math.floor(endAt / 1000);
-        const timerMsg = await ch.send(`⏳ Le classement sera réinitialisé <t:${unix}:R>`);
-        stmtUpdateTimerMessage.run(timerMsg.id, interaction.guildId, type);
+        // Reconfiguring a board starts it over, scope included.
+        stmtClearBoardScope.run(interaction.guildId, type, name);
+        if (scope) stmtAddBoardScope.run(interaction.guildId, type, name, scope.id);
+
+        const timerMsg = await ch.send(timerMessageText(endAt, null, lang));
+        stmtUpdateTimerMessage.run(timerMsg.id, interaction.guildId, type, name);
 
-        const { embed } = await buildConfiguredEmbed(interaction.guildId, type);
+        const { embed } = await buildConfiguredEmbed(interaction.guildId, type, name);
         const sent = await ch.send({ embeds:[embed] });
-        stmtUpdateLeaderboardMessage.run(sent.id, interaction.guildId, type);
+        stmtUpdateLeaderboardMessage.run(sent.id, interaction.guildId, type, name);
+
+        const channels = stmtGetBoardScope.all(interaction.guildId, type, name).map(r => `<#${r.targetId}>`);
+        return interaction.editReply({
+          content: t(lang, 'setleaderboard.done', { title: boardTitle(type, name, lang), channel: ch.id, cycle: describeCycle(schedule, lang) })
+            + (channels.length ? `\n${t(lang, 'setleaderboard.scope', { channels: channels.join(', ') })}` : ''),
+        });
+      }
+
+      if (interaction.commandName === 'leaderboard') {
+        if (!canManageGuild(interaction))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
+
+        const gid = interaction.guildId;
+        const sub = interaction.options.getSubcommand();
+        if (sub === 'statut')
+          return interaction.reply({ embeds:[buildStatusEmbed(gid)], ephemeral:true });
+
+        const type = interaction.options.getString('type');
+        const name = parseBoardName(interaction.options.getString('nom')) || '';
+        const title = boardTitle(type, name, lang);
+        const cfg = stmtGetLeaderboard.get(gid, type, name);
+        if (!cfg)
+          return interaction.reply({ content: t(lang, 'common.unknownBoard', { title }), ephemeral:true });
+
+        if (sub === 'portee') {
+          if (!name)
+            return interaction.reply({ content: t(lang, 'leaderboard.scopeMainBoard'), ephemeral:true });
+          const target = interaction.options.getChannel('salon');
+          if (interaction.options.getBoolean('retirer')) stmtRemoveBoardScope.run(gid, type, name, target.id);
+          else stmtAddBoardScope.run(gid, type, name, target.id);
+          scheduleBoardUpdate(gid, type, name, 0);
+          const channels = stmtGetBoardScope.all(gid, type, name).map(r => `<#${r.targetId}>`);
+          return interaction.reply({ content: t(lang, 'leaderboard.scopeSet', { title, channels: channels.join(', ') || t(lang, 'common.wholeGuild') }), ephemeral:true });
+        }
+
+        if (sub === 'pause') {
+          if (cfg.pausedAt)
+            return interaction.reply({ content: t(lang, 'leaderboard.alreadyPaused'), ephemeral:true });
+          await interaction.deferReply({ ephemeral:true });
+          const now = Date.now();
+          stmtPauseLeaderboard.run(now, gid, type, name);
+          await updateTimerMessage(cfg, timerMessageText(cfg.endAt, now, lang));
+          scheduleBoardUpdate(gid, type, name, 0, true);
+          return interaction.editReply({ content: t(lang, 'leaderboard.paused', { title }) });
+        }
+
+        if (sub === 'reprendre') {
+          if (!cfg.pausedAt)
+            return interaction.reply({ content: t(lang, 'leaderboard.notPaused'), ephemeral:true });
+          await interaction.deferReply({ ephemeral:true });
+          const endAt = cfg.endAt ? cfg.endAt + (Date.now() - cfg.pausedAt) : null;
+          stmtResumeLeaderboard.run(endAt, gid, type, name);
+          await updateTimerMessage(cfg, timerMessageText(endAt, null, lang));
+          scheduleBoardUpdate(gid, type, name, 0);
+          const content = endAt
+            ? t(lang, 'leaderboard.resumedUntil', { title, time: `<t:${Math.floor(endAt/1000)}:R>` })
+            : t(lang, 'leaderboard.resumed', { title });
+          return interaction.editReply({ content });
+        }
+
+        if (sub === 'terminer') {
+          await interaction.deferReply({ ephemeral:true });
+          const failure = await finalizeAndResetLeaderboard(gid, type, name);
+          const content = failure ? t(lang, `leaderboard.endFailed.${failure}`, { title }) : t(lang, 'leaderboard.ended', { title });
+          return interaction.editReply({ content });
+        }
+
+        if (sub === 'arreter') {
+          await interaction.deferReply({ ephemeral:true });
+          stmtDeleteLeaderboard.run(gid, type, name);
+          stmtClearBoardScope.run(gid, type, name);
+          unscheduleBoardUpdate(gid, type, name);
+          await updateTimerMessage(cfg, t(lang, 'timer.stopped'));
+          return interaction.editReply({ content: t(lang, 'leaderboard.stopped', { title }) });
+        }
+      }
+
+      if (interaction.commandName === 'apparence') {
+        if (!canManageGuild(interaction))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
+
+        const gid = interaction.guildId;
+        const sub = interaction.options.getSubcommand();
+        const type = interaction.options.getString('type');
+        const name = parseBoardName(interaction.options.getString('nom')) || '';
+        const title = boardTitle(type, name, lang);
+        const cfg = stmtGetLeaderboard.get(gid, type, name);
+
+        if (sub === 'reinitialiser' || sub === 'modifier') {
+          if (!cfg)
+            return interaction.reply({ content: t(lang, 'common.unknownBoard', { title }), ephemeral:true });
+          const { look, error } = sub === 'modifier' ? readAppearanceOptions(interaction.options, lang) : { look: null };
+          if (error) return interaction.reply({ content:error, ephemeral:true });
+          const merged = { title: null, color: null, thumbnail: null, topCount: null, lineTemplate: null, compactDuration: 0, footerText: null };
+          if (look) for (const key of Object.keys(merged)) merged[key] = key in look ? look[key] : cfg[key];
+          stmtSetBoardAppearance.run({ ...merged, g: gid, t: type, n: name });
+          scheduleBoardUpdate(gid, type, name, 0);
+          const { embed } = await buildConfiguredEmbed(gid, type, name);
+          return interaction.reply({ content: t(lang, look ? 'appearance.saved' : 'appearance.reset', { title }), embeds:[embed], ephemeral:true });
+        }
+
+        if (sub === 'apercu') {
+          const { look, error } = readAppearanceOptions(interaction.options, lang);
+          if (error) return interaction.reply({ content:error, ephemeral:true });
+          const { embed } = await buildConfiguredEmbed(gid, type, name, { ...(cfg || { guildId: gid, type, name }), ...look });
+          return interaction.reply({ content: t(lang, 'appearance.preview'), embeds:[embed], ephemeral:true });
+        }
+      }
+
+      if (interaction.commandName === 'stats') {
+        if (!canManageGuild(interaction))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
+
+        const gid = interaction.guildId;
+        const sub = interaction.options.getSubcommand();
+        const reason = interaction.options.getString('raison');
+        const audit = { actorId: interaction.user.id, reason };
+        const ensureUser = user => {
+          const member = interaction.guild.members.cache.get(user.id);
+          stmtUpsertUser.run({ g: gid, u: user.id, n: member?.displayName || user.username });
+        };
+
+        if (sub === 'journal') {
+          const embed = buildAuditEmbed(gid, interaction.options.getUser('membre'), interaction.options.getInteger('page') || 1);
+          return interaction.reply({ embeds:[embed], ephemeral:true, allowedMentions: { parse: [] } });
+        }
+
+        if (sub === 'transferer') {
+          const from = interaction.options.getUser('source');
+          const to = interaction.options.getUser('cible');
+          if (from.id === to.id)
+            return interaction.reply({ content: t(lang, 'stats.sameAccount'), ephemeral:true });
+          ensureUser(from);
+          ensureUser(to);
+          flushVoiceSession(gid, from.id);
+          flushVoiceSession(gid, to.id);
+          const moved = transferUserStats(gid, from.id, to.id, audit);
+          scheduleLeaderboardUpdate(gid, 'message');
+          scheduleLeaderboardUpdate(gid, 'vocal');
+          scheduleLeaderboardUpdate(gid, 'reactions');
+          checkLevelUp(gid, to.id).catch(e => console.error('checkLevelUp err', e));
+          checkMilestones(gid, to.id).catch(e => console.error('checkMilestones err', e));
+          return interaction.reply({
+            content: t(lang, 'stats.transferred', { from: from.id, to: to.id, messages: formatStat('message', moved.message, lang), voice: formatStat('vocal', moved.vocal, lang) }),
+            ephemeral:true,
+          });
+        }
+
+        const user = interaction.options.getUser('membre');
+        ensureUser(user);
+        flushVoiceSession(gid, user.id);
+
+        if (sub === 'reinitialiser') {
+          const m = setUserStat(gid, user.id, 'message', 0, { ...audit, action: 'reset' });
+          const v = setUserStat(gid, user.id, 'vocal', 0, { ...audit, action: 'reset' });
+          scheduleLeaderboardUpdate(gid, 'message');
+          scheduleLeaderboardUpdate(gid, 'vocal');
+          return interaction.reply({
+            content: t(lang, 'stats.reset', { user: user.id, messages: formatStat('message', m.before, lang), voice: formatStat('vocal', v.before, lang) }),
+            ephemeral:true,
+          });
+        }
+
+        const type = interaction.options.getString('type');
+        const value = parseStatValue(type, interaction.options.getString('valeur'));
+        if (value === null)
+          return interaction.reply({ content: t(lang, type === 'message' ? 'stats.invalidMessages' : 'stats.invalidDuration'), ephemeral:true });
+
+        const current = getUserStat(gid, user.id, type);
+        const target = sub === 'ajouter' ? current + value : sub === 'retirer' ? current - value : value;
+        const action = { ajouter: 'add', retirer: 'remove', definir: 'set' }[sub];
+        const res = setUserStat(gid, user.id, type, target, { ...audit, action });
+        scheduleLeaderboardUpdate(gid, type);
+        return interaction.reply({
+          content: t(lang, 'stats.changed', { user: user.id, before: formatStat(type, res.before, lang), after: formatStat(type, res.after, lang) }),
+          ephemeral:true,
+        });
+      }
+
+      if (interaction.commandName === 'donnees') {
+        if (!canManageGuild(interaction))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
+
+        const gid = interaction.guildId;
+
+        if (interaction.options.getSubcommand() === 'effacer') {
+          const user = interaction.options.getUser('membre');
+          eraseMember(gid, user.id, { actorId: interaction.user.id, reason: interaction.options.getString('raison') });
+          return interaction.reply({ content: t(lang, 'privacy.erasedMember', { user: user.id }), ephemeral:true });
+        }
+
+        if (interaction.options.getSubcommand() === 'departs') {
+          const days = interaction.options.getInteger('jours');
+          setGuildSetting(gid, 'departedPurgeDays', days);
+          purgeDepartedMembers();
+          return interaction.reply({ content: days === null ? t(lang, 'privacy.departedHide') : t(lang, 'privacy.departedPurge', { days }), ephemeral:true });
+        }
+
+        if (interaction.options.getSubcommand() === 'web') {
+          const actif = interaction.options.getBoolean('actif');
+          setGuildSetting(gid, 'webPublic', actif ? 1 : 0);
+          if (!actif)
+            return interaction.reply({ content: t(lang, 'data.webDisabled'), ephemeral:true });
+          const where = HTTP_PORT ? t(lang, 'data.webPaths', { guild: gid }) : t(lang, 'data.webNoServer');
+          return interaction.reply({ content: t(lang, 'data.webEnabled', { where }), ephemeral:true });
+        }
+
+        if (interaction.options.getSubcommand() === 'exporter') {
+          await interaction.deferReply({ ephemeral:true });
+          const files = exportAttachments(gid, interaction.options.getString('format'));
+          return interaction.editReply({ content: t(lang, 'data.exported'), files });
+        }
+
+        const file = interaction.options.getAttachment('fichier');
+        const mode = interaction.options.getString('mode');
+        if (!/\.(csv|json)$/i.test(file.name))
+          return interaction.reply({ content: t(lang, 'data.badExtension'), ephemeral:true });
+        if (file.size > IMPORT_MAX_BYTES)
+          return interaction.reply({ content: t(lang, 'data.tooLarge'), ephemeral:true });
+
+        await interaction.deferReply({ ephemeral:true });
+        let data, plan;
+        try {
+          const res = await fetch(file.url);
+          if (!res.ok) throw new Error(t(lang, 'data.downloadFailed', { status: res.status }));
+          data = parseImportFile(file.name, await res.text(), lang);
+          plan = planImport(gid, data, mode);
+        } catch (e) {
+          return interaction.editReply({ content: t(lang, 'data.rejected', { reason: e.message }) });
+        }
+
+        for (const [key, p] of pendingImports) if (p.expires < Date.now()) pendingImports.delete(key);
+        const id = interaction.id;
+        pendingImports.set(id, { gid, userId: interaction.user.id, mode, data, expires: Date.now() + IMPORT_TTL_MS });
+        const row = new ActionRowBuilder().addComponents(
+          new ButtonBuilder().setCustomId(`import_ok:${id}`).setLabel(t(lang, 'data.confirm')).setStyle(ButtonStyle.Danger),
+          new ButtonBuilder().setCustomId(`import_no:${id}`).setLabel(t(lang, 'data.cancel')).setStyle(ButtonStyle.Secondary),
+        );
+        return interaction.editReply({ embeds:[buildImportPreview(plan, mode, lang)], components:[row], allowedMentions: { parse: [] } });
+      }
+
+      if (interaction.commandName === 'antispam') {
+        if (!canManageGuild(interaction))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
+
+        const sub = interaction.options.getSubcommand();
+
+        if (sub === 'config') {
+          const options = {
+            cooldown: 'msgCooldown',
+            longueur_min: 'msgMinLength',
+            mots_min: 'msgMinWords',
+            doublons: 'msgNoDuplicates',
+            emojis_seuls: 'msgIgnoreEmoji',
+            stickers_seuls: 'msgIgnoreStickers',
+            pieces_jointes_seules: 'msgIgnoreAttachments',
+            suppressions: 'msgUncountDeleted',
+          };
+          for (const [name, column] of Object.entries(options)) {
+            const opt = interaction.options.get(name);
+            if (opt) setGuildSetting(interaction.guildId, column, typeof opt.value === 'boolean' ? Number(opt.value) : opt.value);
+          }
+          return interaction.reply({ content: t(lang, 'common.rulesUpdated'), embeds:[buildAntispamEmbed(interaction.guildId)], ephemeral:true });
+        }
+
+        if (sub === 'voir')
+          return interaction.reply({ embeds:[buildAntispamEmbed(interaction.guildId)], ephemeral:true });
+
+        if (sub === 'stats')
+          return interaction.reply({ embeds:[buildRejectionsEmbed(interaction.guildId, interaction.options.getUser('membre'))], ephemeral:true });
+      }
+
+      if (interaction.commandName === 'regles-vocal') {
+        if (!canManageGuild(interaction))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
+
+        if (interaction.options.getSubcommand() === 'config') {
+          const options = {
+            micro_coupe: 'voiceIgnoreSelfMute',
+            casque_coupe: 'voiceIgnoreSelfDeaf',
+            mute_serveur: 'voiceIgnoreServerMute',
+            salon_afk: 'voiceIgnoreAfk',
+            seul: 'voiceIgnoreAlone',
+          };
+          for (const [name, column] of Object.entries(options)) {
+            const value = interaction.options.getBoolean(name);
+            if (value !== null) setGuildSetting(interaction.guildId, column, Number(value));
+          }
+          refreshGuildVoice(interaction.guild);
+          return interaction.reply({ content: t(lang, 'common.rulesUpdated'), embeds:[buildVoiceRulesEmbed(interaction.guildId)], ephemeral:true });
+        }
+
+        return interaction.reply({ embeds:[buildVoiceRulesEmbed(interaction.guildId)], ephemeral:true });
+      }
+
+      if (interaction.commandName === 'filtres') {
+        if (!canManageGuild(interaction))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
+
+        const gid = interaction.guildId;
+        const sub = interaction.options.getSubcommand();
+
+        if (sub === 'ajouter-salon' || sub === 'retirer-salon') {
+          const ch = interaction.options.getChannel('salon');
+          if (sub === 'ajouter-salon') stmtAddFilter.run(gid, channelKind(ch), ch.id);
+          else stmtRemoveFilter.run(gid, ch.id);
+        } else if (sub === 'ajouter-role' || sub === 'retirer-role') {
+          const role = interaction.options.getRole('role');
+          if (sub === 'ajouter-role') stmtAddFilter.run(gid, 'role', role.id);
+          else stmtRemoveFilter.run(gid, role.id);
+        } else if (sub === 'mode') {
+          setGuildSetting(gid, 'filterMode', interaction.options.getString('mode'));
+        }
+
+        if (sub !== 'voir') {
+          filterCache.delete(gid);
+          refreshGuildVoice(interaction.guild);
+          scheduleLeaderboardUpdate(gid, 'message');
+          scheduleLeaderboardUpdate(gid, 'vocal');
+          scheduleLeaderboardUpdate(gid, 'reactions');
+        }
+        return interaction.reply({ embeds:[buildFiltersEmbed(gid)], ephemeral:true });
+      }
+
+      if (interaction.commandName === 'recompenses') {
+        if (!canManageGuild(interaction))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
+
+        const gid = interaction.guildId;
+        const sub = interaction.options.getSubcommand();
+        const type = interaction.options.getString('type');
+        const name = parseBoardName(interaction.options.getString('nom')) || '';
+        const role = interaction.options.getRole('role');
+
+        if (sub === 'voir')
+          return interaction.reply({ embeds:[buildRewardsEmbed(gid)], ephemeral:true });
+
+        if (role && (role.managed || role.id === gid))
+          return interaction.reply({ content: t(lang, 'rewards.unassignable'), ephemeral:true });
+
+        if (sub === 'position') {
+          stmtSetRewardRole.run({ g: gid, t: type, n: name, r: interaction.options.getInteger('position'), role: role.id });
+        } else if (sub === 'top') {
+          const n = interaction.options.getInteger('nombre');
+          db.transaction(() => {
+            stmtClearRewardRoles.run(gid, type, name);
+            for (let rank = 1; rank <= n; rank++) stmtSetRewardRole.run({ g: gid, t: type, n: name, r: rank, role: role.id });
+          })();
+        } else if (sub === 'retirer') {
+          const position = interaction.options.getInteger('position');
+          if (position) stmtDeleteRewardRole.run(gid, type, name, position);
+          else stmtClearRewardRoles.run(gid, type, name);
+        } else if (sub === 'salon-logs') {
+          const ch = interaction.options.getChannel('salon');
+          if (!ch?.isTextBased())
+            return interaction.reply({ content: t(lang, 'common.invalidChannel'), ephemeral:true });
+          setGuildSetting(gid, 'logChannelId', ch.id);
+        }
+
+        const warning = role && !role.editable ? `\n${t(lang, 'rewards.notEditable', { role: role.id })}` : '';
+        return interaction.reply({ content: t(lang, 'rewards.saved') + warning, embeds:[buildRewardsEmbed(gid)], ephemeral:true });
+      }
+
+      if (interaction.commandName === 'niveaux') {
+        if (!canManageGuild(interaction))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
+
+        const gid = interaction.guildId;
+        const sub = interaction.options.getSubcommand();
+
+        if (sub === 'config') {
+          const options = {
+            points_message: 'xpPerMessage',
+            points_minute: 'xpPerVoiceMinute',
+            niveau_base: 'levelBase',
+            croissance: 'levelGrowth',
+          };
+          for (const [name, column] of Object.entries(options)) {
+            const opt = interaction.options.get(name);
+            if (opt) setGuildSetting(gid, column, opt.value);
+          }
+          scheduleLeaderboardUpdate(gid, 'global', 0);
+          scheduleLeaderboardUpdate(gid, 'equipes', 0);
+          return interaction.reply({ content: t(lang, 'levels.saved'), embeds:[buildLevelsEmbed(gid)], ephemeral:true });
+        }
+
+        if (sub === 'annonces') {
+          const ch = interaction.options.getChannel('salon');
+          if (ch && !ch.isTextBased())
+            return interaction.reply({ content: t(lang, 'common.invalidChannel'), ephemeral:true });
+          setGuildSetting(gid, 'levelChannelId', ch?.id || null);
+          return interaction.reply({ content: t(lang, 'levels.saved'), embeds:[buildLevelsEmbed(gid)], ephemeral:true });
+        }
+
+        if (sub === 'role') {
+          const level = interaction.options.getInteger('niveau');
+          const role = interaction.options.getRole('role');
+          if (role && (role.managed || role.id === gid))
+            return interaction.reply({ content: t(lang, 'rewards.unassignable'), ephemeral:true });
+          if (role) stmtSetLevelRole.run(gid, level, role.id);
+          else stmtDeleteLevelRole.run(gid, level);
+          const notes = [t(lang, 'levels.saved')];
+          if (role) notes.push(t(lang, 'levels.roleHint'));
+          if (role && !role.editable) notes.push(t(lang, 'rewards.notEditable', { role: role.id }));
+          return interaction.reply({ content: notes.join('\n'), embeds:[buildLevelsEmbed(gid)], ephemeral:true });
+        }
+
+        return interaction.reply({ embeds:[buildLevelsEmbed(gid)], ephemeral:true });
+      }
+
+      if (interaction.commandName === 'notifications') {
+        if (!canManageGuild(interaction))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
+
+        const gid = interaction.guildId;
+        const sub = interaction.options.getSubcommand();
+
+        if (sub === 'config') {
+          const options = {
+            paliers: 'notifyMilestones',
+            podium: 'notifyPodium',
+            depassements: 'notifyOvertaken',
+            delai: 'notifyCooldown',
+            limite: 'notifyHourlyLimit',
+          };
+          for (const [name, column] of Object.entries(options)) {
+            const opt = interaction.options.get(name);
+            if (opt) setGuildSetting(gid, column, typeof opt.value === 'boolean' ? Number(opt.value) : opt.value);
+          }
+          return interaction.reply({ content: t(lang, 'notify.saved'), embeds:[buildNotificationsEmbed(gid)], ephemeral:true });
+        }
+
+        if (sub === 'salon') {
+          const ch = interaction.options.getChannel('salon');
+          if (ch && !ch.isTextBased())
+            return interaction.reply({ content: t(lang, 'common.invalidChannel'), ephemeral:true });
+          setGuildSetting(gid, 'notifyChannelId', ch?.id || null);
+          return interaction.reply({ content: t(lang, 'notify.saved'), embeds:[buildNotificationsEmbed(gid)], ephemeral:true });
+        }
+
+        if (sub === 'paliers') {
+          const lists = [['messages', 'milestoneMessages'], ['vocal', 'milestoneVoiceHours']]
+            .filter(([name]) => interaction.options.getString(name) !== null)
+            .map(([name, column]) => [column, parseMilestones(interaction.options.getString(name))]);
+          if (lists.some(([, values]) => !values?.length || values.length > MAX_MILESTONES))
+            return interaction.reply({ content: t(lang, 'notify.invalidMilestones', { max: MAX_MILESTONES }), ephemeral:true });
+          if (interaction.options.getBoolean('reinitialiser')) {
+            setGuildSetting(gid, 'milestoneMessages', null);
+            setGuildSetting(gid, 'milestoneVoiceHours', null);
+          }
+          for (const [column, values] of lists) setGuildSetting(gid, column, values.join(','));
+          return interaction.reply({ content: t(lang, 'notify.saved'), embeds:[buildNotificationsEmbed(gid)], ephemeral:true });
+        }
+
+        return interaction.reply({ embeds:[buildNotificationsEmbed(gid)], ephemeral:true });
+      }
+
+      if (interaction.commandName === 'alertes') {
+        if (!interaction.guildId)
+          return interaction.reply({ content: t(lang, 'common.guildOnly'), ephemeral:true });
+        const dm = interaction.options.getBoolean('mp');
+        if (dm) stmtAddNotifyDm.run(interaction.guildId, interaction.user.id);
+        else stmtRemoveNotifyDm.run(interaction.guildId, interaction.user.id);
+        return interaction.reply({ content: t(lang, dm ? 'notify.dmOn' : 'notify.dmOff'), ephemeral:true });
+      }
+
+      if (interaction.commandName === 'equipes') {
+        if (!canManageGuild(interaction))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
+
+        const gid = interaction.guildId;
+        const sub = interaction.options.getSubcommand();
+        const role = interaction.options.getRole('role');
+
+        if (sub === 'voir')
+          return interaction.reply({ embeds:[buildTeamsEmbed(gid)], ephemeral:true });
+
+        if (sub === 'mesure') {
+          setGuildSetting(gid, 'teamMetric', interaction.options.getString('type'));
+        } else if (sub === 'ajouter') {
+          if (role.managed || role.id === gid)
+            return interaction.reply({ content: t(lang, 'teams.invalidRole'), ephemeral:true });
+          if (stmtGetTeams.all(gid).length >= MAX_TEAMS)
+            return interaction.reply({ content: t(lang, 'teams.tooMany', { max: MAX_TEAMS }), ephemeral:true });
+          stmtAddTeam.run(gid, role.id);
+        } else {
+          stmtRemoveTeam.run(gid, role.id);
+        }
+        scheduleLeaderboardUpdate(gid, 'equipes', 0);
+        return interaction.reply({ content: t(lang, 'teams.saved'), embeds:[buildTeamsEmbed(gid)], ephemeral:true });
+      }
+
+      if (interaction.commandName === 'permissions') {
+        if (!interaction.guildId)
+          return interaction.reply({ content: t(lang, 'common.guildOnly'), ephemeral:true });
+        if (!canManageGuild(interaction))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
+
+        if (interaction.options.getSubcommand() === 'role-admin') {
+          if (!isOwner(interaction.user.id) && !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild))
+            return interaction.reply({ content: t(lang, 'permissions.manageGuildOnly'), ephemeral:true });
+          const role = interaction.options.getRole('role');
+          setGuildSetting(interaction.guildId, 'adminRoleId', role?.id || null);
+        }
 
-        await interaction.reply({
-          content: `✅ Leaderboard **${type}** configuré dans <#${ch.id}> (test 4 minutes).`,
-          ephemeral: true
+        const adminRoleId = getGuildSettings(interaction.guildId).adminRoleId;
+        return interaction.reply({
+          content: [
+            t(lang, 'permissions.title'),
+            t(lang, 'permissions.manageGuild'),
+            t(lang, 'permissions.adminRole', { role: adminRoleId ? `<@&${adminRoleId}>` : t(lang, 'common.none') }),
+            t(lang, 'permissions.owners'),
+          ].join('\n'),
+          allowedMentions: { parse: [] },
+          ephemeral: true,
         });
+      }
 
-        return;
+      if (interaction.commandName === 'langue') {
+        if (!canManageGuild(interaction))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
+
+        const gid = interaction.guildId;
+        const value = interaction.options.getString('langue');
+        if (!value)
+          return interaction.reply({ content: t(lang, 'language.current', { language: t(lang, 'meta.name') }), ephemeral:true });
+
+        setGuildSetting(gid, 'locale', value);
+        await interaction.deferReply({ ephemeral:true });
+        for (const cfg of stmtGetGuildLeaderboards.all(gid)) {
+          await updateTimerMessage(cfg, timerMessageText(cfg.endAt, cfg.pausedAt, value));
+          scheduleBoardUpdate(gid, cfg.type, cfg.name, 0, !!cfg.pausedAt);
+        }
+        return interaction.editReply({ content: t(value, 'language.set') });
       }
 
       if (interaction.commandName === 'bot-name') {
-        if (!OWNER_IDS.includes(interaction.user.id))
-          return interaction.reply({ content:"❌ Vous n'avez pas la permission.", ephemeral:true });
+        if (!isOwner(interaction.user.id))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
 
         const name = interaction.options.getString('name');
         try {
           await client.user.setUsername(name);
-          return interaction.reply({ content:`✅ Nom du bot changé en **${name}**.`, ephemeral:true });
+          return interaction.reply({ content: t(lang, 'bot.renamed', { name }), ephemeral:true });
         } catch (e) {
-          return interaction.reply({ content:`❌ Erreur : ${e.message}`, ephemeral:true });
+          return interaction.reply({ content: t(lang, 'common.error', { message: e.message }), ephemeral:true });
         }
       }
 
       if (interaction.commandName === 'bot-avatar') {
-        if (!OWNER_IDS.includes(interaction.user.id))
-          return interaction.reply({ content:"❌ Vous n'avez pas la permission.", ephemeral:true });
+        if (!isOwner(interaction.user.id))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
 
         const lien = interaction.options.getString('photo_lien');
         try {
           await client.user.setAvatar(lien);
-          return interaction.reply({ content:`✅ Avatar du bot changé.`, ephemeral:true });
+          return interaction.reply({ content: t(lang, 'bot.avatarChanged'), ephemeral:true });
         } catch (e) {
-          return interaction.reply({ content:`❌ Erreur : ${e.message}`, ephemeral:true });
+          return interaction.reply({ content: t(lang, 'common.error', { message: e.message }), ephemeral:true });
         }
       }
 
       if (interaction.commandName === 'bot-presence') {
-        if (!OWNER_IDS.includes(interaction.user.id))
-          return interaction.reply({ content:"❌ Vous n'avez pas la permission.", ephemeral:true });
+        if (!isOwner(interaction.user.id))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
 
         const type = interaction.options.getString('type');
         try {
           await client.user.setPresence({ status: type });
-          return interaction.reply({ content:`✅ Présence du bot changée en **${type}**.`, ephemeral:true });
+          return interaction.reply({ content: t(lang, 'bot.presenceChanged', { type }), ephemeral:true });
         } catch (e) {
-          return interaction.reply({ content:`❌ Erreur : ${e.message}`, ephemeral:true });
+          return interaction.reply({ content: t(lang, 'common.error', { message: e.message }), ephemeral:true });
         }
       }
 
       if (interaction.commandName === 'bot-status') {
-        if (!OWNER_IDS.includes(interaction.user.id))
-          return interaction.reply({ content:"❌ Vous n'avez pas la permission.", ephemeral:true });
+        if (!isOwner(interaction.user.id))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
 
         const type = interaction.options.getString('type');
         const texte = interaction.options.getString('texte');
         try {
           const activity = type === 'streaming'
             ? { name: texte || 'Streaming', type: 1, url: 'https://www.twitch.tv/aneyaris_' }
-            : { name: texte || 'Activité', type: type.toUpperCase() };
+            : { name: texte || t(lang, 'bot.defaultActivity'), type: type.toUpperCase() };
           await client.user.setActivity(activity.name, { type: activity.type, url: activity.url });
-          return interaction.reply({ content:`✅ Status du bot changé en **${type}**.`, ephemeral:true });
+          return interaction.reply({ content: t(lang, 'bot.statusChanged', { type }), ephemeral:true });
+        } catch (e) {
+          return interaction.reply({ content: t(lang, 'common.error', { message: e.message }), ephemeral:true });
+        }
+      }
+
+      if (interaction.commandName === 'bot-stats') {
+        if (!isOwner(interaction.user.id))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
+        return interaction.reply({ embeds:[buildUpdateStatsEmbed(lang)], ephemeral:true });
+      }
+
+      if (interaction.commandName === 'bot-backup') {
+        if (!isOwner(interaction.user.id))
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
+
+        await interaction.deferReply({ ephemeral:true });
+        try {
+          const file = await backupDatabase('manual');
+          rotateBackups();
+          const size = fs.statSync(file).size;
+          return interaction.editReply({ content: t(lang, 'bot.backupDone', { file: path.basename(file), size: t(lang, 'format.kilobytes', { n: fmtNumber(Math.ceil(size / 1024), lang) }) }) });
         } catch (e) {
-          return interaction.reply({ content:`❌ Erreur : ${e.message}`, ephemeral:true });
+          return interaction.editReply({ content: t(lang, 'common.error', { message: e.message }) });
         }
       }
 
       if (interaction.commandName === 'help') {
         const embed = new EmbedBuilder()
-          .setTitle('📋 Aide des Commandes')
-          .setDescription('Voici la liste de toutes les commandes disponibles :')
-          .addFields(
-            { name: '/classement', value: 'Affiche le classement vocal ou message avec pagination.\n**Accessible à :** Tout le monde', inline: false },
-            { name: '/setleaderboard', value: 'Configure un salon pour le leaderboard (message ou vocal) et démarre un cycle de test (4 min).\n**Accessible à :** Owner uniquement', inline: false },
-            { name: '/bot-name', value: 'Change le nom du bot.\n**Accessible à :** Owner uniquement', inline: false },
-            { name: '/bot-avatar', value: 'Change l\'avatar du bot avec un lien.\n**Accessible à :** Owner uniquement', inline: false },
-            { name: '/bot-presence', value: 'Change la présence du bot (dnd, online, idle, invisible).\n**Accessible à :** Owner uniquement', inline: false },
-            { name: '/bot-status', value: 'Change l\'activité du bot (streaming, playing, watching, etc.). Pour streaming, utilise un lien Twitch fixe.\n**Accessible à :** Owner uniquement', inline: false },
-            { name: '/help', value: 'Affiche cette aide.\n**Accessible à :** Tout le monde', inline: false }
-          )
+          .setTitle(t(lang, 'help.title'))
+          .setDescription(t(lang, 'help.description'))
+          .addFields(t(lang, 'help.commands').map(([name, description, who]) => ({
+            name,
+            value: `${description}\n${t(lang, 'help.access', { who: t(lang, `help.${who}`) })}`,
+            inline: false,
+          })))
           .setColor(0x2f2b36)
           .setTimestamp();
 
@@ -586,30 +3530,244 @@ client.on('interactionCreate', async interaction => {
 
     if (interaction.isButton()) {
       const parts = interaction.customId.split(':');
-      if (parts.length === 3 && (parts[0].startsWith('classe_prev') || parts[0].startsWith('classe_next'))) {
+      if (parts.length >= 3 && (parts[0].startsWith('classe_prev') || parts[0].startsWith('classe_next'))) {
 
         await interaction.deferUpdate();
 
         const type = parts[1];
+        const period = PERIODS.includes(parts[3]) ? parts[3] : 'cycle';
+        const name = parts[4] || '';
         let page = parseInt(parts[2]);
         page = parts[0].includes('prev') ? Math.max(1,page-1) : page+1;
 
-        const { embed, pages } = await buildClassementPaginated(interaction.guildId, type, page);
-        const row = makePageButtons(type,page,pages);
+        const { embed, pages } = await buildClassementPaginated(interaction.guildId, type, page, period, name);
+        const row = makePageButtons(type,page,pages,period,name);
 
         try { await interaction.message.edit({ embeds:[embed], components:[row] }); }
         catch {}
       }
+
+      if (parts.length === 2 && (parts[0] === 'import_ok' || parts[0] === 'import_no')) {
+        const pending = pendingImports.get(parts[1]);
+        pendingImports.delete(parts[1]);
+        if (!pending || pending.expires < Date.now() || pending.userId !== interaction.user.id)
+          return interaction.update({ content: t(lang, 'data.expired'), embeds:[], components:[] });
+        if (parts[0] === 'import_no')
+          return interaction.update({ content: t(lang, 'data.cancelled'), embeds:[], components:[] });
+
+        // Stats may have moved since the preview: close live sessions and plan again against the current totals.
+        activeVoice.forEach((start, key) => {
+          const [g, uid] = key.split(':');
+          if (g === pending.gid) flushVoiceSession(g, uid);
+        });
+        const plan = planImport(pending.gid, pending.data, pending.mode);
+        applyImport(pending.gid, plan, pending.mode, interaction.user.id);
+        scheduleLeaderboardUpdate(pending.gid, 'message');
+        scheduleLeaderboardUpdate(pending.gid, 'vocal');
+        return interaction.update({
+          content: t(lang, 'data.done', { members: plan.changes.length, cycles: plan.newCycles.length }),
+          embeds:[], components:[],
+        });
+      }
+
+      if (parts.length === 2 && (parts[0] === 'privacy_erase' || parts[0] === 'privacy_keep')) {
+        if (parts[1] !== interaction.user.id)
+          return interaction.reply({ content: t(lang, 'common.noPermission'), ephemeral:true });
+        if (parts[0] === 'privacy_keep')
+          return interaction.update({ content: t(lang, 'privacy.eraseCancelled'), components:[] });
+        eraseMember(interaction.guildId, parts[1], { actorId: parts[1], reason: t(lang, 'privacy.selfReason') });
+        return interaction.update({ content: t(lang, 'privacy.erased'), components:[] });
+      }
+
+      if (parts.length >= 3 && (parts[0] === 'palm_prev' || parts[0] === 'palm_next')) {
+
+        await interaction.deferUpdate();
+
+        const type = parts[1];
+        const name = parts[3] || '';
+        let page = parseInt(parts[2]);
+        page = parts[0] === 'palm_prev' ? Math.max(1,page-1) : page+1;
+
+        const res = buildPalmaresHistory(interaction.guildId, type, page, name);
+        const row = makePalmaresButtons(type,res.page,res.pages,name);
+
+        try { await interaction.message.edit({ embeds:[res.embed], components:[row] }); }
+        catch {}
+      }
     }
 
   } catch(e){
     console.error(e);
-    if(!interaction.replied){
-      interaction.reply({ content:'Erreur interne.', ephemeral:true }).catch(()=>{});
+    if (interaction.deferred) {
+      interaction.editReply({ content: t(lang, 'common.internalError') }).catch(()=>{});
+    } else if(!interaction.replied){
+      interaction.reply({ content: t(lang, 'common.internalError'), ephemeral:true }).catch(()=>{});
     }
   }
 });
 
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' })[c]);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function sendHtml(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(body);
+}
+
+function hasApiToken(req, url) {
+  const header = req.headers.authorization || '';
+  const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : (url.searchParams.get('token') || ''));
+  const expected = Buffer.from(API_TOKEN);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Only guilds the bot is in and that opted in with `/donnees web` are served.
+function getPublicGuild(gid) {
+  const guild = client.guilds.cache.get(gid);
+  return guild && getGuildSettings(gid).webPublic ? guild : null;
+}
+
+function displayName(guild, row) {
+  return guild.members.cache.get(row.userId)?.displayName || row.username || row.userId;
+}
+
+function rankingEntries(guild, type, limit, period, name = '') {
+  const lang = guildLocale(guild.id);
+  return getRanking(guild.id, type, limit, period, name)
+    .filter(r => rankingValue(type, r) > 0)
+    .map((r, i) => ({
+      rank: i + 1,
+      userId: r.userId,
+      username: displayName(guild, r),
+      value: rankingValue(type, r),
+      display: formatRankingValue(type, r, lang),
+    }));
+}
+
+function memberStats(guild, userId) {
+  const lang = guildLocale(guild.id);
+  const user = stmtGetUser.get(guild.id, userId);
+  const key = `${guild.id}:${userId}`;
+  const stats = {
+    userId,
+    username: displayName(guild, { userId, username: user?.username }),
+    voiceSession: activeVoice.has(key) ? { startAt: activeVoice.get(key).getTime() } : null,
+  };
+  for (const type of BOARD_TYPES) {
+    const pos = rankPosition(guild.id, type, userId);
+    stats[type] = { rank: pos.rank, total: pos.total, value: pos.value, display: formatStat(type, pos.value, lang), toNext: pos.toNext, toPodium: pos.toPodium };
+  }
+  const settings = getGuildSettings(guild.id);
+  const xp = memberXp(guild.id, userId, settings);
+  stats.level = { level: levelForXp(xp, settings), xp };
+  return stats;
+}
+
+function renderLeaderboardPage(guild, period) {
+  const lang = guildLocale(guild.id);
+  const sections = BOARD_TYPES.map(type => {
+    const rows = rankingEntries(guild, type, LEADERBOARD_TOP, period).map(e => {
+      const rank = e.rank <= 3 ? MEDALS[e.rank-1] : `#${e.rank}`;
+      return `<tr><td>${rank}</td><td>${escapeHtml(e.username)}</td><td>${escapeHtml(e.display)}</td></tr>`;
+    }).join('');
+    return `<section><h2>${t(lang, `web.titles.${type}`)}</h2><table>${rows || `<tr><td colspan="3">${t(lang, 'web.empty')}</td></tr>`}</table></section>`;
+  }).join('');
+  const periods = PERIODS
+    .map(value => {
+      const label = t(lang, `periods.${value}`);
+      return value === period ? `<strong>${label}</strong>` : `<a href="?period=${value}">${label}</a>`;
+    })
+    .join(' · ');
+  const updatedAt = new Date().toLocaleString(t(lang, 'meta.intl'), { timeZone: DEFAULT_TIMEZONE });
+
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta http-equiv="refresh" content="60">
+<title>${escapeHtml(t(lang, 'web.pageTitle', { guild: guild.name }))}</title>
+<style>
+body { font-family: sans-serif; background: #2f2b36; color: #eee; max-width: 720px; margin: 2em auto; padding: 0 1em; }
+a { color: #b9a6ff; }
+table { width: 100%; border-collapse: collapse; }
+td { padding: .4em; border-bottom: 1px solid #444; }
+td:last-child { text-align: right; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(guild.name)}</h1>
+<p>${periods}</p>
+${sections}
+<p><small>${t(lang, 'web.updatedAt', { date: updatedAt })}</small></p>
+</body>
+</html>`;
+}
+
+function handleHttpRequest(req, res) {
+  if (req.method !== 'GET') return sendJson(res, 405, { error: 'method not allowed' });
+  const url = new URL(req.url, 'http://localhost');
+  const parts = url.pathname.split('/').filter(Boolean);
+  const period = PERIODS.includes(url.searchParams.get('period')) ? url.searchParams.get('period') : 'cycle';
+
+  if (parts[0] === 'guilds' && parts.length === 2) {
+    const guild = getPublicGuild(parts[1]);
+    if (!guild) return sendHtml(res, 404, `<h1>${t(DEFAULT_LOCALE, 'web.notFound')}</h1>`);
+    return sendHtml(res, 200, renderLeaderboardPage(guild, period));
+  }
+
+  if (parts[0] !== 'api') return sendJson(res, 404, { error: 'not found' });
+  if (!API_TOKEN || !hasApiToken(req, url)) return sendJson(res, 401, { error: 'invalid token' });
+
+  if (parts[1] === 'status' && parts.length === 2)
+    return sendJson(res, 200, { guilds: client.guilds.cache.size, updates: { ...updateStats, queued: updateQueue.size } });
+
+  if (parts[1] !== 'guilds' || (parts.length !== 4 && parts.length !== 5)) return sendJson(res, 404, { error: 'not found' });
+  const guild = getPublicGuild(parts[2]);
+  if (!guild) return sendJson(res, 404, { error: 'unknown guild' });
+
+  if (parts.length === 4 && BOARD_TYPES.includes(parts[3])) {
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit')) || LEADERBOARD_TOP, 1), 100);
+    const board = url.searchParams.get('board') || '';
+    if (board && !stmtGetLeaderboard.get(guild.id, parts[3], board)) return sendJson(res, 404, { error: 'unknown board' });
+    return sendJson(res, 200, { guildId: guild.id, type: parts[3], board, period, entries: rankingEntries(guild, parts[3], limit, period, board) });
+  }
+  if (parts.length === 5 && parts[3] === 'members') {
+    if (isHiddenMember(guild.id, parts[4])) return sendJson(res, 404, { error: 'unknown member' });
+    return sendJson(res, 200, memberStats(guild, parts[4]));
+  }
+
+  return sendJson(res, 404, { error: 'not found' });
+}
+
+function startHttpServer() {
+  if (!API_TOKEN) console.warn('API_TOKEN is not set: the JSON API is disabled, only web pages are served.');
+  const server = http.createServer((req, res) => {
+    try { handleHttpRequest(req, res); }
+    catch (e) {
+      console.error('HTTP request err', e);
+      sendJson(res, 500, { error: 'internal error' });
+    }
+  });
+  server.on('error', e => console.error('HTTP server err', e));
+  server.listen(HTTP_PORT, HTTP_HOST, () => console.log(`HTTP server listening on http://${HTTP_HOST}:${HTTP_PORT}`));
+}
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    console.log(`${signal} received, closing voice sessions.`);
+    try { closeAllVoiceSessions('shutdown'); } catch (e) { console.error('closeAllVoiceSessions err', e); }
+    db.close();
+    process.exit(0);
+  });
+}
+
 client.login(TOKEN).catch(e=>{
   console.error('Login failed', e);
   process.exit(1);
@@ -0,0 +1,109 @@
+// Durations, time zones and cycle schedules: pure helpers shared by the bot and its tests.
+
+export const MINUTE_MS = 60 * 1000;
+export const HOUR_MS = 60 * MINUTE_MS;
+export const DAY_MS = 24 * HOUR_MS;
+export const WEEK_MS = 7 * DAY_MS;
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Europe/Paris';
+
+export function parseDuration(str) {
+  const re = /(\d+)\s*(sem|min|[wjdhms])/gi;
+  let total = 0;
+  let matched = '';
+  for (const m of String(str || '').matchAll(re)) {
+    const n = parseInt(m[1]);
+    const unit = m[2].toLowerCase();
+    if (unit === 'w' || unit === 'sem') total += n * WEEK_MS;
+    else if (unit === 'j' || unit === 'd') total += n * DAY_MS;
+    else if (unit === 'h') total += n * 3600000;
+    else if (unit === 'm' || unit === 'min') total += n * MINUTE_MS;
+    else total += n * 1000;
+    matched += m[0];
+  }
+  if (!total || matched.replace(/\s/g,'').length !== String(str).replace(/\s/g,'').length) return null;
+  return total;
+}
+
+export function parseAnchorTime(str) {
+  const m = /^(\d{1,2})[:hH](\d{2})$/.exec(String(str || '').trim());
+  if (!m) return null;
+  const h = parseInt(m[1]), mi = parseInt(m[2]);
+  if (h > 23 || mi > 59) return null;
+  return `${String(h).padStart(2,'0')}:${String(mi).padStart(2,'0')}`;
+}
+
+export function isValidTimezone(tz) {
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; }
+  catch { return false; }
+}
+
+// Wall-clock parts of an instant in the given IANA time zone.
+export function zonedParts(ms, tz) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23', weekday: 'short',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+  }).formatToParts(new Date(ms));
+  const get = t => parts.find(p => p.type === t)?.value;
+  return {
+    y: parseInt(get('year')), mo: parseInt(get('month')), d: parseInt(get('day')),
+    h: parseInt(get('hour')), mi: parseInt(get('minute')), s: parseInt(get('second')),
+    wd: ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'].indexOf(get('weekday')),
+  };
+}
+
+// Instant at which the wall clock of `tz` reads the given date/time (overflowing fields roll over).
+export function zonedToUtc(y, mo, d, h, mi, tz) {
+  const offsetAt = ms => {
+    const p = zonedParts(ms, tz);
+    return Date.UTC(p.y, p.mo-1, p.d, p.h, p.mi, p.s) - Math.floor(ms/1000)*1000;
+  };
+  const guess = Date.UTC(y, mo-1, d, h, mi);
+  let ms = guess - offsetAt(guess);
+  const corrected = guess - offsetAt(ms);
+  if (corrected !== ms) ms = corrected;
+  return ms;
+}
+
+export function computeCycleEnd(cfg, from = Date.now()) {
+  const cycle = cfg.cycle || 'weekly';
+  if (cycle === 'never') return null;
+  if (cycle === 'custom') return from + (cfg.cycleMs || WEEK_MS);
+
+  const tz = cfg.timezone || DEFAULT_TIMEZONE;
+  const p = zonedParts(from, tz);
+
+  if (!cfg.anchorTime) {
+    if (cycle === 'daily') return from + DAY_MS;
+    if (cycle === 'weekly') return from + WEEK_MS;
+    const daysInNext = new Date(Date.UTC(p.y, p.mo+1, 0)).getUTCDate();
+    return zonedToUtc(p.y, p.mo+1, Math.min(p.d, daysInNext), p.h, p.mi, tz);
+  }
+
+  const [h, mi] = cfg.anchorTime.split(':').map(Number);
+  if (cycle === 'daily') {
+    let end = zonedToUtc(p.y, p.mo, p.d, h, mi, tz);
+    if (end <= from) end = zonedToUtc(p.y, p.mo, p.d+1, h, mi, tz);
+    return end;
+  }
+  if (cycle === 'weekly') {
+    const target = cfg.anchorDay ?? 1;
+    const ahead = (target - p.wd + 7) % 7;
+    let end = zonedToUtc(p.y, p.mo, p.d+ahead, h, mi, tz);
+    if (end <= from) end = zonedToUtc(p.y, p.mo, p.d+ahead+7, h, mi, tz);
+    return end;
+  }
+  let end = zonedToUtc(p.y, p.mo, 1, h, mi, tz);
+  if (end <= from) end = zonedToUtc(p.y, p.mo+1, 1, h, mi, tz);
+  return end;
+}
+
+// Start of a /classement period: 'today' begins at midnight in `tz`, 'all' (or anything else) at 0.
+export function periodStart(period, tz = DEFAULT_TIMEZONE, now = Date.now()) {
+  if (period === 'today') {
+    const p = zonedParts(now, tz);
+    return zonedToUtc(p.y, p.mo, p.d, 0, 0, tz);
+  }
+  if (period === '7d') return now - 7 * DAY_MS;
+  if (period === '30d') return now - 30 * DAY_MS;
+  return 0;
+}
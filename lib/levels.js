@@ -0,0 +1,17 @@
+// XP and level curve.
+
+export function computeXp(settings, messages, voiceSeconds) {
+  return (messages || 0) * settings.xpPerMessage + Math.floor((voiceSeconds || 0) / 60) * settings.xpPerVoiceMinute;
+}
+
+// Total XP needed to reach `level`.
+export function xpForLevel(level, settings) {
+  return Math.round(settings.levelBase * level ** settings.levelGrowth);
+}
+
+export function levelForXp(xp, settings) {
+  let level = Math.floor((xp / settings.levelBase) ** (1 / settings.levelGrowth));
+  while (level > 0 && xpForLevel(level, settings) > xp) level--;
+  while (xpForLevel(level + 1, settings) <= xp) level++;
+  return level;
+}
@@ -0,0 +1,49 @@
+// Anti-farming rules deciding whether a message counts.
+
+export function normalizeContent(text) {
+  return text.toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .replace(/(.)\1{2,}/g, '$1$1')
+    .trim();
+}
+
+export function similarity(a, b) {
+  if (a === b) return 1;
+  a = a.slice(0, 200); b = b.slice(0, 200);
+  if (!a.length || !b.length) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j-1] + 1, prev[j-1] + (a[i-1] === b[j-1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return 1 - prev[b.length] / Math.max(a.length, b.length);
+}
+
+// Returns the reason a message should not be counted, or null when it counts. `history` maps
+// "guildId:userId" to the member's last message and is updated in place.
+export function checkMessageRules(msg, settings, history) {
+  const content = msg.content || '';
+  const text = content.replace(/<a?:\w+:\d+>/g, '').replace(/[\p{Extended_Pictographic}\p{Emoji_Modifier}\p{Regional_Indicator}\u200d\ufe0f\u20e3]/gu, '').trim();
+  const key = `${msg.guild.id}:${msg.author.id}`;
+  const last = history.get(key);
+  const norm = normalizeContent(text);
+  const now = msg.createdTimestamp || Date.now();
+  history.set(key, { norm, at: now, countedAt: last?.countedAt || 0 });
+
+  if (!content.trim()) {
+    if (msg.stickers.size && settings.msgIgnoreStickers) return 'sticker';
+    if (msg.attachments.size && settings.msgIgnoreAttachments) return 'attachment';
+  }
+  if (content.trim() && !text && settings.msgIgnoreEmoji) return 'emoji';
+  if (text && settings.msgMinLength && text.length < settings.msgMinLength) return 'length';
+  if (text && settings.msgMinWords && text.split(/\s+/).length < settings.msgMinWords) return 'words';
+  if (norm && settings.msgNoDuplicates && last?.norm && similarity(norm, last.norm) >= 0.85) return 'duplicate';
+  if (settings.msgCooldown && now - (last?.countedAt || 0) < settings.msgCooldown * 1000) return 'cooldown';
+
+  history.set(key, { norm, at: now, countedAt: now });
+  return null;
+}
@@ -0,0 +1,477 @@
+// Versioned schema migrations.
+
+import { DEFAULT_MILESTONES } from './milestones.js';
+import { computeXp, levelForXp } from './levels.js';
+
+export function tableExists(db, name) {
+  return !!db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`).get(name);
+}
+
+export function addMissingColumns(db, table, columns) {
+  const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+  for (const [name, def] of columns)
+    if (!existing.has(name)) db.prepare(`ALTER TABLE ${table} ADD COLUMN ${name} ${def}`).run();
+}
+
+// Ordered schema steps; PRAGMA user_version holds how many have been applied.
+// Each step runs in its own transaction and a failure stops the bot.
+// Databases from before versioning are at version 0 with any subset of the tables and columns of the
+// steps up to addVoiceSessions, so those steps only create what is missing and backfill new tables once.
+export const MIGRATIONS = [
+  function baseSchema(db) {
+    db.prepare(`
+    CREATE TABLE IF NOT EXISTS users (
+      guildId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      username TEXT,
+      messages INTEGER DEFAULT 0,
+      voiceSeconds INTEGER DEFAULT 0,
+      voiceJoin INTEGER DEFAULT NULL,
+      PRIMARY KEY (guildId, userId)
+    )`).run();
+    db.prepare(`
+    CREATE TABLE IF NOT EXISTS leaderboards (
+      guildId TEXT NOT NULL,
+      type TEXT NOT NULL,
+      channelId TEXT NOT NULL,
+      messageId TEXT,
+      timerMessageId TEXT,
+      startAt INTEGER,
+      endAt INTEGER,
+      winnersText TEXT,
+      active INTEGER DEFAULT 1,
+      PRIMARY KEY (guildId, type)
+    )`).run();
+    addMissingColumns(db, 'leaderboards', [
+      ['timerMessageId', `TEXT`],
+      ['winnersText', `TEXT`],
+    ]);
+  },
+  function addCycleSchedule(db) {
+    addMissingColumns(db, 'leaderboards', [
+      ['cycle', `TEXT DEFAULT 'weekly'`],
+      ['cycleMs', `INTEGER`],
+      ['anchorDay', `INTEGER`],
+      ['anchorTime', `TEXT`],
+      ['timezone', `TEXT`],
+    ]);
+  },
+  function addCycleArchive(db) {
+    db.prepare(`
+    CREATE TABLE IF NOT EXISTS cycles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guildId TEXT NOT NULL,
+      type TEXT NOT NULL,
+      cycle TEXT,
+      startAt INTEGER,
+      endAt INTEGER NOT NULL
+    )`).run();
+    db.prepare(`
+    CREATE TABLE IF NOT EXISTS cycle_results (
+      cycleId INTEGER NOT NULL REFERENCES cycles(id),
+      rank INTEGER NOT NULL,
+      userId TEXT NOT NULL,
+      username TEXT,
+      value INTEGER NOT NULL,
+      PRIMARY KEY (cycleId, rank)
+    )`).run();
+    db.prepare(`CREATE INDEX IF NOT EXISTS idx_cycles_guild ON cycles (guildId, type, endAt)`).run();
+    db.prepare(`CREATE INDEX IF NOT EXISTS idx_cycle_results_user ON cycle_results (userId)`).run();
+  },
+  function addActivityBuckets(db) {
+    const hadActivityTable = tableExists(db, 'activity');
+    db.prepare(`
+    CREATE TABLE IF NOT EXISTS activity (
+      guildId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      bucket INTEGER NOT NULL,
+      messages INTEGER DEFAULT 0,
+      voiceSeconds INTEGER DEFAULT 0,
+      PRIMARY KEY (guildId, userId, bucket)
+    )`).run();
+
+    // Counters that predate the activity table are kept in a bucket at epoch 0 so "all time" still includes them.
+    if (!hadActivityTable) {
+      db.prepare(`
+      INSERT INTO activity (guildId,userId,bucket,messages,voiceSeconds)
+      SELECT guildId, userId, 0, messages, voiceSeconds FROM users WHERE messages > 0 OR voiceSeconds > 0
+      `).run();
+    }
+  },
+  function addMessageRules(db) {
+    db.prepare(`
+    CREATE TABLE IF NOT EXISTS guild_settings (
+      guildId TEXT PRIMARY KEY,
+      msgCooldown INTEGER DEFAULT 0,
+      msgMinLength INTEGER DEFAULT 0,
+      msgMinWords INTEGER DEFAULT 0,
+      msgNoDuplicates INTEGER DEFAULT 0,
+      msgIgnoreEmoji INTEGER DEFAULT 0,
+      msgIgnoreStickers INTEGER DEFAULT 0,
+      msgIgnoreAttachments INTEGER DEFAULT 0
+    )`).run();
+    db.prepare(`
+    CREATE TABLE IF NOT EXISTS message_rejections (
+      guildId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      count INTEGER DEFAULT 0,
+      PRIMARY KEY (guildId, userId, reason)
+    )`).run();
+  },
+  function addVoiceRules(db) {
+    addMissingColumns(db, 'guild_settings', [
+      ['voiceIgnoreSelfMute', `INTEGER DEFAULT 0`],
+      ['voiceIgnoreSelfDeaf', `INTEGER DEFAULT 0`],
+      ['voiceIgnoreServerMute', `INTEGER DEFAULT 0`],
+      ['voiceIgnoreAfk', `INTEGER DEFAULT 0`],
+      ['voiceIgnoreAlone', `INTEGER DEFAULT 0`],
+    ]);
+  },
+  function addTrackingFilters(db) {
+    addMissingColumns(db, 'guild_settings', [['filterMode', `TEXT DEFAULT 'exclude'`]]);
+    db.prepare(`
+    CREATE TABLE IF NOT EXISTS tracking_filters (
+      guildId TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      targetId TEXT NOT NULL,
+      PRIMARY KEY (guildId, kind, targetId)
+    )`).run();
+  },
+  function addRewardRoles(db) {
+    addMissingColumns(db, 'guild_settings', [['logChannelId', `TEXT`]]);
+    db.prepare(`
+    CREATE TABLE IF NOT EXISTS reward_roles (
+      guildId TEXT NOT NULL,
+      type TEXT NOT NULL,
+      rank INTEGER NOT NULL,
+      roleId TEXT NOT NULL,
+      PRIMARY KEY (guildId, type, rank)
+    )`).run();
+    db.prepare(`
+    CREATE TABLE IF NOT EXISTS reward_holders (
+      guildId TEXT NOT NULL,
+      type TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      roleId TEXT NOT NULL,
+      PRIMARY KEY (guildId, type, userId, roleId)
+    )`).run();
+  },
+  function addAdminRole(db) {
+    addMissingColumns(db, 'guild_settings', [['adminRoleId', `TEXT`]]);
+  },
+  function addBoardLifecycle(db) {
+    addMissingColumns(db, 'leaderboards', [
+      ['pausedAt', `INTEGER`],
+      ['lastUpdateAt', `INTEGER`],
+    ]);
+  },
+  function addAuditLog(db) {
+    db.prepare(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guildId TEXT NOT NULL,
+      actorId TEXT NOT NULL,
+      action TEXT NOT NULL,
+      targetId TEXT NOT NULL,
+      relatedId TEXT,
+      type TEXT,
+      before INTEGER,
+      after INTEGER,
+      reason TEXT,
+      createdAt INTEGER NOT NULL
+    )`).run();
+    db.prepare(`CREATE INDEX IF NOT EXISTS idx_audit_guild ON audit_log (guildId, createdAt)`).run();
+  },
+  function addVoiceSessions(db) {
+    const hadVoiceSessionsTable = tableExists(db, 'voice_sessions');
+    db.prepare(`
+    CREATE TABLE IF NOT EXISTS voice_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guildId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      channelId TEXT,
+      startAt INTEGER NOT NULL,
+      checkpointAt INTEGER NOT NULL,
+      endAt INTEGER,
+      closeReason TEXT
+    )`).run();
+    db.prepare(`CREATE INDEX IF NOT EXISTS idx_voice_sessions_user ON voice_sessions (guildId, userId, startAt)`).run();
+    db.prepare(`CREATE INDEX IF NOT EXISTS idx_voice_sessions_open ON voice_sessions (endAt) WHERE endAt IS NULL`).run();
+
+    // Sessions tracked through users.voiceJoin before the ledger existed have no checkpoint: they are recovered with no time.
+    if (!hadVoiceSessionsTable) {
+      db.prepare(`
+      INSERT INTO voice_sessions (guildId,userId,startAt,checkpointAt)
+      SELECT guildId, userId, voiceJoin * 1000, voiceJoin * 1000 FROM users WHERE voiceJoin IS NOT NULL
+      `).run();
+      db.prepare(`UPDATE users SET voiceJoin = NULL`).run();
+    }
+  },
+  function addWebPublic(db) {
+    db.prepare(`ALTER TABLE guild_settings ADD COLUMN webPublic INTEGER DEFAULT 0`).run();
+  },
+  // Several boards per type: the existing ones become the unnamed board, and activity is
+  // kept per channel so named boards can be limited to some channels or categories.
+  function scopedBoards(db) {
+    db.prepare(`
+    CREATE TABLE leaderboards_new (
+      guildId TEXT NOT NULL,
+      type TEXT NOT NULL,
+      name TEXT NOT NULL DEFAULT '',
+      channelId TEXT NOT NULL,
+      messageId TEXT,
+      timerMessageId TEXT,
+      startAt INTEGER,
+      endAt INTEGER,
+      winnersText TEXT,
+      active INTEGER DEFAULT 1,
+      cycle TEXT DEFAULT 'weekly',
+      cycleMs INTEGER,
+      anchorDay INTEGER,
+      anchorTime TEXT,
+      timezone TEXT,
+      pausedAt INTEGER,
+      lastUpdateAt INTEGER,
+      PRIMARY KEY (guildId, type, name)
+    )`).run();
+    db.prepare(`
+    INSERT INTO leaderboards_new (guildId,type,channelId,messageId,timerMessageId,startAt,endAt,winnersText,active,cycle,cycleMs,anchorDay,anchorTime,timezone,pausedAt,lastUpdateAt)
+    SELECT guildId,type,channelId,messageId,timerMessageId,startAt,endAt,winnersText,active,cycle,cycleMs,anchorDay,anchorTime,timezone,pausedAt,lastUpdateAt FROM leaderboards
+    `).run();
+    db.prepare(`DROP TABLE leaderboards`).run();
+    db.prepare(`ALTER TABLE leaderboards_new RENAME TO leaderboards`).run();
+
+    db.prepare(`
+    CREATE TABLE board_scopes (
+      guildId TEXT NOT NULL,
+      type TEXT NOT NULL,
+      name TEXT NOT NULL,
+      targetId TEXT NOT NULL,
+      PRIMARY KEY (guildId, type, name, targetId)
+    )`).run();
+
+    // Activity recorded before this migration has no channel and only counts on unscoped boards.
+    db.prepare(`
+    CREATE TABLE activity_new (
+      guildId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      bucket INTEGER NOT NULL,
+      channelId TEXT NOT NULL DEFAULT '',
+      messages INTEGER DEFAULT 0,
+      voiceSeconds INTEGER DEFAULT 0,
+      PRIMARY KEY (guildId, userId, bucket, channelId)
+    )`).run();
+    db.prepare(`
+    INSERT INTO activity_new (guildId,userId,bucket,messages,voiceSeconds)
+    SELECT guildId,userId,bucket,messages,voiceSeconds FROM activity
+    `).run();
+    db.prepare(`DROP TABLE activity`).run();
+    db.prepare(`ALTER TABLE activity_new RENAME TO activity`).run();
+    db.prepare(`CREATE INDEX idx_activity_bucket ON activity (guildId, bucket)`).run();
+
+    db.prepare(`ALTER TABLE cycles ADD COLUMN name TEXT NOT NULL DEFAULT ''`).run();
+
+    db.prepare(`
+    CREATE TABLE reward_roles_new (
+      guildId TEXT NOT NULL,
+      type TEXT NOT NULL,
+      name TEXT NOT NULL DEFAULT '',
+      rank INTEGER NOT NULL,
+      roleId TEXT NOT NULL,
+      PRIMARY KEY (guildId, type, name, rank)
+    )`).run();
+    db.prepare(`INSERT INTO reward_roles_new (guildId,type,rank,roleId) SELECT guildId,type,rank,roleId FROM reward_roles`).run();
+    db.prepare(`DROP TABLE reward_roles`).run();
+    db.prepare(`ALTER TABLE reward_roles_new RENAME TO reward_roles`).run();
+
+    db.prepare(`
+    CREATE TABLE reward_holders_new (
+      guildId TEXT NOT NULL,
+      type TEXT NOT NULL,
+      name TEXT NOT NULL DEFAULT '',
+      userId TEXT NOT NULL,
+      roleId TEXT NOT NULL,
+      PRIMARY KEY (guildId, type, name, userId, roleId)
+    )`).run();
+    db.prepare(`INSERT INTO reward_holders_new (guildId,type,userId,roleId) SELECT guildId,type,userId,roleId FROM reward_holders`).run();
+    db.prepare(`DROP TABLE reward_holders`).run();
+    db.prepare(`ALTER TABLE reward_holders_new RENAME TO reward_holders`).run();
+  },
+  function addBoardAppearance(db) {
+    db.prepare(`ALTER TABLE leaderboards ADD COLUMN title TEXT`).run();
+    db.prepare(`ALTER TABLE leaderboards ADD COLUMN color INTEGER`).run();
+    db.prepare(`ALTER TABLE leaderboards ADD COLUMN thumbnail TEXT`).run();
+    db.prepare(`ALTER TABLE leaderboards ADD COLUMN topCount INTEGER`).run();
+    db.prepare(`ALTER TABLE leaderboards ADD COLUMN lineTemplate TEXT`).run();
+    db.prepare(`ALTER TABLE leaderboards ADD COLUMN compactDuration INTEGER DEFAULT 0`).run();
+    db.prepare(`ALTER TABLE leaderboards ADD COLUMN footerText TEXT`).run();
+  },
+  function addGuildLocale(db) {
+    db.prepare(`ALTER TABLE guild_settings ADD COLUMN locale TEXT`).run();
+  },
+  function addXpLevels(db) {
+    db.prepare(`ALTER TABLE guild_settings ADD COLUMN xpPerMessage INTEGER DEFAULT 10`).run();
+    db.prepare(`ALTER TABLE guild_settings ADD COLUMN xpPerVoiceMinute INTEGER DEFAULT 5`).run();
+    db.prepare(`ALTER TABLE guild_settings ADD COLUMN levelBase INTEGER DEFAULT 100`).run();
+    db.prepare(`ALTER TABLE guild_settings ADD COLUMN levelGrowth REAL DEFAULT 1.5`).run();
+    db.prepare(`ALTER TABLE guild_settings ADD COLUMN levelChannelId TEXT`).run();
+    db.prepare(`
+    CREATE TABLE level_roles (
+      guildId TEXT NOT NULL,
+      level INTEGER NOT NULL,
+      roleId TEXT NOT NULL,
+      PRIMARY KEY (guildId, level)
+    )`).run();
+    db.prepare(`
+    CREATE TABLE member_levels (
+      guildId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      level INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (guildId, userId)
+    )`).run();
+
+    // Members start at the level their past activity earns under the default settings, so upgrading announces nothing.
+    const defaults = { xpPerMessage: 10, xpPerVoiceMinute: 5, levelBase: 100, levelGrowth: 1.5 };
+    const insert = db.prepare(`INSERT INTO member_levels (guildId,userId,level) VALUES (?,?,?)`);
+    const totals = db.prepare(`
+    SELECT guildId, userId, SUM(messages) AS messages, SUM(voiceSeconds) AS voiceSeconds FROM activity GROUP BY guildId, userId
+    `).all();
+    for (const r of totals) insert.run(r.guildId, r.userId, levelForXp(computeXp(defaults, r.messages, r.voiceSeconds), defaults));
+  },
+  function addTeams(db) {
+    db.prepare(`
+    CREATE TABLE teams (
+      guildId TEXT NOT NULL,
+      roleId TEXT NOT NULL,
+      PRIMARY KEY (guildId, roleId)
+    )`).run();
+  },
+  function addPrivacy(db) {
+    db.prepare(`
+    CREATE TABLE opt_outs (
+      guildId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      createdAt INTEGER NOT NULL,
+      PRIMARY KEY (guildId, userId)
+    )`).run();
+    db.prepare(`
+    CREATE TABLE departed_members (
+      guildId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      leftAt INTEGER NOT NULL,
+      PRIMARY KEY (guildId, userId)
+    )`).run();
+    db.prepare(`ALTER TABLE guild_settings ADD COLUMN departedPurgeDays INTEGER`).run();
+  },
+  function addActivityKinds(db) {
+    for (const column of ['reactions', 'threadMessages', 'streamSeconds', 'cameraSeconds'])
+      db.prepare(`ALTER TABLE activity ADD COLUMN ${column} INTEGER DEFAULT 0`).run();
+    db.prepare(`ALTER TABLE voice_sessions ADD COLUMN kind TEXT NOT NULL DEFAULT 'voice'`).run();
+    db.prepare(`ALTER TABLE guild_settings ADD COLUMN msgUncountDeleted INTEGER DEFAULT 0`).run();
+    // Counted messages are remembered for a while so a deletion can take the exact message back out.
+    db.prepare(`
+    CREATE TABLE counted_messages (
+      guildId TEXT NOT NULL,
+      messageId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      channelId TEXT NOT NULL,
+      thread INTEGER NOT NULL DEFAULT 0,
+      createdAt INTEGER NOT NULL,
+      PRIMARY KEY (guildId, messageId)
+    )`).run();
+    db.prepare(`
+    CREATE TABLE counted_reactions (
+      guildId TEXT NOT NULL,
+      messageId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      emoji TEXT NOT NULL,
+      createdAt INTEGER NOT NULL,
+      PRIMARY KEY (guildId, messageId, userId, emoji)
+    )`).run();
+    db.prepare(`CREATE INDEX idx_counted_messages_created ON counted_messages (createdAt)`).run();
+    db.prepare(`CREATE INDEX idx_counted_reactions_created ON counted_reactions (createdAt)`).run();
+  },
+  function addNotifications(db) {
+    db.prepare(`ALTER TABLE guild_settings ADD COLUMN notifyChannelId TEXT`).run();
+    db.prepare(`ALTER TABLE guild_settings ADD COLUMN notifyMilestones INTEGER DEFAULT 1`).run();
+    db.prepare(`ALTER TABLE guild_settings ADD COLUMN notifyPodium INTEGER DEFAULT 1`).run();
+    db.prepare(`ALTER TABLE guild_settings ADD COLUMN notifyOvertaken INTEGER DEFAULT 1`).run();
+    db.prepare(`ALTER TABLE guild_settings ADD COLUMN notifyCooldown INTEGER DEFAULT 60`).run();
+    db.prepare(`ALTER TABLE guild_settings ADD COLUMN notifyHourlyLimit INTEGER DEFAULT 10`).run();
+    db.prepare(`ALTER TABLE guild_settings ADD COLUMN milestoneMessages TEXT`).run();
+    db.prepare(`ALTER TABLE guild_settings ADD COLUMN milestoneVoiceHours TEXT`).run();
+    db.prepare(`
+    CREATE TABLE notify_dms (
+      guildId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      PRIMARY KEY (guildId, userId)
+    )`).run();
+    db.prepare(`
+    CREATE TABLE member_milestones (
+      guildId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      type TEXT NOT NULL,
+      value INTEGER NOT NULL,
+      PRIMARY KEY (guildId, userId, type)
+    )`).run();
+
+    // Milestones already passed are recorded as reached, so upgrading announces nothing.
+    const insert = db.prepare(`INSERT INTO member_milestones (guildId,userId,type,value) VALUES (?,?,?,?)`);
+    const totals = db.prepare(`
+    SELECT guildId, userId, SUM(messages) AS messages, SUM(voiceSeconds) AS voiceSeconds FROM activity GROUP BY guildId, userId
+    `).all();
+    for (const r of totals) {
+      const messages = DEFAULT_MILESTONES.message.filter(m => m <= r.messages).pop();
+      const hours = DEFAULT_MILESTONES.vocal.filter(h => h * 3600 <= r.voiceSeconds).pop();
+      if (messages) insert.run(r.guildId, r.userId, 'message', messages);
+      if (hours) insert.run(r.guildId, r.userId, 'vocal', hours);
+    }
+  },
+  function addCycleMarks(db) {
+    // Cycles that started before this migration keep counting their first hour whole.
+    db.prepare(`
+    CREATE TABLE cycle_marks (
+      guildId TEXT NOT NULL,
+      at INTEGER NOT NULL,
+      userId TEXT NOT NULL,
+      bucket INTEGER NOT NULL,
+      channelId TEXT NOT NULL DEFAULT '',
+      messages INTEGER DEFAULT 0,
+      voiceSeconds INTEGER DEFAULT 0,
+      reactions INTEGER DEFAULT 0,
+      threadMessages INTEGER DEFAULT 0,
+      streamSeconds INTEGER DEFAULT 0,
+      cameraSeconds INTEGER DEFAULT 0
+    )`).run();
+    db.prepare(`CREATE INDEX idx_cycle_marks ON cycle_marks (guildId, at)`).run();
+  },
+  function addTeamMetric(db) {
+    db.prepare(`ALTER TABLE guild_settings ADD COLUMN teamMetric TEXT DEFAULT 'global'`).run();
+    // Team cycles keep the stat their values were summed from; the ones archived so far were XP.
+    db.prepare(`ALTER TABLE cycles ADD COLUMN metric TEXT`).run();
+    db.prepare(`UPDATE cycles SET metric = 'global' WHERE type = 'equipes'`).run();
+  },
+];
+
+// Brings `db` up to the latest schema; `backup(label)` saves a non-empty database first and returns the file.
+export async function migrate(db, backup) {
+  const version = db.pragma('user_version', { simple: true });
+  if (version > MIGRATIONS.length)
+    throw new Error(`Database schema v${version} is newer than this bot (v${MIGRATIONS.length})`);
+  if (version === MIGRATIONS.length) return;
+
+  const isEmpty = !db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table'`).get();
+  if (!isEmpty) {
+    const file = await backup(`pre-migration-v${version}`);
+    console.log(`Database backed up to ${file}`);
+  }
+
+  for (let v = version; v < MIGRATIONS.length; v++) {
+    db.transaction(() => {
+      MIGRATIONS[v](db);
+      db.pragma(`user_version = ${v + 1}`);
+    })();
+    console.log(`Database migrated to v${v + 1} (${MIGRATIONS[v].name})`);
+  }
+}
@@ -0,0 +1,12 @@
+// Activity milestones announced by notifications.
+
+// Milestones announced unless a guild sets its own: lifetime messages, and lifetime voice hours.
+export const DEFAULT_MILESTONES = { message: [100, 1000, 5000, 10000, 50000], vocal: [10, 50, 100, 500, 1000] };
+export const MAX_MILESTONES = 20;
+
+// "1000, 5000 10000" → [1000, 5000, 10000]; null when the list is not made of positive whole numbers.
+export function parseMilestones(text) {
+  const values = text.split(/[\s,;]+/).filter(Boolean).map(Number);
+  if (values.some(v => !Number.isInteger(v) || v <= 0)) return null;
+  return [...new Set(values)].sort((a,b)=> a - b);
+}
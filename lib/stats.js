@@ -0,0 +1,105 @@
+// Manual stat corrections behind /stats and the import: every change is written to the audit log.
+
+import { HOUR_MS } from './cycles.js';
+
+// `db` must already be migrated.
+export function createStatEditor(db) {
+  const stmtGetUser = db.prepare(`SELECT messages, voiceSeconds FROM users WHERE guildId = ? AND userId = ?`);
+  const stmtSetUserMessages = db.prepare(`UPDATE users SET messages = ? WHERE guildId = ? AND userId = ?`);
+  const stmtSetUserVoice = db.prepare(`UPDATE users SET voiceSeconds = ? WHERE guildId = ? AND userId = ?`);
+  // Corrections have no channel, so boards scoped to channels never see them (documented in the README and /aide).
+  const stmtAddCorrection = db.prepare(`
+  INSERT INTO activity (guildId,userId,bucket,channelId,messages,voiceSeconds) VALUES (@g,@u,@b,'',@m,@v)
+  ON CONFLICT(guildId,userId,bucket,channelId) DO UPDATE SET messages = messages + excluded.messages, voiceSeconds = voiceSeconds + excluded.voiceSeconds
+  `);
+  const stmtMoveActivity = db.prepare(`
+  INSERT INTO activity (guildId,userId,bucket,channelId,messages,voiceSeconds,reactions,threadMessages,streamSeconds,cameraSeconds)
+  SELECT guildId, @to, bucket, channelId, messages, voiceSeconds, reactions, threadMessages, streamSeconds, cameraSeconds
+  FROM activity WHERE guildId = @g AND userId = @from
+  ON CONFLICT(guildId,userId,bucket,channelId) DO UPDATE SET messages = messages + excluded.messages, voiceSeconds = voiceSeconds + excluded.voiceSeconds,
+    reactions = reactions + excluded.reactions, threadMessages = threadMessages + excluded.threadMessages,
+    streamSeconds = streamSeconds + excluded.streamSeconds, cameraSeconds = cameraSeconds + excluded.cameraSeconds
+  `);
+  const stmtDeleteActivity = db.prepare(`DELETE FROM activity WHERE guildId = @g AND userId = @from`);
+  const stmtMoveCycleMarks = db.prepare(`UPDATE cycle_marks SET userId = @to WHERE guildId = @g AND userId = @from`);
+  const stmtMoveCountedMessages = db.prepare(`UPDATE counted_messages SET userId = @to WHERE guildId = @g AND userId = @from`);
+  // A reaction both accounts added to the same message stays counted once.
+  const stmtMoveCountedReactions = db.prepare(`UPDATE OR IGNORE counted_reactions SET userId = @to WHERE guildId = @g AND userId = @from`);
+  const stmtDeleteCountedReactions = db.prepare(`DELETE FROM counted_reactions WHERE guildId = @g AND userId = @from`);
+  // The target keeps the higher level and milestones reached, so nothing already announced is announced again.
+  const stmtMoveLevel = db.prepare(`
+  INSERT INTO member_levels (guildId,userId,level) SELECT guildId, @to, level FROM member_levels WHERE guildId = @g AND userId = @from
+  ON CONFLICT(guildId,userId) DO UPDATE SET level = MAX(level, excluded.level)
+  `);
+  const stmtDeleteLevel = db.prepare(`DELETE FROM member_levels WHERE guildId = @g AND userId = @from`);
+  const stmtMoveMilestones = db.prepare(`
+  INSERT INTO member_milestones (guildId,userId,type,value) SELECT guildId, @to, type, value FROM member_milestones WHERE guildId = @g AND userId = @from
+  ON CONFLICT(guildId,userId,type) DO UPDATE SET value = MAX(value, excluded.value)
+  `);
+  const stmtDeleteMilestones = db.prepare(`DELETE FROM member_milestones WHERE guildId = @g AND userId = @from`);
+  const stmtInsertAudit = db.prepare(`
+  INSERT INTO audit_log (guildId,actorId,action,targetId,relatedId,type,before,after,reason,createdAt)
+  VALUES (@g,@actor,@action,@target,@related,@t,@before,@after,@reason,@at)
+  `);
+
+  // Cycle counter of the unnamed message or voice board.
+  function getUserStat(gid, uid, type) {
+    const row = stmtGetUser.get(gid, uid);
+    return type === 'message' ? (row?.messages || 0) : (row?.voiceSeconds || 0);
+  }
+
+  // Sets the cycle counter and records the difference in `activity`, so lifetime totals and periods follow.
+  const setUserStat = db.transaction((gid, uid, type, value, audit) => {
+    const before = getUserStat(gid, uid, type);
+    const after = Math.max(0, Math.floor(value));
+    if (type === 'message') stmtSetUserMessages.run(after, gid, uid);
+    else stmtSetUserVoice.run(after, gid, uid);
+    const delta = after - before;
+    if (delta) {
+      stmtAddCorrection.run({
+        g: gid, u: uid, b: audit.bucket ?? Math.floor(Date.now() / HOUR_MS) * HOUR_MS,
+        m: type === 'message' ? delta : 0, v: type === 'message' ? 0 : delta,
+      });
+    }
+    stmtInsertAudit.run({
+      g: gid, actor: audit.actorId, action: audit.action, target: uid, related: audit.relatedId ?? null,
+      t: type, before, after, reason: audit.reason ?? null, at: Date.now(),
+    });
+    return { before, after };
+  });
+
+  // Moves everything counted for `from` to `to`: cycle counters, activity of every type, the message and
+  // reaction ids kept to undo deletions, levels and milestones. Both accounts need a `users` row.
+  const transferUserStats = db.transaction((gid, from, to, audit) => {
+    const moved = {};
+    for (const type of ['message','vocal']) {
+      const fromBefore = getUserStat(gid, from, type);
+      const toBefore = getUserStat(gid, to, type);
+      if (type === 'message') {
+        stmtSetUserMessages.run(0, gid, from);
+        stmtSetUserMessages.run(toBefore + fromBefore, gid, to);
+      } else {
+        stmtSetUserVoice.run(0, gid, from);
+        stmtSetUserVoice.run(toBefore + fromBefore, gid, to);
+      }
+      const base = { g: gid, actor: audit.actorId, t: type, reason: audit.reason ?? null, at: Date.now() };
+      stmtInsertAudit.run({ ...base, action: 'transfer-out', target: from, related: to, before: fromBefore, after: 0 });
+      stmtInsertAudit.run({ ...base, action: 'transfer-in', target: to, related: from, before: toBefore, after: toBefore + fromBefore });
+      moved[type] = fromBefore;
+    }
+    const ids = { g: gid, from, to };
+    stmtMoveActivity.run(ids);
+    stmtDeleteActivity.run(ids);
+    stmtMoveCycleMarks.run(ids);
+    stmtMoveCountedMessages.run(ids);
+    stmtMoveCountedReactions.run(ids);
+    stmtDeleteCountedReactions.run(ids);
+    stmtMoveLevel.run(ids);
+    stmtDeleteLevel.run(ids);
+    stmtMoveMilestones.run(ids);
+    stmtDeleteMilestones.run(ids);
+    return moved;
+  });
+
+  return { getUserStat, setUserStat, transferUserStats };
+}
@@ -0,0 +1,833 @@
+// English catalog. Missing keys fall back to French. `commands` translates the slash command
+// definitions, keyed by their French name, description or choice label.
+export default {
+  meta: { name: 'English', intl: 'en-US', discord: ['en-US', 'en-GB'] },
+
+  common: {
+    noPermission: '❌ You do not have permission.',
+    invalidChannel: 'Invalid channel.',
+    guildOnly: 'This command can only be used in a server.',
+    error: '❌ Error: {message}',
+    internalError: 'Internal error.',
+    none: '*none*',
+    noneFeminine: '*none*',
+    noResult: 'No results',
+    unknownBoard: '❌ No **{title}** leaderboard is configured.',
+    invalidBoardName: '❌ A leaderboard name cannot contain `:`.',
+    rulesUpdated: '✅ Rules updated.',
+    wholeGuild: 'the whole server',
+  },
+
+  format: {
+    messages: '{n} messages',
+    xp: '{n} XP',
+    reactions: '{n} reactions',
+    duration: '{d} days, {h} hours, {m} minutes, {s} seconds',
+    remaining: '{d} days, {h} hours, {m} minutes',
+    compactDays: '{d}d {h}h {m}m',
+    compactHours: '{h}h {m}m',
+    compactMinutes: '{m}m {s}s',
+    kilobytes: '{n} KB',
+  },
+
+  types: {
+    message: 'message',
+    vocal: 'voice',
+    global: 'global',
+    equipes: 'teams',
+    reactions: 'reactions',
+    fils: 'threads and forums',
+    stream: 'stream',
+    camera: 'camera',
+  },
+  typeLabels: {
+    message: '📊 Text',
+    vocal: '🎙️ Voice',
+    global: '⭐ Global',
+    equipes: '🛡️ Teams',
+    reactions: '👍 Reactions',
+    fils: '🧵 Threads and forums',
+    stream: '📺 Stream',
+    camera: '📷 Camera',
+  },
+  typeNames: {
+    message: 'Text',
+    vocal: 'Voice',
+    global: 'Global',
+    equipes: 'Teams',
+    reactions: 'Reactions',
+    fils: 'Threads and forums',
+    stream: 'Stream',
+    camera: 'Camera',
+  },
+
+  cycles: {
+    daily:   { label: 'daily',     period: 'of the day' },
+    weekly:  { label: 'weekly',    period: 'of the week' },
+    monthly: { label: 'monthly',   period: 'of the month' },
+    custom:  { label: 'custom',    period: 'of the cycle' },
+    never:   { label: 'permanent', period: 'of the cycle' },
+    describeNever: 'permanent (never reset)',
+    describeCustom: 'custom ({duration})',
+    anchorWeekly: '{label}, every {day} at {time} ({tz})',
+    anchorMonthly: '{label}, on the 1st of the month at {time} ({tz})',
+    anchorDaily: '{label}, every day at {time} ({tz})',
+  },
+  weekdays: ['Sunday','Monday','Tuesday','Wednesday','Thursday','Friday','Saturday'],
+  periods: {
+    cycle: 'current cycle',
+    today: 'today',
+    '7d': 'last 7 days',
+    '30d': 'last 30 days',
+    all: 'all time',
+  },
+
+  timer: {
+    paused: '⏸️ Leaderboard paused.',
+    pausedLeft: '⏸️ Leaderboard paused ({duration} left).',
+    permanent: '♾️ Permanent leaderboard: no reset scheduled.',
+    countdown: '⏳ The leaderboard will reset {time}',
+    stopped: '⏹️ Leaderboard stopped.',
+  },
+
+  board: {
+    named: '{type} “{name}”',
+    titles: {
+      message: '📊 Text Statistics',
+      vocal: '🎙️ Voice Statistics',
+      global: '⭐ Global Leaderboard (XP)',
+      equipes: '🛡️ Team Leaderboard',
+      reactions: '👍 Reactions Given',
+      fils: '🧵 Messages in Threads and Forums',
+      stream: '📺 Streaming Time (Go Live)',
+      camera: '📷 Camera Time',
+    },
+    titleNamed: '{title} — {name}',
+    paused: '⏸️ Cycle paused',
+    pausedLeft: '⏸️ Cycle paused — {duration} left',
+    countdown: 'Cycle: {cycle} — Ends in: {remaining} — Top {top} will be rewarded',
+    permanent: 'Permanent leaderboard — never reset',
+    notStarted: 'Cycle not started',
+    winners: '**Winners {period}:**',
+    pageFooter: 'Period: {period} — Page {page}/{pages}',
+  },
+
+  setleaderboard: {
+    scopeNeedsName: '❌ The main leaderboard covers the whole server: give a `name` to limit its scope.',
+    invalidDuration: '❌ Invalid duration for a custom cycle (e.g. `3d12h`, `90m`, at least 1 minute).',
+    invalidTime: '❌ Invalid time, expected format `HH:MM`.',
+    durationNeedsCustom: '❌ `duration` only applies to the custom cycle.',
+    timeNeedsCalendar: '❌ `time` only applies to daily, weekly and monthly cycles.',
+    dayNeedsWeeklyTime: '❌ `day` only applies to the weekly cycle with a fixed `time`.',
+    invalidTimezone: '❌ Unknown time zone (e.g. `Europe/London`, `America/New_York`).',
+    done: '✅ **{title}** leaderboard set up in <#{channel}> ({cycle} cycle).',
+    scope: 'Scope: {channels}',
+  },
+
+  leaderboard: {
+    scopeMainBoard: '❌ The main leaderboard covers the whole server: create a named leaderboard to limit its scope.',
+    scopeSet: '✅ Scope of **{title}**: {channels}.',
+    alreadyPaused: 'This leaderboard is already paused.',
+    paused: '⏸️ **{title}** leaderboard paused. Activity is still counted, the countdown is frozen.',
+    notPaused: 'This leaderboard is not paused.',
+    resumed: '▶️ **{title}** leaderboard resumed.',
+    resumedUntil: '▶️ **{title}** leaderboard resumed. The cycle ends {time}.',
+    ended: '🏁 **{title}** cycle closed, a new cycle has started.',
+    endFailed: {
+      busy: '⏳ The **{title}** cycle is already being closed.',
+      missing: '❌ The **{title}** leaderboard no longer exists.',
+      noChannel: '❌ **{title}** cycle not closed: its channel is gone or the bot can no longer access it. Run `/setleaderboard` again in a valid channel.',
+    },
+    stopped: '⏹️ **{title}** leaderboard stopped and unregistered. Statistics are kept.',
+  },
+
+  status: {
+    title: '📋 Leaderboard status',
+    empty: 'No leaderboard configured. Use `/setleaderboard`.',
+    pausedSince: '⏸️ Paused since {time}',
+    active: '▶️ Active',
+    inactive: '⏹️ Inactive',
+    state: '**State:** {state}',
+    channel: '**Channel:** <#{channel}>',
+    scope: ' · **Scope:** {scope}',
+    links: '**Leaderboard:** {board} · **Timer:** {timer}',
+    cycle: '**Cycle:** {cycle}',
+    dates: '**Start:** {start} · **End:** {end}',
+    frozen: 'frozen',
+    lastUpdate: '**Last update:** {time}',
+  },
+
+  appearance: {
+    invalidThumbnail: '❌ Invalid thumbnail: give an http(s) link or “server”.',
+    invalidColor: '❌ Invalid color: use the #RRGGBB format.',
+    saved: '✅ Appearance of **{title}** saved. The published message will be updated.',
+    reset: '✅ Appearance of **{title}** reset. The published message will be updated.',
+    preview: '👀 Preview — nothing is saved. Use `/appearance edit` with the same options to publish.',
+  },
+
+  profile: {
+    title: '👤 Profile of {name}',
+    rank: 'Rank: **#{rank}** of {total}',
+    unranked: 'Rank: *unranked*',
+    total: 'Total: `{value}`',
+    toNext: 'Next rank: `{value}` to go',
+    toPodium: 'Podium: `{value}` to go',
+    onPodium: '{medal} On the podium!',
+    level: '⭐ Level {level}',
+    levelValue: 'Total XP: `{xp}`\nLevel {next}: `{missing}` to go',
+    liveSession: '🔴 Voice session in progress',
+    liveSessionValue: 'In <#{channel}> since {time}\n`{duration}`',
+    best: '🏅 Best past placements',
+    noCycle: 'No finished cycle.',
+  },
+
+  palmares: {
+    titles: {
+      message: '📜 Text Honours',
+      vocal: '📜 Voice Honours',
+      global: '📜 Global Honours',
+      equipes: '📜 Team Honours',
+      reactions: '📜 Reaction Honours',
+      fils: '📜 Thread and Forum Honours',
+      stream: '📜 Streaming Honours',
+      camera: '📜 Camera Honours',
+    },
+    empty: 'No archived cycle yet.',
+    range: 'From {start} to {end}',
+    endedAt: 'Ended on {end}',
+    cycleTitle: '{title} — {cycle} cycle',
+    noActivity: 'No activity during this cycle.',
+    footer: 'Cycle {number}/{total} — Page {page}/{pages}',
+    memberTitle: '🏅 Honours of {name}',
+    podiums: '{gold} {first} · {silver} {second} · {bronze} {third} — **{total}** podium(s)',
+    bestPlace: 'Best place: **{place}** over {cycles} ranked cycle(s)',
+    first: '#1',
+    nth: '#{n}',
+    streak: '🔥 Win streak: **{current}** ongoing, record **{best}**',
+    neverRanked: 'Never ranked.',
+    hallOfFame: '🏛️ Hall of Fame',
+    hallOfFameType: '🏛️ Hall of Fame — {type}',
+    hallOfFameFooter: 'Wins · 2nd places · 3rd places · 🔥 best win streak',
+  },
+
+  stats: {
+    sameAccount: '❌ Source and target must be different.',
+    transferred: '✅ Transferred from <@{from}> to <@{to}>: `{messages}` and `{voice}`.',
+    reset: '✅ Statistics of <@{user}> reset (before: `{messages}`, `{voice}`).',
+    invalidMessages: '❌ Invalid number of messages.',
+    invalidDuration: '❌ Invalid duration (e.g. `2h30m`, or a number of minutes).',
+    changed: '✅ <@{user}>: `{before}` → `{after}`',
+  },
+
+  audit: {
+    actions: {
+      add: '➕ Added',
+      remove: '➖ Removed',
+      set: '✏️ Set',
+      reset: '🧽 Reset',
+      'transfer-out': '📤 Transfer (source)',
+      'transfer-in': '📥 Transfer (target)',
+      import: '📦 Import',
+      erase: '🗑️ Erasure',
+    },
+    types: {
+      message: 'messages',
+      vocal: 'voice',
+    },
+    line: '{time} · {action} {type} for <@{target}>{related} by <@{actor}>\n`{before}` → `{after}`{reason}',
+    title: '🗒️ Change log',
+    titleMember: '🗒️ Change log — {name}',
+    empty: 'No change recorded.',
+    lineErase: '{time} · {action} of <@{target}>\'s data by <@{actor}>{reason}',
+    footer: 'Page {page}/{pages} — {total} entries',
+  },
+
+  data: {
+    webDisabled: '🔒 This server\'s leaderboards are no longer published.',
+    webEnabled: '🌐 Leaderboards published on {where}. The web page is public: anyone who knows the server ID can view it, only the API requires the token.',
+    webNoServer: 'the web page (HTTP server not enabled on this bot)',
+    webPaths: '`/guilds/{guild}` and `/api/guilds/{guild}/...`',
+    exported: '📤 Server data export:',
+    badExtension: '❌ Only `.csv` and `.json` files are accepted.',
+    tooLarge: '❌ File too large (5 MB maximum).',
+    downloadFailed: 'download failed ({status})',
+    rejected: '❌ Import rejected: {reason}',
+    confirm: 'Confirm import',
+    cancel: 'Cancel',
+    expired: '⌛ This preview has expired, run `/data import` again.',
+    cancelled: 'Import cancelled.',
+    done: '✅ Import finished: {members} member(s) and {cycles} cycle(s).',
+    modes: {
+      merge: 'merge',
+      replace: 'replace',
+    },
+    auditReason: 'import ({mode})',
+    previewTitle: '📦 Import preview ({mode})',
+    previewMembers: '**Members changed:** {count} ({added} new)',
+    previewMembersReplace: '**Members changed:** {count} ({added} new, {removed} reset)',
+    previewMessages: '**Messages:** {before} → {after}',
+    previewVoice: '**Voice:** {before} → {after}',
+    previewCyclesMerge: '**Archived cycles to add:** {count}',
+    previewCyclesReplace: '**Archived cycles to replace:** {count}',
+    previewLine: '<@{user}>{flags}: `{messagesBefore} → {messagesAfter}` msg · `{voiceBefore} → {voiceAfter}`',
+    previewEmpty: '*No change.*',
+    previewFooter: 'No data has been changed yet. Leaderboard configuration is not imported.',
+    errors: {
+      invalidId: '{where}: invalid ID “{value}”',
+      invalidValue: '{where}: invalid {field} value “{value}”',
+      badJson: 'unreadable JSON',
+      missingUsers: 'missing `users` field',
+      invalidCycle: 'cycles[{index}]: invalid cycle',
+      emptyFile: 'empty file',
+      missingUserId: 'column `userId` not found',
+      missingValues: 'columns `messages` or `voiceSeconds` not found',
+      line: 'line {n}',
+      duplicate: 'duplicate member: {user}',
+      nothing: 'nothing to import',
+    },
+  },
+
+  antispam: {
+    title: '🛡️ Anti-farming rules',
+    enabled: '✅ enabled',
+    disabled: '❌ disabled',
+    cooldown: '**Cooldown:** {value}',
+    cooldownValue: '{n} s',
+    minLength: '**Minimum length:** {value}',
+    minLengthValue: '{n} characters',
+    minWords: '**Minimum words:** {value}',
+    noneMasculine: 'none',
+    noneFeminine: 'none',
+    duplicates: '**Duplicates:** {value}',
+    emoji: '**Emoji-only ignored:** {value}',
+    stickers: '**Sticker-only ignored:** {value}',
+    attachments: '**Attachment-only ignored:** {value}',
+    deletions: '**Deleted messages uncounted:** {value}',
+  },
+
+  rejections: {
+    reasons: {
+      cooldown: 'Too soon after the previous message',
+      length: 'Message too short',
+      words: 'Not enough words',
+      duplicate: 'Repeated message',
+      emoji: 'Emoji only',
+      sticker: 'Sticker only',
+      attachment: 'Attachment only',
+    },
+    title: '🛡️ Rejected messages',
+    titleMember: '🛡️ Rejected messages — {name}',
+    empty: 'No rejected message.',
+    total: 'Total: {n}',
+  },
+
+  voiceRules: {
+    title: '🎙️ Voice time rules',
+    rule: '{icon} {label}: {state}',
+    counted: 'counted',
+    notCounted: 'not counted',
+    selfMute: 'Self-muted',
+    selfDeaf: 'Self-deafened',
+    serverMute: 'Server muted/deafened',
+    afk: 'AFK channel',
+    alone: 'Alone in the channel',
+  },
+
+  filters: {
+    title: '🧹 Filters — {mode} mode',
+    modes: {
+      allow: 'allow',
+      exclude: 'exclude',
+    },
+    allowDescription: 'Only listed items are counted (an empty list allows everything).',
+    excludeDescription: 'Listed items are not counted.',
+    text: 'Text channels',
+    voice: 'Voice channels',
+    categories: 'Categories',
+    roles: 'Roles',
+  },
+
+  rewards: {
+    title: '🎁 Reward roles',
+    holders: 'Current holders: {users}',
+    logChannel: 'Errors reported in the log channel',
+    noLogChannel: 'No log channel configured',
+    unassignable: '❌ This role cannot be assigned.',
+    notEditable: '⚠️ The bot cannot manage <@&{role}>: move its role above and grant “Manage Roles”.',
+    saved: '✅ Settings saved.',
+    roleMissing: 'role not found',
+    roleAbove: 'role above the bot or missing “Manage Roles” permission',
+    unknownError: 'unknown error',
+    removeFailed: 'Removing <@&{role}> from <@{user}>: {error}',
+    memberLeft: 'Giving <@&{role}> (#{rank}): <@{user}> is no longer on the server',
+    addFailed: 'Giving <@&{role}> to <@{user}> (#{rank}): {error}',
+    logTitle: '⚠️ **Rewards for the {title} leaderboard**: {count} error(s)',
+    removeReason: 'Leaderboard cycle ended',
+    addReason: 'Leaderboard reward {title} (#{rank})',
+  },
+
+  levels: {
+    title: '⭐ Levels and XP',
+    perMessage: '**XP per message:** {value}',
+    perVoiceMinute: '**XP per voice minute:** {value}',
+    curve: '**Curve:** level n = {base} × n^{growth} XP',
+    channel: '**Announcements:** {channel}',
+    noChannel: '*disabled*',
+    steps: 'Thresholds',
+    step: 'Level {level}: `{value}`',
+    roles: 'Level roles',
+    roleLine: 'Level {level}: <@&{role}>',
+    saved: '✅ Level settings saved.',
+    roleHint: 'ℹ️ The role is given to members who reach this level from now on.',
+    announce: '🎉 <@{user}> reached level **{level}**!',
+    addReason: 'Reached level {level}',
+    addFailed: 'Assigning <@&{role}> (level {level}) to <@{user}>: {error}',
+    logTitle: '⚠️ **Level roles**: {count} error(s)',
+  },
+
+  teams: {
+    title: '🛡️ Teams',
+    empty: 'No teams yet. Add roles with `/teams add`.',
+    footer: 'Score: {metric} · {period}',
+    details: '👥 {members} member(s) · {top}',
+    top: '⭐ top contributor: <@{user}> (`{value}`)',
+    noTop: '⭐ no contributor',
+    deletedRole: '⚠️ Deleted role: `{role}` (remove it with `/teams remove`)',
+    invalidRole: '❌ This role cannot be used as a team.',
+    tooMany: '❌ {max} teams at most.',
+    saved: '✅ Teams updated.',
+    winner: '🏆 Team <@&{role}> wins the **{title}** cycle with `{value}`!',
+    winnerTop: '⭐ Top contributor: <@{user}> (`{value}`)',
+  },
+
+  privacy: {
+    title: '🔐 Your data on this server',
+    statusIn: '✅ Your activity is counted and you appear in the leaderboards.',
+    statusOut: '🚫 Your activity is not counted and you are hidden from the leaderboards.',
+    stored: '**Stored data:**',
+    storedActivity: '• All-time activity: {messages} · {voice}',
+    storedLevel: '• Level: {level}',
+    storedCycles: '• Places in archived cycles: {n}',
+    departedKept: 'If you leave the server, your data is hidden but kept.',
+    departedErased: 'If you leave the server, your data is erased after {days} day(s).',
+    optedOut: '🚫 You are no longer counted and no longer appear in the leaderboards. Your data is kept: `/privacy delete` erases it.',
+    optedIn: '✅ Your activity is counted again.',
+    eraseWarning: '⚠️ All your statistics and your level on this server will be erased for good. Your places in archived cycles will stay, without your name.',
+    eraseConfirm: 'Erase everything',
+    eraseCancelled: 'Erasure cancelled.',
+    erased: '🗑️ Your data has been erased.',
+    erasedMember: '🗑️ <@{user}>\'s data erased.',
+    selfReason: 'member request',
+    departedReason: 'left more than {days} day(s) ago',
+    departedHide: '✅ Departed members are hidden from the leaderboards, without erasure.',
+    departedPurge: '✅ Departed members\' data will be erased after {days} day(s).',
+    erasedEntry: '*erased member*',
+    profileHidden: '🚫 This member does not want to appear in the leaderboards.',
+  },
+
+  notify: {
+    title: '🔔 Notifications',
+    channel: '**Channel:** {channel}',
+    noChannel: 'none (only members subscribed by DM are notified)',
+    milestones: '**Milestones:** {value}',
+    podium: '**Entering and leaving the top 3:** {value}',
+    overtaken: '**Overtakes:** {value}',
+    cooldown: '**Per-member delay:** {n} min',
+    hourlyLimit: '**Hourly limit:** {n} notifications (channel and DMs)',
+    dmHint: 'Each member can get them by direct message with `/alerts dm:true`.',
+    messageSteps: '💬 Message milestones',
+    voiceSteps: '🎙️ Voice milestones',
+    hours: '{n} h',
+    saved: '✅ Notifications updated.',
+    invalidMilestones: '❌ Invalid milestones: give 1 to {max} positive whole numbers separated by commas.',
+    dmOn: '📬 You will get your notifications from this server by direct message.',
+    dmOff: '📭 Your notifications from this server will be posted in its notification channel.',
+    dm: {
+      milestoneMessages: '🎉 On **{guild}**, you reached **{value}** messages!',
+      milestoneVoice: '🎉 On **{guild}**, you reached **{value} hours** of voice!',
+      podiumEnter: '{medal} On **{guild}**, you made it onto the **{board}** podium (#{rank})!',
+      podiumLeave: '📉 On **{guild}**, you dropped off the **{board}** podium ({place}).',
+      overtaken: '⚡ On **{guild}**, <@{by}> just overtook you on **{board}**: you are now #{rank}.',
+    },
+    posts: {
+      milestoneMessages: '🎉 <@{user}> reached **{value}** messages!',
+      milestoneVoice: '🎉 <@{user}> reached **{value} hours** of voice!',
+      podiumEnter: '{medal} <@{user}> made it onto the **{board}** podium (#{rank})!',
+      podiumLeave: '📉 <@{user}> dropped off the **{board}** podium ({place}).',
+      overtaken: '⚡ <@{user}>, <@{by}> just overtook you on **{board}**: you are now #{rank}.',
+    },
+  },
+
+  permissions: {
+    manageGuildOnly: '❌ Only members with “Manage Server” can change the admin role.',
+    title: '🔐 **Who manages leaderboards on this server**',
+    manageGuild: '• Members with the “Manage Server” permission',
+    adminRole: '• Bot admin role: {role}',
+    owners: '• Bot owners (/bot-* commands are reserved to them)',
+  },
+
+  language: {
+    set: '✅ The bot now speaks English on this server.',
+    current: '🌐 Server language: **{language}**.',
+  },
+
+  bot: {
+    renamed: '✅ Bot name changed to **{name}**.',
+    avatarChanged: '✅ Bot avatar changed.',
+    presenceChanged: '✅ Bot presence changed to **{type}**.',
+    statusChanged: '✅ Bot status changed to **{type}**.',
+    defaultActivity: 'Activity',
+    backupDone: '✅ Backup created: `{file}` ({size}).',
+  },
+
+  updates: {
+    title: '📈 Update queue',
+    sent: 'Edits sent',
+    skipped: 'Skipped (unchanged)',
+    failed: 'Failed',
+    rateLimited: 'Rate limits (429)',
+    queued: 'Queued / running',
+    blocked: 'Blocked',
+    blockedValue: 'Globally: {global}\nChannels: {channels}',
+    no: 'no',
+    footer: '{guilds} server(s) — up for {uptime}',
+  },
+
+  web: {
+    titles: {
+      message: '📊 Text Leaderboard',
+      vocal: '🎙️ Voice Leaderboard',
+      global: '⭐ Global Leaderboard (XP)',
+      reactions: '👍 Reaction Leaderboard',
+      fils: '🧵 Thread and Forum Leaderboard',
+      stream: '📺 Streaming Leaderboard',
+      camera: '📷 Camera Leaderboard',
+    },
+    empty: 'No ranked member.',
+    pageTitle: 'Leaderboard — {guild}',
+    updatedAt: 'Updated on {date}',
+    notFound: 'Leaderboard not found',
+  },
+
+  help: {
+    title: '📋 Command Help',
+    description: 'Here is the list of all available commands:',
+    access: '**Available to:** {who}',
+    everyone: 'Everyone',
+    managers: 'Server managers',
+    owners: 'Owner only',
+    commands: [
+      ['/ranking', 'Shows the voice, message, global XP, reaction, thread and forum, streaming, camera or team leaderboard (main or named) with pagination, over the current cycle, today, 7 or 30 days, or all time.', 'everyone'],
+      ['/profile', 'Shows a member\'s rank, totals, gap to the next rank and to the podium, live voice session and best placements.', 'everyone'],
+      ['/alerts', 'Chooses to get your milestone and ranking notifications by direct message instead of in the server channel.', 'everyone'],
+      ['/honours', 'Browses finished cycles, shows a member\'s podiums and win streaks, or the hall of fame.', 'everyone'],
+      ['/privacy', 'Shows what the bot stores about you, stops or resumes counting your activity, or erases all your data.', 'everyone'],
+      ['/setleaderboard', 'Sets up a leaderboard channel (message, voice, global XP, reactions, threads and forums, streaming, camera or teams) and starts a cycle: daily, weekly, monthly, custom or permanent, with an optional fixed time and time zone. A `name` creates an extra leaderboard that can be limited to some channels or categories.', 'managers'],
+      ['/leaderboard', 'Pauses, resumes, ends right away or stops a leaderboard, sets the scope of named leaderboards and shows their status.', 'managers'],
+      ['/appearance', 'Customizes a leaderboard embed: title, color, thumbnail, number of entries, line template, compact durations and footer, with a preview before publishing.', 'managers'],
+      ['/stats', 'Adds, removes, sets, resets or transfers a member\'s statistics; every change is written to the log. Corrections have no channel, so leaderboards scoped to channels ignore them.', 'managers'],
+      ['/data', 'Exports statistics, configuration and archived cycles as CSV or JSON, or imports a file after a preview (merge or replace). Publishes the leaderboards on the bot\'s public web page or not, erases a member\'s data and sets when departed members are erased.', 'managers'],
+      ['/antispam', 'Sets the anti-farming rules (cooldown, length, duplicates, emoji/sticker/attachment-only messages, uncounting deleted messages) and shows rejected messages per member.', 'managers'],
+      ['/voice-rules', 'Chooses when voice time is not counted: self-muted or deafened, server muted, AFK channel, alone in the channel.', 'managers'],
+      ['/filters', 'Manages ignored (or allowed) channels, categories and roles for messages and voice. Excluded members are hidden from leaderboards.', 'managers'],
+      ['/rewards', 'Sets the roles given automatically to the winners at the end of a cycle (per place or for the top N) and the error log channel.', 'managers'],
+      ['/levels', 'Sets the XP earned per message and per voice minute for the global leaderboard, the level curve, the level-up announcement channel and the roles given at some levels.', 'managers'],
+      ['/teams', 'Picks the roles that compete as teams: each team adds up its members\' messages, voice time or XP (`/teams metric`), with member count and top contributor, and the winning team is announced at the end of the cycle.', 'managers'],
+      ['/notifications', 'Announces message and voice hour milestones, entering and leaving the top 3 and overtakes, in a channel or by DM, with a per-member delay and an hourly limit.', 'managers'],
+      ['/permissions', 'Sets a bot admin role, in addition to the “Manage Server” permission.', 'managers'],
+      ['/language', 'Chooses the bot\'s language on this server (French or English).', 'managers'],
+      ['/bot-name · /bot-avatar · /bot-presence · /bot-status', 'Changes the bot\'s name, its avatar (from a link), its presence (dnd, online, idle, invisible) or its activity (streaming, playing, watching, etc.; streaming uses a fixed Twitch link).', 'owners'],
+      ['/bot-stats', 'Shows the update queue counters: edits sent, skipped (identical embed), failed and rate limits.', 'owners'],
+      ['/bot-backup', 'Creates a database backup right away. Automatic and manual backups are rotated.', 'owners'],
+      ['/help', 'Shows this help.', 'everyone'],
+    ],
+  },
+
+  commands: {
+    names: {
+      'classement': 'ranking',
+      'periode': 'period',
+      'nom': 'name',
+      'profil': 'profile',
+      'membre': 'member',
+      'palmares': 'honours',
+      'historique': 'history',
+      'salon': 'channel',
+      'duree': 'duration',
+      'heure': 'time',
+      'jour': 'day',
+      'fuseau': 'timezone',
+      'portee': 'scope',
+      'reprendre': 'resume',
+      'terminer': 'end',
+      'arreter': 'stop',
+      'retirer': 'remove',
+      'statut': 'status',
+      'apparence': 'appearance',
+      'modifier': 'edit',
+      'titre': 'title',
+      'couleur': 'color',
+      'miniature': 'thumbnail',
+      'entrees': 'entries',
+      'ligne': 'line',
+      'duree_compacte': 'compact_durations',
+      'pied': 'footer',
+      'apercu': 'preview',
+      'reinitialiser': 'reset',
+      'ajouter': 'add',
+      'valeur': 'value',
+      'raison': 'reason',
+      'definir': 'set',
+      'transferer': 'transfer',
+      'cible': 'target',
+      'journal': 'log',
+      'donnees': 'data',
+      'exporter': 'export',
+      'importer': 'import',
+      'fichier': 'file',
+      'actif': 'enabled',
+      'longueur_min': 'min_length',
+      'mots_min': 'min_words',
+      'doublons': 'duplicates',
+      'emojis_seuls': 'emoji_only',
+      'stickers_seuls': 'sticker_only',
+      'pieces_jointes_seules': 'attachment_only',
+      'suppressions': 'deletions',
+      'voir': 'show',
+      'regles-vocal': 'voice-rules',
+      'micro_coupe': 'self_mute',
+      'casque_coupe': 'self_deaf',
+      'mute_serveur': 'server_mute',
+      'salon_afk': 'afk_channel',
+      'seul': 'alone',
+      'filtres': 'filters',
+      'ajouter-salon': 'add-channel',
+      'retirer-salon': 'remove-channel',
+      'ajouter-role': 'add-role',
+      'retirer-role': 'remove-role',
+      'recompenses': 'rewards',
+      'nombre': 'count',
+      'salon-logs': 'log-channel',
+      'role-admin': 'admin-role',
+      'langue': 'language',
+      'photo_lien': 'image_url',
+      'texte': 'text',
+      'niveaux': 'levels',
+      'points_message': 'message_xp',
+      'points_minute': 'voice_minute_xp',
+      'niveau_base': 'base_xp',
+      'croissance': 'growth',
+      'annonces': 'announcements',
+      'niveau': 'level',
+      'equipes': 'teams',
+      'mesure': 'metric',
+      'confidentialite': 'privacy',
+      'desactiver': 'opt-out',
+      'activer': 'opt-in',
+      'supprimer': 'delete',
+      'effacer': 'erase',
+      'departs': 'departed',
+      'jours': 'days',
+      'paliers': 'milestones',
+      'depassements': 'overtakes',
+      'delai': 'delay',
+      'limite': 'limit',
+      'vocal': 'voice',
+      'alertes': 'alerts',
+      'mp': 'dm',
+    },
+    descriptions: {
+      'Voir un classement du serveur': 'Show a server leaderboard',
+      'message ou vocal': 'message or voice',
+      'Type de classement': 'Leaderboard type',
+      'Période couverte (défaut : cycle en cours)': 'Period covered (default: current cycle)',
+      'Nom du leaderboard (principal par défaut)': 'Leaderboard name (main one by default)',
+      'Voir votre rang et vos statistiques (ou celles d\'un membre)': 'Show your rank and statistics (or a member\'s)',
+      'Membre (vous par défaut)': 'Member (you by default)',
+      'Consulter les cycles passés et les vainqueurs': 'Browse past cycles and winners',
+      'Parcourir les cycles terminés': 'Browse finished cycles',
+      'Podiums et séries de victoires d\'un membre': 'A member\'s podiums and win streaks',
+      'Les membres les plus titrés, tous cycles confondus': 'The most decorated members across all cycles',
+      'Type de classement (tous par défaut)': 'Leaderboard type (all by default)',
+      'Configurer un salon pour leaderboard (gestionnaires). Démarre le cycle.': 'Set up a leaderboard channel (managers). Starts the cycle.',
+      'Salon de publication': 'Channel to post in',
+      'Fréquence de réinitialisation (défaut : hebdomadaire)': 'Reset frequency (default: weekly)',
+      'Durée du cycle personnalisé (ex : 3j12h, 90m)': 'Custom cycle length (e.g. 3d12h, 90m)',
+      'Heure fixe de réinitialisation HH:MM (aligne le cycle sur le calendrier)': 'Fixed reset time HH:MM (aligns the cycle on the calendar)',
+      'Jour de réinitialisation (cycle hebdomadaire avec heure fixe)': 'Reset day (weekly cycle with a fixed time)',
+      'Fuseau horaire IANA (défaut : {defaultTimezone})': 'IANA time zone (default: {defaultTimezone})',
+      'Nom d\'un leaderboard supplémentaire (ex : Gaming vocal)': 'Name of an extra leaderboard (e.g. Gaming voice)',
+      'Limiter un leaderboard nommé à ce salon ou cette catégorie': 'Limit a named leaderboard to this channel or category',
+      'Gérer le cycle d\'un leaderboard configuré (gestionnaires)': 'Manage the cycle of a configured leaderboard (managers)',
+      'Mettre le cycle en pause et geler le compte à rebours': 'Pause the cycle and freeze the countdown',
+      'Reprendre un cycle en pause': 'Resume a paused cycle',
+      'Clôturer le cycle maintenant et en démarrer un nouveau': 'Close the cycle now and start a new one',
+      'Arrêter et désenregistrer le leaderboard': 'Stop and unregister the leaderboard',
+      'Ajouter ou retirer un salon ou une catégorie de la portée d\'un leaderboard nommé': 'Add or remove a channel or category from a named leaderboard\'s scope',
+      'Nom du leaderboard': 'Leaderboard name',
+      'Salon ou catégorie': 'Channel or category',
+      'Retirer au lieu d\'ajouter': 'Remove instead of adding',
+      'État des leaderboards du serveur': 'Status of the server\'s leaderboards',
+      'Personnaliser l\'embed d\'un leaderboard (gestionnaires)': 'Customize a leaderboard embed (managers)',
+      'Modifier et publier l\'apparence du leaderboard': 'Edit and publish the leaderboard appearance',
+      'Titre de l\'embed (« - » pour le titre par défaut)': 'Embed title (“-” for the default title)',
+      'Couleur hexadécimale, ex : #5865f2': 'Hex color, e.g. #5865f2',
+      'Lien d\'image, ou « serveur » pour l\'icône du serveur': 'Image link, or “server” for the server icon',
+      'Nombre de membres affichés (défaut : {defaultTop})': 'Number of members shown (default: {defaultTop})',
+      'Modèle de ligne : {rang} {medaille} {marqueur} {mention} {pseudo} {valeur}, \\n = saut': 'Line template: {rank} {medal} {marker} {mention} {user} {value}, \\n = new line',
+      'Durées courtes (2j 4h 05m)': 'Short durations (2d 4h 05m)',
+      'Pied de page : {cycle} {reste} {top}': 'Footer: {cycle} {remaining} {top}',
+      'Prévisualiser une apparence sans l\'enregistrer': 'Preview an appearance without saving it',
+      'Revenir à l\'apparence par défaut': 'Go back to the default appearance',
+      'Corriger les statistiques d\'un membre (gestionnaires)': 'Correct a member\'s statistics (managers)',
+      'Ajouter des messages ou du temps vocal': 'Add messages or voice time',
+      'Membre': 'Member',
+      'Nombre de messages, ou durée (ex : 2h30m, minutes si nombre seul)': 'Number of messages, or duration (e.g. 2h30m, minutes if a bare number)',
+      'Raison (journal)': 'Reason (log)',
+      'Retirer des messages ou du temps vocal': 'Remove messages or voice time',
+      'Fixer les messages ou le temps vocal': 'Set messages or voice time',
+      'Remettre à zéro les statistiques du cycle d\'un membre': 'Reset a member\'s cycle statistics',
+      'Transférer toutes les statistiques d\'un compte vers un autre': 'Transfer all statistics from one account to another',
+      'Ancien compte': 'Old account',
+      'Nouveau compte': 'New account',
+      'Historique des modifications manuelles': 'History of manual changes',
+      'Filtrer par membre': 'Filter by member',
+      'Page': 'Page',
+      'Exporter, importer ou effacer les données du classement (gestionnaires)': 'Export, import or erase leaderboard data (managers)',
+      'Télécharger les statistiques, la configuration et les cycles archivés': 'Download statistics, configuration and archived cycles',
+      'Format du fichier': 'File format',
+      'Importer un fichier CSV ou JSON (aperçu avant validation)': 'Import a CSV or JSON file (preview before confirming)',
+      'Export JSON, ou CSV avec userId,messages,voiceSeconds': 'JSON export, or CSV with userId,messages,voiceSeconds',
+      'fusion : ajoute aux statistiques · remplacement : écrase': 'merge: adds to statistics · replace: overwrites',
+      'Publier ou non les classements sur la page web et l\'API du bot': 'Publish the leaderboards on the bot\'s web page and API, or not',
+      'Rendre les classements de ce serveur publics': 'Make this server\'s leaderboards public',
+      'Effacer toutes les données d\'un membre': 'Erase all of a member\'s data',
+      'Effacer les données des membres partis après un délai': 'Erase departed members\' data after a delay',
+      'Jours avant effacement (vide : masqués sans effacement)': 'Days before erasure (empty: hidden without erasure)',
+      'Gérer ce que le bot enregistre sur vous': 'Manage what the bot stores about you',
+      'Voir ce que le bot enregistre sur vous': 'See what the bot stores about you',
+      'Ne plus être compté et disparaître des classements': 'Stop being counted and disappear from the leaderboards',
+      'Être de nouveau compté dans les classements': 'Be counted in the leaderboards again',
+      'Effacer toutes vos données sur ce serveur': 'Erase all your data on this server',
+      'Notifications de paliers et de changements de rang (gestionnaires)': 'Milestone and rank change notifications (managers)',
+      'Choisir les notifications envoyées et leur fréquence': 'Choose which notifications are sent and how often',
+      'Annoncer les paliers de messages et d\'heures de vocal': 'Announce message and voice hour milestones',
+      'Annoncer les entrées et sorties du top 3': 'Announce members entering and leaving the top 3',
+      'Prévenir un membre quand il se fait dépasser': 'Tell members when someone overtakes them',
+      'Minutes entre deux notifications du même type pour un membre': 'Minutes between two notifications of the same kind for a member',
+      'Notifications maximum par heure, salon et MP compris': 'Maximum notifications per hour, channel and DMs included',
+      'Salon où publier les notifications': 'Channel where notifications are posted',
+      'Salon des notifications (vide pour désactiver)': 'Notification channel (empty to disable)',
+      'Choisir les paliers annoncés': 'Choose the announced milestones',
+      'Paliers de messages, ex : 1000, 5000, 10000': 'Message milestones, e.g. 1000, 5000, 10000',
+      'Paliers d\'heures de vocal, ex : 10, 50, 100': 'Voice hour milestones, e.g. 10, 50, 100',
+      'Revenir aux paliers par défaut': 'Go back to the default milestones',
+      'Vos notifications de paliers et de classement': 'Your milestone and ranking notifications',
+      'Les recevoir en message privé plutôt que dans le salon du serveur': 'Get them by direct message instead of in the server channel',
+      'Règles anti-farm pour le comptage des messages (gestionnaires)': 'Anti-farming rules for message counting (managers)',
+      'Modifier les règles (0 ou faux pour désactiver)': 'Change the rules (0 or false to disable)',
+      'Secondes minimum entre deux messages comptés': 'Minimum seconds between two counted messages',
+      'Nombre minimum de caractères': 'Minimum number of characters',
+      'Nombre minimum de mots': 'Minimum number of words',
+      'Ignorer les messages identiques ou quasi identiques au précédent': 'Ignore messages identical or nearly identical to the previous one',
+      'Ignorer les messages composés uniquement d\'emojis': 'Ignore emoji-only messages',
+      'Ignorer les messages composés uniquement d\'un sticker': 'Ignore sticker-only messages',
+      'Ignorer les messages sans texte avec pièce jointe': 'Ignore attachment messages without text',
+      'Décompter les messages supprimés (envoyés depuis moins de 30 jours)': 'Uncount deleted messages (sent less than 30 days ago)',
+      'Afficher les règles actuelles': 'Show the current rules',
+      'Messages refusés et raisons': 'Rejected messages and reasons',
+      'Détail pour un membre': 'Details for one member',
+      'Règles de comptage du temps vocal (gestionnaires)': 'Voice time counting rules (managers)',
+      'Choisir quand le temps vocal n\'est pas compté': 'Choose when voice time is not counted',
+      'Micro coupé par le membre': 'Muted by the member',
+      'Casque coupé par le membre': 'Deafened by the member',
+      'Rendu muet ou sourd par le serveur': 'Muted or deafened by the server',
+      'Dans le salon AFK du serveur': 'In the server\'s AFK channel',
+      'Seul dans le salon (ou uniquement avec des bots)': 'Alone in the channel (or only with bots)',
+      'Salons, catégories et rôles pris en compte (gestionnaires)': 'Channels, categories and roles that count (managers)',
+      'Ajouter un salon textuel, vocal ou une catégorie à la liste': 'Add a text channel, voice channel or category to the list',
+      'Retirer un salon ou une catégorie de la liste': 'Remove a channel or category from the list',
+      'Ajouter un rôle à la liste': 'Add a role to the list',
+      'Rôle': 'Role',
+      'Retirer un rôle de la liste': 'Remove a role from the list',
+      'Exclure les éléments listés, ou ne compter qu\'eux': 'Exclude the listed items, or count only them',
+      'Mode de la liste': 'List mode',
+      'Afficher les listes actuelles': 'Show the current lists',
+      'Rôles attribués automatiquement aux vainqueurs du cycle (gestionnaires)': 'Roles given automatically to the cycle winners (managers)',
+      'Rôle pour une place précise': 'Role for a specific place',
+      'Place récompensée': 'Rewarded place',
+      'Rôle attribué': 'Role given',
+      'Un même rôle pour tout le top N (remplace la configuration)': 'One role for the whole top N (replaces the configuration)',
+      'Nombre de places récompensées': 'Number of rewarded places',
+      'Supprimer la récompense d\'une place (ou toutes)': 'Delete the reward for one place (or all)',
+      'Place (toutes par défaut)': 'Place (all by default)',
+      'Salon où signaler les erreurs d\'attribution': 'Channel to report role assignment errors in',
+      'Salon de logs': 'Log channel',
+      'Afficher les récompenses configurées': 'Show the configured rewards',
+      'XP du classement global, niveaux et annonces (gestionnaires)': 'Global leaderboard XP, levels and announcements (managers)',
+      'Modifier le barème d\'XP et la courbe de niveaux': 'Change the XP rates and the level curve',
+      'XP par message compté': 'XP per counted message',
+      'XP par minute de vocal comptée': 'XP per counted voice minute',
+      'XP nécessaire pour atteindre le niveau 1': 'XP needed to reach level 1',
+      'Exposant de la courbe : XP du niveau n = base × n^croissance': 'Curve exponent: XP for level n = base × n^growth',
+      'Salon où annoncer les passages de niveau': 'Channel where level-ups are announced',
+      'Salon des annonces (vide pour désactiver)': 'Announcement channel (empty to disable)',
+      'Rôle attribué en atteignant un niveau': 'Role given when reaching a level',
+      'Niveau requis': 'Required level',
+      'Rôle attribué (vide pour retirer)': 'Role given (empty to remove)',
+      'Rôles en compétition sur les leaderboards d\'équipes (gestionnaires)': 'Roles competing on the team leaderboards (managers)',
+      'Faire concourir un rôle comme équipe': 'Enter a role as a team',
+      'Rôle de l\'équipe': 'Team role',
+      'Retirer une équipe de la compétition': 'Withdraw a team from the competition',
+      'Afficher les équipes et leur score du cycle en cours': 'Show the teams and their current cycle score',
+      'Choisir la statistique qui départage les équipes': 'Choose the stat that ranks the teams',
+      'Statistique additionnée sur les membres de chaque équipe': 'Stat added up over each team\'s members',
+      'Qui peut gérer les classements de ce serveur': 'Who can manage this server\'s leaderboards',
+      'Rôle autorisé en plus de « Gérer le serveur » (vide pour retirer)': 'Role allowed in addition to “Manage Server” (empty to remove)',
+      'Rôle administrateur du bot': 'Bot admin role',
+      'Afficher la configuration actuelle': 'Show the current configuration',
+      'Langue du bot sur ce serveur': 'Bot language on this server',
+      'Nouvelle langue (affiche la langue actuelle si vide)': 'New language (shows the current language if empty)',
+      'Changer le nom du bot (owner only)': 'Change the bot\'s name (owner only)',
+      'Nouveau nom': 'New name',
+      'Changer l\'avatar du bot (owner only)': 'Change the bot\'s avatar (owner only)',
+      'Lien de la photo': 'Image link',
+      'Changer la présence du bot (owner only)': 'Change the bot\'s presence (owner only)',
+      'Type de présence': 'Presence type',
+      'Changer le status/activité du bot (owner only)': 'Change the bot\'s status/activity (owner only)',
+      'Type d\'activité': 'Activity type',
+      'Texte de l\'activité (optionnel pour streaming)': 'Activity text (optional for streaming)',
+      'Afficher les compteurs de mise à jour des leaderboards (owner only)': 'Show the leaderboard update counters (owner only)',
+      'Sauvegarder la base de données immédiatement (owner only)': 'Back up the database right away (owner only)',
+      'Afficher l\'aide des commandes': 'Show the command help',
+    },
+    choices: {
+      'vocal': 'voice',
+      'équipes': 'teams',
+      'réactions': 'reactions',
+      'fils et forums': 'threads and forums',
+      'caméra': 'camera',
+      'cycle en cours': 'current cycle',
+      'aujourd\'hui': 'today',
+      '7 derniers jours': 'last 7 days',
+      '30 derniers jours': 'last 30 days',
+      'depuis toujours': 'all time',
+      'quotidien': 'daily',
+      'hebdomadaire': 'weekly',
+      'mensuel': 'monthly',
+      'personnalisé': 'custom',
+      'permanent (jamais)': 'permanent (never)',
+      'dimanche': 'Sunday',
+      'lundi': 'Monday',
+      'mardi': 'Tuesday',
+      'mercredi': 'Wednesday',
+      'jeudi': 'Thursday',
+      'vendredi': 'Friday',
+      'samedi': 'Saturday',
+      'fusion': 'merge',
+      'remplacement': 'replace',
+      'exclusion': 'exclude',
+      'autorisation': 'allow',
+    },
+  },
+};
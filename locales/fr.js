@@ -0,0 +1,545 @@
+// French catalog. It is the fallback for keys missing from another catalog, and the slash
+// commands in index.js are declared with these texts.
+export default {
+  meta: { name: 'Français', intl: 'fr-FR', discord: ['fr'] },
+
+  common: {
+    noPermission: '❌ Vous n\'avez pas la permission.',
+    invalidChannel: 'Salon invalide.',
+    guildOnly: 'Commande utilisable uniquement sur un serveur.',
+    error: '❌ Erreur : {message}',
+    internalError: 'Erreur interne.',
+    none: '*aucun*',
+    noneFeminine: '*aucune*',
+    noResult: 'Aucun résultat',
+    unknownBoard: '❌ Aucun leaderboard **{title}** configuré.',
+    invalidBoardName: '❌ Le nom d\'un leaderboard ne peut pas contenir `:`.',
+    rulesUpdated: '✅ Règles mises à jour.',
+    wholeGuild: 'tout le serveur',
+  },
+
+  format: {
+    messages: '{n} messages',
+    xp: '{n} XP',
+    reactions: '{n} réactions',
+    duration: '{d} jours, {h} heures, {m} minutes, {s} secondes',
+    remaining: '{d} jours, {h} heures, {m} minutes',
+    compactDays: '{d}j {h}h {m}m',
+    compactHours: '{h}h {m}m',
+    compactMinutes: '{m}m {s}s',
+    kilobytes: '{n} Ko',
+  },
+
+  types: {
+    message: 'message',
+    vocal: 'vocal',
+    global: 'global',
+    equipes: 'équipes',
+    reactions: 'réactions',
+    fils: 'fils et forums',
+    stream: 'stream',
+    camera: 'caméra',
+  },
+  typeLabels: {
+    message: '📊 Textuel',
+    vocal: '🎙️ Vocal',
+    global: '⭐ Global',
+    equipes: '🛡️ Équipes',
+    reactions: '👍 Réactions',
+    fils: '🧵 Fils et forums',
+    stream: '📺 Stream',
+    camera: '📷 Caméra',
+  },
+  typeNames: {
+    message: 'Textuel',
+    vocal: 'Vocal',
+    global: 'Global',
+    equipes: 'Équipes',
+    reactions: 'Réactions',
+    fils: 'Fils et forums',
+    stream: 'Stream',
+    camera: 'Caméra',
+  },
+
+  cycles: {
+    daily:   { label: 'quotidien',    period: 'du jour' },
+    weekly:  { label: 'hebdomadaire', period: 'de la semaine' },
+    monthly: { label: 'mensuel',      period: 'du mois' },
+    custom:  { label: 'personnalisé', period: 'du cycle' },
+    never:   { label: 'permanent',    period: 'du cycle' },
+    describeNever: 'permanent (jamais réinitialisé)',
+    describeCustom: 'personnalisé ({duration})',
+    anchorWeekly: '{label}, chaque {day} {time} ({tz})',
+    anchorMonthly: '{label}, le 1er du mois {time} ({tz})',
+    anchorDaily: '{label}, chaque jour {time} ({tz})',
+  },
+  weekdays: ['dimanche','lundi','mardi','mercredi','jeudi','vendredi','samedi'],
+  periods: {
+    cycle: 'cycle en cours',
+    today: 'aujourd\'hui',
+    '7d': '7 derniers jours',
+    '30d': '30 derniers jours',
+    all: 'depuis toujours',
+  },
+
+  timer: {
+    paused: '⏸️ Classement en pause.',
+    pausedLeft: '⏸️ Classement en pause ({duration} restants).',
+    permanent: '♾️ Classement permanent : aucune réinitialisation prévue.',
+    countdown: '⏳ Le classement sera réinitialisé {time}',
+    stopped: '⏹️ Classement arrêté.',
+  },
+
+  board: {
+    named: '{type} « {name} »',
+    titles: {
+      message: '📊 Statistiques Textuelles',
+      vocal: '🎙️ Statistiques Vocales',
+      global: '⭐ Classement Global (XP)',
+      equipes: '🛡️ Classement des Équipes',
+      reactions: '👍 Réactions données',
+      fils: '🧵 Messages dans les fils et forums',
+      stream: '📺 Temps de stream (Go Live)',
+      camera: '📷 Temps caméra allumée',
+    },
+    titleNamed: '{title} — {name}',
+    paused: '⏸️ Cycle en pause',
+    pausedLeft: '⏸️ Cycle en pause — {duration} restants',
+    countdown: 'Cycle {cycle} — Fin du cycle dans : {remaining} — Top {top} sera récompensé',
+    permanent: 'Classement permanent — jamais réinitialisé',
+    notStarted: 'Cycle non démarré',
+    winners: '**Les vainqueurs {period} :**',
+    pageFooter: 'Période : {period} — Page {page}/{pages}',
+  },
+
+  setleaderboard: {
+    scopeNeedsName: '❌ Le leaderboard principal couvre tout le serveur : donnez un `nom` pour limiter sa portée.',
+    invalidDuration: '❌ Durée invalide pour un cycle personnalisé (ex : `3j12h`, `90m`, minimum 1 minute).',
+    invalidTime: '❌ Heure invalide, format attendu `HH:MM`.',
+    durationNeedsCustom: '❌ `duree` ne s\'applique qu\'au cycle personnalisé.',
+    timeNeedsCalendar: '❌ `heure` ne s\'applique qu\'aux cycles quotidien, hebdomadaire et mensuel.',
+    dayNeedsWeeklyTime: '❌ `jour` ne s\'applique qu\'au cycle hebdomadaire avec une `heure` fixe.',
+    invalidTimezone: '❌ Fuseau horaire inconnu (ex : `Europe/Paris`, `America/New_York`).',
+    done: '✅ Leaderboard **{title}** configuré dans <#{channel}> (cycle {cycle}).',
+    scope: 'Portée : {channels}',
+  },
+
+  leaderboard: {
+    scopeMainBoard: '❌ Le leaderboard principal couvre tout le serveur : créez un leaderboard nommé pour limiter sa portée.',
+    scopeSet: '✅ Portée de **{title}** : {channels}.',
+    alreadyPaused: 'Ce leaderboard est déjà en pause.',
+    paused: '⏸️ Leaderboard **{title}** en pause. Le comptage continue, le compte à rebours est gelé.',
+    notPaused: 'Ce leaderboard n\'est pas en pause.',
+    resumed: '▶️ Leaderboard **{title}** repris.',
+    resumedUntil: '▶️ Leaderboard **{title}** repris. Fin du cycle {time}.',
+    ended: '🏁 Cycle **{title}** clôturé, un nouveau cycle a démarré.',
+    endFailed: {
+      busy: '⏳ Le cycle **{title}** est déjà en train d\'être clôturé.',
+      missing: '❌ Le leaderboard **{title}** n\'existe plus.',
+      noChannel: '❌ Cycle **{title}** non clôturé : son salon est introuvable ou le bot n\'y a plus accès. Relancez `/setleaderboard` dans un salon valide.',
+    },
+    stopped: '⏹️ Leaderboard **{title}** arrêté et désenregistré. Les statistiques sont conservées.',
+  },
+
+  status: {
+    title: '📋 Statut des leaderboards',
+    empty: 'Aucun leaderboard configuré. Utilisez `/setleaderboard`.',
+    pausedSince: '⏸️ En pause depuis {time}',
+    active: '▶️ Actif',
+    inactive: '⏹️ Inactif',
+    state: '**État :** {state}',
+    channel: '**Salon :** <#{channel}>',
+    scope: ' · **Portée :** {scope}',
+    links: '**Classement :** {board} · **Minuteur :** {timer}',
+    cycle: '**Cycle :** {cycle}',
+    dates: '**Début :** {start} · **Fin :** {end}',
+    frozen: 'gelée',
+    lastUpdate: '**Dernière mise à jour :** {time}',
+  },
+
+  appearance: {
+    invalidThumbnail: '❌ Miniature invalide : donnez un lien http(s) ou « serveur ».',
+    invalidColor: '❌ Couleur invalide : utilisez le format #RRGGBB.',
+    saved: '✅ Apparence de **{title}** enregistrée. Le message publié sera mis à jour.',
+    reset: '✅ Apparence de **{title}** réinitialisée. Le message publié sera mis à jour.',
+    preview: '👀 Aperçu — rien n\'est enregistré. Utilisez `/apparence modifier` avec les mêmes options pour publier.',
+  },
+
+  profile: {
+    title: '👤 Profil de {name}',
+    rank: 'Rang : **#{rank}** sur {total}',
+    unranked: 'Rang : *non classé*',
+    total: 'Total : `{value}`',
+    toNext: 'Prochain rang : encore `{value}`',
+    toPodium: 'Podium : encore `{value}`',
+    onPodium: '{medal} Sur le podium !',
+    level: '⭐ Niveau {level}',
+    levelValue: 'XP totale : `{xp}`\nNiveau {next} : encore `{missing}`',
+    liveSession: '🔴 Session vocale en cours',
+    liveSessionValue: 'Dans <#{channel}> depuis {time}\n`{duration}`',
+    best: '🏅 Meilleurs classements passés',
+    noCycle: 'Aucun cycle terminé.',
+  },
+
+  palmares: {
+    titles: {
+      message: '📜 Palmarès Textuel',
+      vocal: '📜 Palmarès Vocal',
+      global: '📜 Palmarès Global',
+      equipes: '📜 Palmarès des Équipes',
+      reactions: '📜 Palmarès des Réactions',
+      fils: '📜 Palmarès des Fils et forums',
+      stream: '📜 Palmarès du Stream',
+      camera: '📜 Palmarès Caméra',
+    },
+    empty: 'Aucun cycle archivé pour le moment.',
+    range: 'Du {start} au {end}',
+    endedAt: 'Terminé le {end}',
+    cycleTitle: '{title} — cycle {cycle}',
+    noActivity: 'Aucune activité sur ce cycle.',
+    footer: 'Cycle {number}/{total} — Page {page}/{pages}',
+    memberTitle: '🏅 Palmarès de {name}',
+    podiums: '{gold} {first} · {silver} {second} · {bronze} {third} — **{total}** podium(s)',
+    bestPlace: 'Meilleure place : **{place}** sur {cycles} cycle(s) classé(s)',
+    first: '1er',
+    nth: '{n}e',
+    streak: '🔥 Série de victoires : **{current}** en cours, record **{best}**',
+    neverRanked: 'Jamais classé.',
+    hallOfFame: '🏛️ Hall of Fame',
+    hallOfFameType: '🏛️ Hall of Fame — {type}',
+    hallOfFameFooter: 'Victoires · 2es places · 3es places · 🔥 meilleure série de victoires',
+  },
+
+  stats: {
+    sameAccount: '❌ La source et la cible doivent être différentes.',
+    transferred: '✅ Transféré de <@{from}> vers <@{to}> : `{messages}` et `{voice}`.',
+    reset: '✅ Statistiques de <@{user}> remises à zéro (avant : `{messages}`, `{voice}`).',
+    invalidMessages: '❌ Nombre de messages invalide.',
+    invalidDuration: '❌ Durée invalide (ex : `2h30m`, ou un nombre de minutes).',
+    changed: '✅ <@{user}> : `{before}` → `{after}`',
+  },
+
+  audit: {
+    actions: {
+      add: '➕ Ajout',
+      remove: '➖ Retrait',
+      set: '✏️ Définition',
+      reset: '🧽 Réinitialisation',
+      'transfer-out': '📤 Transfert (source)',
+      'transfer-in': '📥 Transfert (cible)',
+      import: '📦 Import',
+      erase: '🗑️ Effacement',
+    },
+    types: {
+      message: 'messages',
+      vocal: 'vocal',
+    },
+    line: '{time} · {action} {type} de <@{target}>{related} par <@{actor}>\n`{before}` → `{after}`{reason}',
+    title: '🗒️ Journal des modifications',
+    titleMember: '🗒️ Journal des modifications — {name}',
+    empty: 'Aucune modification enregistrée.',
+    lineErase: '{time} · {action} des données de <@{target}> par <@{actor}>{reason}',
+    footer: 'Page {page}/{pages} — {total} entrée(s)',
+  },
+
+  data: {
+    webDisabled: '🔒 Les classements de ce serveur ne sont plus publiés.',
+    webEnabled: '🌐 Classements publiés sur {where}. La page web est publique : toute personne qui connaît l\'identifiant du serveur peut la voir, seule l\'API demande le jeton.',
+    webNoServer: 'la page web (serveur HTTP non activé sur ce bot)',
+    webPaths: '`/guilds/{guild}` et `/api/guilds/{guild}/...`',
+    exported: '📤 Export des données du serveur :',
+    badExtension: '❌ Seuls les fichiers `.csv` et `.json` sont acceptés.',
+    tooLarge: '❌ Fichier trop volumineux (5 Mo maximum).',
+    downloadFailed: 'téléchargement impossible ({status})',
+    rejected: '❌ Import refusé : {reason}',
+    confirm: 'Confirmer l\'import',
+    cancel: 'Annuler',
+    expired: '⌛ Cet aperçu a expiré, relancez `/donnees importer`.',
+    cancelled: 'Import annulé.',
+    done: '✅ Import terminé : {members} membre(s) et {cycles} cycle(s).',
+    modes: {
+      merge: 'fusion',
+      replace: 'remplacement',
+    },
+    auditReason: 'import ({mode})',
+    previewTitle: '📦 Aperçu de l\'import ({mode})',
+    previewMembers: '**Membres modifiés :** {count} (dont {added} nouveaux)',
+    previewMembersReplace: '**Membres modifiés :** {count} (dont {added} nouveaux, {removed} remis à zéro)',
+    previewMessages: '**Messages :** {before} → {after}',
+    previewVoice: '**Vocal :** {before} → {after}',
+    previewCyclesMerge: '**Cycles archivés à ajouter :** {count}',
+    previewCyclesReplace: '**Cycles archivés à remplacer :** {count}',
+    previewLine: '<@{user}>{flags} : `{messagesBefore} → {messagesAfter}` msg · `{voiceBefore} → {voiceAfter}`',
+    previewEmpty: '*Aucun changement.*',
+    previewFooter: 'Aucune donnée n\'a encore été modifiée. La configuration des leaderboards n\'est pas importée.',
+    errors: {
+      invalidId: '{where} : identifiant invalide « {value} »',
+      invalidValue: '{where} : valeur {field} invalide « {value} »',
+      badJson: 'JSON illisible',
+      missingUsers: 'champ `users` manquant',
+      invalidCycle: 'cycles[{index}] : cycle invalide',
+      emptyFile: 'fichier vide',
+      missingUserId: 'colonne `userId` introuvable',
+      missingValues: 'colonnes `messages` ou `voiceSeconds` introuvables',
+      line: 'ligne {n}',
+      duplicate: 'membre en double : {user}',
+      nothing: 'aucune donnée à importer',
+    },
+  },
+
+  antispam: {
+    title: '🛡️ Règles anti-farm',
+    enabled: '✅ activé',
+    disabled: '❌ désactivé',
+    cooldown: '**Cooldown :** {value}',
+    cooldownValue: '{n} s',
+    minLength: '**Longueur minimum :** {value}',
+    minLengthValue: '{n} caractères',
+    minWords: '**Mots minimum :** {value}',
+    noneMasculine: 'aucun',
+    noneFeminine: 'aucune',
+    duplicates: '**Doublons :** {value}',
+    emoji: '**Emojis seuls ignorés :** {value}',
+    stickers: '**Stickers seuls ignorés :** {value}',
+    attachments: '**Pièces jointes seules ignorées :** {value}',
+    deletions: '**Messages supprimés décomptés :** {value}',
+  },
+
+  rejections: {
+    reasons: {
+      cooldown: 'Délai entre deux messages',
+      length: 'Message trop court',
+      words: 'Pas assez de mots',
+      duplicate: 'Message répété',
+      emoji: 'Uniquement des emojis',
+      sticker: 'Uniquement un sticker',
+      attachment: 'Uniquement une pièce jointe',
+    },
+    title: '🛡️ Messages refusés',
+    titleMember: '🛡️ Messages refusés — {name}',
+    empty: 'Aucun message refusé.',
+    total: 'Total : {n}',
+  },
+
+  voiceRules: {
+    title: '🎙️ Règles du temps vocal',
+    rule: '{icon} {label} : {state}',
+    counted: 'compté',
+    notCounted: 'non compté',
+    selfMute: 'Micro coupé',
+    selfDeaf: 'Casque coupé',
+    serverMute: 'Muet/sourd serveur',
+    afk: 'Salon AFK',
+    alone: 'Seul dans le salon',
+  },
+
+  filters: {
+    title: '🧹 Filtres — mode {mode}',
+    modes: {
+      allow: 'autorisation',
+      exclude: 'exclusion',
+    },
+    allowDescription: 'Seuls les éléments listés sont comptés (une liste vide autorise tout).',
+    excludeDescription: 'Les éléments listés ne sont pas comptés.',
+    text: 'Salons textuels',
+    voice: 'Salons vocaux',
+    categories: 'Catégories',
+    roles: 'Rôles',
+  },
+
+  rewards: {
+    title: '🎁 Rôles de récompense',
+    holders: 'Détenteurs actuels : {users}',
+    logChannel: 'Erreurs signalées dans le salon de logs',
+    noLogChannel: 'Aucun salon de logs configuré',
+    unassignable: '❌ Ce rôle ne peut pas être attribué.',
+    notEditable: '⚠️ Le bot ne peut pas gérer <@&{role}> : placez son rôle au-dessus et accordez « Gérer les rôles ».',
+    saved: '✅ Configuration enregistrée.',
+    roleMissing: 'rôle introuvable',
+    roleAbove: 'rôle au-dessus du bot ou permission « Gérer les rôles » manquante',
+    unknownError: 'erreur inconnue',
+    removeFailed: 'Retrait de <@&{role}> à <@{user}> : {error}',
+    memberLeft: 'Attribution de <@&{role}> (#{rank}) : <@{user}> n\'est plus sur le serveur',
+    addFailed: 'Attribution de <@&{role}> à <@{user}> (#{rank}) : {error}',
+    logTitle: '⚠️ **Récompenses du classement {title}** : {count} erreur(s)',
+    removeReason: 'Fin du cycle de classement',
+    addReason: 'Récompense classement {title} (#{rank})',
+  },
+
+  levels: {
+    title: '⭐ Niveaux et XP',
+    perMessage: '**XP par message :** {value}',
+    perVoiceMinute: '**XP par minute de vocal :** {value}',
+    curve: '**Courbe :** niveau n = {base} × n^{growth} XP',
+    channel: '**Annonces :** {channel}',
+    noChannel: '*désactivées*',
+    steps: 'Paliers',
+    step: 'Niveau {level} : `{value}`',
+    roles: 'Rôles de niveau',
+    roleLine: 'Niveau {level} : <@&{role}>',
+    saved: '✅ Configuration des niveaux enregistrée.',
+    roleHint: 'ℹ️ Le rôle est attribué aux membres qui atteignent ce niveau à partir de maintenant.',
+    announce: '🎉 <@{user}> passe au niveau **{level}** !',
+    addReason: 'Niveau {level} atteint',
+    addFailed: 'Attribution de <@&{role}> (niveau {level}) à <@{user}> : {error}',
+    logTitle: '⚠️ **Rôles de niveau** : {count} erreur(s)',
+  },
+
+  teams: {
+    title: '🛡️ Équipes',
+    empty: 'Aucune équipe. Ajoutez des rôles avec `/equipes ajouter`.',
+    footer: 'Score : {metric} · {period}',
+    details: '👥 {members} membre(s) · {top}',
+    top: '⭐ meilleur contributeur : <@{user}> (`{value}`)',
+    noTop: '⭐ aucun contributeur',
+    deletedRole: '⚠️ Rôle supprimé : `{role}` (retirez-le avec `/equipes retirer`)',
+    invalidRole: '❌ Ce rôle ne peut pas servir d\'équipe.',
+    tooMany: '❌ {max} équipes au maximum.',
+    saved: '✅ Équipes mises à jour.',
+    winner: '🏆 L\'équipe <@&{role}> remporte le cycle **{title}** avec `{value}` !',
+    winnerTop: '⭐ Meilleur contributeur : <@{user}> (`{value}`)',
+  },
+
+  privacy: {
+    title: '🔐 Vos données sur ce serveur',
+    statusIn: '✅ Votre activité est comptée et vous apparaissez dans les classements.',
+    statusOut: '🚫 Votre activité n\'est pas comptée et vous êtes masqué des classements.',
+    stored: '**Données enregistrées :**',
+    storedActivity: '• Activité depuis toujours : {messages} · {voice}',
+    storedLevel: '• Niveau : {level}',
+    storedCycles: '• Places dans les cycles archivés : {n}',
+    departedKept: 'Si vous quittez le serveur, vos données sont masquées mais conservées.',
+    departedErased: 'Si vous quittez le serveur, vos données sont effacées après {days} jour(s).',
+    optedOut: '🚫 Vous n\'êtes plus compté et n\'apparaissez plus dans les classements. Vos données sont conservées : `/confidentialite supprimer` les efface.',
+    optedIn: '✅ Votre activité est de nouveau comptée.',
+    eraseWarning: '⚠️ Toutes vos statistiques et votre niveau sur ce serveur seront effacés définitivement. Vos places dans les cycles archivés resteront, sans votre nom.',
+    eraseConfirm: 'Tout effacer',
+    eraseCancelled: 'Effacement annulé.',
+    erased: '🗑️ Vos données ont été effacées.',
+    erasedMember: '🗑️ Données de <@{user}> effacées.',
+    selfReason: 'demande du membre',
+    departedReason: 'parti depuis plus de {days} jour(s)',
+    departedHide: '✅ Les membres partis sont masqués des classements, sans effacement.',
+    departedPurge: '✅ Les données des membres partis seront effacées après {days} jour(s).',
+    erasedEntry: '*membre effacé*',
+    profileHidden: '🚫 Ce membre ne souhaite pas apparaître dans les classements.',
+  },
+
+  notify: {
+    title: '🔔 Notifications',
+    channel: '**Salon :** {channel}',
+    noChannel: 'aucun (seuls les membres abonnés en MP sont prévenus)',
+    milestones: '**Paliers :** {value}',
+    podium: '**Entrées et sorties du top 3 :** {value}',
+    overtaken: '**Dépassements :** {value}',
+    cooldown: '**Délai par membre :** {n} min',
+    hourlyLimit: '**Limite horaire :** {n} notifications (salon et MP)',
+    dmHint: 'Chaque membre peut les recevoir en message privé avec `/alertes mp:true`.',
+    messageSteps: '💬 Paliers de messages',
+    voiceSteps: '🎙️ Paliers de vocal',
+    hours: '{n} h',
+    saved: '✅ Notifications mises à jour.',
+    invalidMilestones: '❌ Paliers invalides : donnez de 1 à {max} nombres entiers positifs séparés par des virgules.',
+    dmOn: '📬 Vous recevrez vos notifications de ce serveur en message privé.',
+    dmOff: '📭 Vos notifications de ce serveur seront publiées dans son salon de notifications.',
+    dm: {
+      milestoneMessages: '🎉 Sur **{guild}**, vous avez atteint **{value}** messages !',
+      milestoneVoice: '🎉 Sur **{guild}**, vous avez atteint **{value} heures** de vocal !',
+      podiumEnter: '{medal} Sur **{guild}**, vous entrez sur le podium de **{board}** (#{rank}) !',
+      podiumLeave: '📉 Sur **{guild}**, vous quittez le podium de **{board}** ({place}).',
+      overtaken: '⚡ Sur **{guild}**, <@{by}> vient de vous dépasser sur **{board}** : vous êtes maintenant #{rank}.',
+    },
+    posts: {
+      milestoneMessages: '🎉 <@{user}> atteint **{value}** messages !',
+      milestoneVoice: '🎉 <@{user}> atteint **{value} heures** de vocal !',
+      podiumEnter: '{medal} <@{user}> entre sur le podium de **{board}** (#{rank}) !',
+      podiumLeave: '📉 <@{user}> quitte le podium de **{board}** ({place}).',
+      overtaken: '⚡ <@{user}>, <@{by}> vient de vous dépasser sur **{board}** : vous êtes maintenant #{rank}.',
+    },
+  },
+
+  permissions: {
+    manageGuildOnly: '❌ Seuls les membres avec « Gérer le serveur » peuvent changer le rôle admin.',
+    title: '🔐 **Gestion des classements sur ce serveur**',
+    manageGuild: '• Membres avec la permission « Gérer le serveur »',
+    adminRole: '• Rôle admin du bot : {role}',
+    owners: '• Propriétaires du bot (commandes /bot-* réservées)',
+  },
+
+  language: {
+    set: '✅ Le bot parle désormais français sur ce serveur.',
+    current: '🌐 Langue du serveur : **{language}**.',
+  },
+
+  bot: {
+    renamed: '✅ Nom du bot changé en **{name}**.',
+    avatarChanged: '✅ Avatar du bot changé.',
+    presenceChanged: '✅ Présence du bot changée en **{type}**.',
+    statusChanged: '✅ Status du bot changé en **{type}**.',
+    defaultActivity: 'Activité',
+    backupDone: '✅ Sauvegarde créée : `{file}` ({size}).',
+  },
+
+  updates: {
+    title: '📈 File de mise à jour',
+    sent: 'Éditions envoyées',
+    skipped: 'Ignorées (inchangées)',
+    failed: 'Échouées',
+    rateLimited: 'Limites de débit (429)',
+    queued: 'En attente / en cours',
+    blocked: 'Bloquée',
+    blockedValue: 'Globalement : {global}\nSalons : {channels}',
+    no: 'non',
+    footer: '{guilds} serveur(s) — en ligne depuis {uptime}',
+  },
+
+  web: {
+    titles: {
+      message: '📊 Classement Textuel',
+      vocal: '🎙️ Classement Vocal',
+      global: '⭐ Classement Global (XP)',
+      reactions: '👍 Classement des Réactions',
+      fils: '🧵 Classement des Fils et forums',
+      stream: '📺 Classement du Stream',
+      camera: '📷 Classement Caméra',
+    },
+    empty: 'Aucun membre classé.',
+    pageTitle: 'Classement — {guild}',
+    updatedAt: 'Mis à jour le {date}',
+    notFound: 'Classement introuvable',
+  },
+
+  help: {
+    title: '📋 Aide des Commandes',
+    description: 'Voici la liste de toutes les commandes disponibles :',
+    access: '**Accessible à :** {who}',
+    everyone: 'Tout le monde',
+    managers: 'Gestionnaires du serveur',
+    owners: 'Owner uniquement',
+    commands: [
+      ['/classement', 'Affiche le classement vocal, message, global en XP, des réactions, des fils et forums, du stream, de la caméra ou des équipes (principal ou nommé) avec pagination, sur le cycle en cours, aujourd\'hui, 7 ou 30 jours, ou depuis toujours.', 'everyone'],
+      ['/profil', 'Affiche le rang, les totaux, l\'écart avec le rang suivant et le podium, la session vocale en cours et les meilleurs classements d\'un membre.', 'everyone'],
+      ['/alertes', 'Choisit de recevoir vos notifications de paliers et de classement en message privé plutôt que dans le salon du serveur.', 'everyone'],
+      ['/palmares', 'Parcourt les cycles terminés, affiche les podiums et séries de victoires d\'un membre ou le hall of fame.', 'everyone'],
+      ['/confidentialite', 'Affiche ce que le bot enregistre sur vous, arrête ou reprend le comptage de votre activité, ou efface toutes vos données.', 'everyone'],
+      ['/setleaderboard', 'Configure un salon pour le leaderboard (message, vocal, global en XP, réactions, fils et forums, stream, caméra ou équipes) et démarre un cycle : quotidien, hebdomadaire, mensuel, personnalisé ou permanent, avec heure fixe et fuseau optionnels. Un `nom` crée un leaderboard supplémentaire, limitable à des salons ou catégories.', 'managers'],
+      ['/leaderboard', 'Met en pause, reprend, clôture immédiatement ou arrête un leaderboard, règle la portée des leaderboards nommés et affiche leur statut.', 'managers'],
+      ['/apparence', 'Personnalise l\'embed d\'un leaderboard : titre, couleur, miniature, nombre d\'entrées, modèle de ligne, durées compactes et pied de page, avec aperçu avant publication.', 'managers'],
+      ['/stats', 'Ajoute, retire, fixe, réinitialise ou transfère les statistiques d\'un membre ; chaque modification est inscrite au journal. Les corrections n\'ont pas de salon : les leaderboards limités à des salons les ignorent.', 'managers'],
+      ['/donnees', 'Exporte les statistiques, la configuration et les cycles archivés en CSV ou JSON, ou importe un fichier après aperçu (fusion ou remplacement). Publie ou non les classements sur la page web publique du bot, efface les données d\'un membre et règle l\'effacement des membres partis.', 'managers'],
+      ['/antispam', 'Configure les règles anti-farm (cooldown, longueur, doublons, emojis/stickers/pièces jointes seuls, décompte des messages supprimés) et affiche les messages refusés par membre.', 'managers'],
+      ['/regles-vocal', 'Choisit quand le temps vocal ne compte pas : micro ou casque coupé, muet serveur, salon AFK, seul dans le salon.', 'managers'],
+      ['/filtres', 'Gère les salons, catégories et rôles ignorés (ou autorisés) pour les messages et le vocal. Les membres exclus sont masqués des classements.', 'managers'],
+      ['/recompenses', 'Configure les rôles attribués automatiquement aux vainqueurs en fin de cycle (par place ou pour le top N) et le salon de logs des erreurs.', 'managers'],
+      ['/niveaux', 'Règle l\'XP gagnée par message et par minute de vocal pour le classement global, la courbe de niveaux, le salon des annonces de passage de niveau et les rôles attribués à certains niveaux.', 'managers'],
+      ['/equipes', 'Choisit les rôles qui s\'affrontent en équipes : chaque équipe cumule les messages, le temps vocal ou l\'XP de ses membres (`/equipes mesure`), avec nombre de membres et meilleur contributeur, et l\'équipe gagnante est annoncée en fin de cycle.', 'managers'],
+      ['/notifications', 'Annonce les paliers de messages et d\'heures de vocal, les entrées et sorties du top 3 et les dépassements, dans un salon ou en MP, avec délai par membre et limite horaire.', 'managers'],
+      ['/permissions', 'Définit un rôle admin du bot, en plus de la permission « Gérer le serveur ».', 'managers'],
+      ['/langue', 'Choisit la langue du bot sur ce serveur (français ou anglais).', 'managers'],
+      ['/bot-name · /bot-avatar · /bot-presence · /bot-status', 'Change le nom du bot, son avatar (avec un lien), sa présence (dnd, online, idle, invisible) ou son activité (streaming, playing, watching, etc. ; pour streaming, utilise un lien Twitch fixe).', 'owners'],
+      ['/bot-stats', 'Affiche les compteurs de la file de mise à jour : éditions envoyées, ignorées (embed identique), échouées et limites de débit.', 'owners'],
+      ['/bot-backup', 'Crée immédiatement une sauvegarde de la base de données. Les sauvegardes automatiques et manuelles sont conservées par rotation.', 'owners'],
+      ['/help', 'Affiche cette aide.', 'everyone'],
+    ],
+  },
+};
@@ -0,0 +1,122 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MINUTE_MS,
+  HOUR_MS,
+  DAY_MS,
+  WEEK_MS,
+  parseDuration,
+  parseAnchorTime,
+  isValidTimezone,
+  zonedParts,
+  zonedToUtc,
+  computeCycleEnd,
+  periodStart,
+} from '../lib/cycles.js';
+
+const PARIS = 'Europe/Paris';
+
+test('parseDuration adds up every unit', () => {
+  assert.equal(parseDuration('1h30m'), HOUR_MS + 30 * MINUTE_MS);
+  assert.equal(parseDuration('2 sem'), 2 * WEEK_MS);
+  assert.equal(parseDuration('1w 2j 3d'), WEEK_MS + 5 * DAY_MS);
+  assert.equal(parseDuration('45min'), 45 * MINUTE_MS);
+  assert.equal(parseDuration('90s'), 90 * 1000);
+  assert.equal(parseDuration('1H'), HOUR_MS);
+});
+
+test('parseDuration rejects empty, zero and partly unknown input', () => {
+  assert.equal(parseDuration(''), null);
+  assert.equal(parseDuration(undefined), null);
+  assert.equal(parseDuration('0h'), null);
+  assert.equal(parseDuration('abc'), null);
+  assert.equal(parseDuration('1h abc'), null);
+  assert.equal(parseDuration('12'), null);
+});
+
+test('parseAnchorTime normalizes HH:MM and rejects impossible times', () => {
+  assert.equal(parseAnchorTime('9:05'), '09:05');
+  assert.equal(parseAnchorTime(' 23h59 '), '23:59');
+  assert.equal(parseAnchorTime('0H00'), '00:00');
+  assert.equal(parseAnchorTime('24:00'), null);
+  assert.equal(parseAnchorTime('12:60'), null);
+  assert.equal(parseAnchorTime('9:5'), null);
+  assert.equal(parseAnchorTime(null), null);
+});
+
+test('isValidTimezone accepts IANA names only', () => {
+  assert.equal(isValidTimezone(PARIS), true);
+  assert.equal(isValidTimezone('America/New_York'), true);
+  assert.equal(isValidTimezone('Mars/Olympus'), false);
+});
+
+test('zonedParts reads the wall clock of a time zone', () => {
+  // 2024-01-15 23:30 UTC is Tuesday 00:30 in Paris.
+  const p = zonedParts(Date.UTC(2024, 0, 15, 23, 30), PARIS);
+  assert.deepEqual(p, { y: 2024, mo: 1, d: 16, h: 0, mi: 30, s: 0, wd: 2 });
+});
+
+test('zonedToUtc follows the offset in winter and summer', () => {
+  assert.equal(zonedToUtc(2024, 1, 15, 0, 0, PARIS), Date.UTC(2024, 0, 14, 23, 0));
+  assert.equal(zonedToUtc(2024, 7, 1, 0, 0, PARIS), Date.UTC(2024, 5, 30, 22, 0));
+  assert.equal(zonedToUtc(2024, 7, 1, 0, 0, 'UTC'), Date.UTC(2024, 6, 1));
+});
+
+test('zonedToUtc rolls overflowing fields over', () => {
+  assert.equal(zonedToUtc(2024, 1, 32, 0, 0, PARIS), zonedToUtc(2024, 2, 1, 0, 0, PARIS));
+  assert.equal(zonedToUtc(2024, 13, 1, 0, 0, PARIS), zonedToUtc(2025, 1, 1, 0, 0, PARIS));
+});
+
+test('zonedToUtc handles the spring-forward day', () => {
+  // Paris switches to UTC+2 at 02:00 on 2024-03-31.
+  assert.equal(zonedToUtc(2024, 3, 31, 0, 0, PARIS), Date.UTC(2024, 2, 30, 23, 0));
+  assert.equal(zonedToUtc(2024, 3, 31, 3, 30, PARIS), Date.UTC(2024, 2, 31, 1, 30));
+});
+
+test('computeCycleEnd without a schedule anchor counts from the start', () => {
+  const from = Date.UTC(2024, 0, 17, 12, 0);
+  assert.equal(computeCycleEnd({ cycle: 'never' }, from), null);
+  assert.equal(computeCycleEnd({ cycle: 'custom', cycleMs: 3 * HOUR_MS }, from), from + 3 * HOUR_MS);
+  assert.equal(computeCycleEnd({ cycle: 'custom' }, from), from + WEEK_MS);
+  assert.equal(computeCycleEnd({ cycle: 'daily', timezone: PARIS }, from), from + DAY_MS);
+  assert.equal(computeCycleEnd({ timezone: PARIS }, from), from + WEEK_MS);
+});
+
+test('computeCycleEnd keeps the time of day for monthly cycles and clamps short months', () => {
+  // 2024-01-31 13:00 in Paris, so the next cycle ends on the last day of February at 13:00.
+  const from = Date.UTC(2024, 0, 31, 12, 0);
+  assert.equal(computeCycleEnd({ cycle: 'monthly', timezone: PARIS }, from), Date.UTC(2024, 1, 29, 12, 0));
+});
+
+test('computeCycleEnd finds the next daily anchor, across a DST change', () => {
+  const cfg = { cycle: 'daily', anchorTime: '00:00', timezone: PARIS };
+  assert.equal(computeCycleEnd(cfg, Date.UTC(2024, 2, 30, 12, 0)), Date.UTC(2024, 2, 30, 23, 0));
+  assert.equal(computeCycleEnd(cfg, Date.UTC(2024, 2, 31, 12, 0)), Date.UTC(2024, 2, 31, 22, 0));
+});
+
+test('computeCycleEnd finds the next weekly anchor', () => {
+  const cfg = { cycle: 'weekly', anchorDay: 1, anchorTime: '00:00', timezone: PARIS };
+  // Wednesday 2024-01-17 → Monday 2024-01-22 00:00 Paris.
+  assert.equal(computeCycleEnd(cfg, Date.UTC(2024, 0, 17, 12, 0)), Date.UTC(2024, 0, 21, 23, 0));
+  // Starting right on the anchor ends a full week later.
+  assert.equal(computeCycleEnd(cfg, Date.UTC(2024, 0, 21, 23, 0)), Date.UTC(2024, 0, 28, 23, 0));
+  // Sunday anchors use day 0.
+  assert.equal(computeCycleEnd({ ...cfg, anchorDay: 0, anchorTime: '20:30' }, Date.UTC(2024, 0, 17, 12, 0)), Date.UTC(2024, 0, 21, 19, 30));
+});
+
+test('computeCycleEnd finds the next monthly anchor on the first of the month', () => {
+  const cfg = { cycle: 'monthly', anchorTime: '09:00', timezone: PARIS };
+  assert.equal(computeCycleEnd(cfg, Date.UTC(2024, 0, 1, 7, 0)), Date.UTC(2024, 0, 1, 8, 0));
+  assert.equal(computeCycleEnd(cfg, Date.UTC(2024, 0, 1, 8, 0)), Date.UTC(2024, 1, 1, 8, 0));
+  assert.equal(computeCycleEnd(cfg, Date.UTC(2024, 11, 15)), Date.UTC(2025, 0, 1, 8, 0));
+});
+
+test('periodStart starts today at midnight in the given time zone', () => {
+  // 2024-01-15 23:30 UTC is already the 16th in Paris but still the 15th in New York.
+  const now = Date.UTC(2024, 0, 15, 23, 30);
+  assert.equal(periodStart('today', PARIS, now), Date.UTC(2024, 0, 15, 23, 0));
+  assert.equal(periodStart('today', 'America/New_York', now), Date.UTC(2024, 0, 15, 5, 0));
+  assert.equal(periodStart('7d', PARIS, now), now - 7 * DAY_MS);
+  assert.equal(periodStart('30d', PARIS, now), now - 30 * DAY_MS);
+  assert.equal(periodStart('all', PARIS, now), 0);
+});
@@ -0,0 +1,21 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeXp, xpForLevel, levelForXp } from '../lib/levels.js';
+
+const LEVELS = { xpPerMessage: 10, xpPerVoiceMinute: 5, levelBase: 100, levelGrowth: 1.5 };
+
+test('computeXp weighs messages and whole voice minutes', () => {
+  assert.equal(computeXp(LEVELS, 3, 125), 3 * 10 + 2 * 5);
+  assert.equal(computeXp(LEVELS, null, null), 0);
+});
+
+test('levelForXp is the highest level whose threshold is reached', () => {
+  assert.equal(levelForXp(0, LEVELS), 0);
+  assert.equal(levelForXp(99, LEVELS), 0);
+  assert.equal(levelForXp(100, LEVELS), 1);
+  for (const level of [2, 5, 10, 50]) {
+    const xp = xpForLevel(level, LEVELS);
+    assert.equal(levelForXp(xp, LEVELS), level);
+    assert.equal(levelForXp(xp - 1, LEVELS), level - 1);
+  }
+});
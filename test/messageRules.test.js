@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeContent, similarity, checkMessageRules } from '../lib/messageRules.js';
+
+const T0 = Date.UTC(2024, 0, 1);
+
+function message(content, at, { stickers = 0, attachments = 0, user = 'u1' } = {}) {
+  return {
+    content, createdTimestamp: at,
+    guild: { id: 'g1' }, author: { id: user },
+    stickers: { size: stickers }, attachments: { size: attachments },
+  };
+}
+
+test('normalizeContent drops case, accents, punctuation and long repeats', () => {
+  assert.equal(normalizeContent('Héllo, WORLD!!!'), 'hello world');
+  assert.equal(normalizeContent('noooooon'), 'noon');
+});
+
+test('similarity is 1 for equal text and 0 against empty text', () => {
+  assert.equal(similarity('abc', 'abc'), 1);
+  assert.equal(similarity('abc', ''), 0);
+  assert.ok(similarity('hello there', 'hello ther') > 0.85);
+  assert.ok(similarity('hello there', 'good night') < 0.5);
+});
+
+test('messages count when no rule is set', () => {
+  const history = new Map();
+  assert.equal(checkMessageRules(message('a', T0), {}, history), null);
+  assert.equal(checkMessageRules(message('a', T0 + 1), {}, history), null);
+});
+
+test('the cooldown applies from the last counted message', () => {
+  const history = new Map();
+  const settings = { msgCooldown: 60 };
+  assert.equal(checkMessageRules(message('first', T0), settings, history), null);
+  assert.equal(checkMessageRules(message('second', T0 + 30_000), settings, history), 'cooldown');
+  assert.equal(checkMessageRules(message('third', T0 + 61_000), settings, history), null);
+});
+
+test('the cooldown is tracked per member', () => {
+  const history = new Map();
+  const settings = { msgCooldown: 60 };
+  assert.equal(checkMessageRules(message('hi', T0), settings, history), null);
+  assert.equal(checkMessageRules(message('hi', T0 + 1000, { user: 'u2' }), settings, history), null);
+});
+
+test('sticker and attachment messages go through the cooldown', () => {
+  const history = new Map();
+  const settings = { msgCooldown: 60 };
+  assert.equal(checkMessageRules(message('', T0, { stickers: 1 }), settings, history), null);
+  assert.equal(checkMessageRules(message('', T0 + 1000, { stickers: 1 }), settings, history), 'cooldown');
+  assert.equal(checkMessageRules(message('', T0 + 2000, { attachments: 1 }), settings, history), 'cooldown');
+  assert.equal(checkMessageRules(message('', T0 + 61_000, { attachments: 1 }), settings, history), null);
+});
+
+test('sticker and attachment messages are rejected when ignored', () => {
+  const history = new Map();
+  const settings = { msgIgnoreStickers: 1, msgIgnoreAttachments: 1 };
+  assert.equal(checkMessageRules(message('', T0, { stickers: 1 }), settings, history), 'sticker');
+  assert.equal(checkMessageRules(message('', T0, { attachments: 2 }), settings, history), 'attachment');
+  assert.equal(checkMessageRules(message('look', T0, { attachments: 1 }), settings, history), null);
+});
+
+test('emoji-only messages are rejected when ignored', () => {
+  const history = new Map();
+  const settings = { msgIgnoreEmoji: 1 };
+  assert.equal(checkMessageRules(message('😂😂', T0), settings, history), 'emoji');
+  assert.equal(checkMessageRules(message('<:pepe:123456> <a:dance:789>', T0), settings, history), 'emoji');
+  assert.equal(checkMessageRules(message('ok 😂', T0), settings, history), null);
+});
+
+test('short messages are rejected by length or word count', () => {
+  const history = new Map();
+  assert.equal(checkMessageRules(message('hey', T0), { msgMinLength: 5 }, history), 'length');
+  assert.equal(checkMessageRules(message('hello there', T0), { msgMinLength: 5 }, history), null);
+  assert.equal(checkMessageRules(message('hello there', T0), { msgMinWords: 3 }, history), 'words');
+  assert.equal(checkMessageRules(message('hello there friend', T0), { msgMinWords: 3 }, history), null);
+});
+
+test('near-duplicate consecutive messages are rejected', () => {
+  const history = new Map();
+  const settings = { msgNoDuplicates: 1 };
+  assert.equal(checkMessageRules(message('hello there friend', T0), settings, history), null);
+  assert.equal(checkMessageRules(message('Hellooooo there friend!', T0 + 1000), settings, history), 'duplicate');
+  assert.equal(checkMessageRules(message('what are we playing tonight', T0 + 2000), settings, history), null);
+});
@@ -0,0 +1,133 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { MIGRATIONS, migrate } from '../lib/migrations.js';
+
+const log = console.log;
+test.beforeEach(() => { console.log = () => {}; });
+test.afterEach(() => { console.log = log; });
+
+function version(db) {
+  return db.pragma('user_version', { simple: true });
+}
+
+function columns(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+}
+
+// Applies the first `count` steps the way migrate() does, without a backup.
+function migrateTo(db, count) {
+  for (let v = 0; v < count; v++) MIGRATIONS[v](db);
+  db.pragma(`user_version = ${count}`);
+}
+
+function stepIndex(name) {
+  const index = MIGRATIONS.findIndex(step => step.name === name);
+  assert.ok(index >= 0, `no migration named ${name}`);
+  return index;
+}
+
+test('an empty database is migrated to the latest version without a backup', async () => {
+  const db = new Database(':memory:');
+  let backups = 0;
+  await migrate(db, async () => { backups++; });
+  assert.equal(version(db), MIGRATIONS.length);
+  assert.equal(backups, 0);
+  assert.ok(columns(db, 'activity').includes('cameraSeconds'));
+  assert.ok(columns(db, 'guild_settings').includes('teamMetric'));
+  assert.ok(columns(db, 'cycles').includes('metric'));
+  assert.ok(columns(db, 'cycle_marks').includes('at'));
+});
+
+test('migrating an up-to-date database does nothing', async () => {
+  const db = new Database(':memory:');
+  await migrate(db, async () => {});
+  let backups = 0;
+  await migrate(db, async () => { backups++; });
+  assert.equal(version(db), MIGRATIONS.length);
+  assert.equal(backups, 0);
+});
+
+test('a database from before versioning keeps its stats and open voice session', async () => {
+  const db = new Database(':memory:');
+  db.prepare(`
+  CREATE TABLE users (
+    guildId TEXT NOT NULL, userId TEXT NOT NULL, username TEXT,
+    messages INTEGER DEFAULT 0, voiceSeconds INTEGER DEFAULT 0, voiceJoin INTEGER DEFAULT NULL,
+    PRIMARY KEY (guildId, userId)
+  )`).run();
+  db.prepare(`
+  CREATE TABLE leaderboards (
+    guildId TEXT NOT NULL, type TEXT NOT NULL, channelId TEXT NOT NULL, messageId TEXT, timerMessageId TEXT,
+    startAt INTEGER, endAt INTEGER, winnersText TEXT, active INTEGER DEFAULT 1,
+    PRIMARY KEY (guildId, type)
+  )`).run();
+  db.prepare(`INSERT INTO users VALUES ('g1', 'u1', 'Alice', 1500, 50 * 3600, 1700000000)`).run();
+  db.prepare(`INSERT INTO leaderboards (guildId,type,channelId,startAt,endAt) VALUES ('g1', 'message', 'c1', 1, 2)`).run();
+
+  const labels = [];
+  await migrate(db, async label => { labels.push(label); return 'backup.sqlite'; });
+
+  assert.deepEqual(labels, ['pre-migration-v0']);
+  assert.equal(version(db), MIGRATIONS.length);
+  const activity = db.prepare(`SELECT * FROM activity WHERE userId = 'u1'`).get();
+  assert.equal(activity.messages, 1500);
+  assert.equal(activity.voiceSeconds, 50 * 3600);
+  assert.equal(activity.channelId, '');
+  const session = db.prepare(`SELECT * FROM voice_sessions WHERE userId = 'u1'`).get();
+  assert.equal(session.startAt, 1700000000 * 1000);
+  assert.equal(session.endAt, null);
+  assert.equal(session.kind, 'voice');
+  assert.equal(db.prepare(`SELECT name FROM leaderboards WHERE guildId = 'g1'`).get().name, '');
+  const milestones = db.prepare(`SELECT type, value FROM member_milestones WHERE userId = 'u1' ORDER BY type`).all();
+  assert.deepEqual(milestones.map(m => [m.type, m.value]), [['message', 1000], ['vocal', 50]]);
+  assert.ok(db.prepare(`SELECT level FROM member_levels WHERE userId = 'u1'`).get().level > 0);
+});
+
+test('a database from before versioning that already has later tables is completed, not backfilled again', async () => {
+  const db = new Database(':memory:');
+  migrateTo(db, stepIndex('addTrackingFilters') + 1);
+  db.pragma('user_version = 0');
+  db.prepare(`INSERT INTO users (guildId,userId,messages,voiceSeconds) VALUES ('g1', 'u1', 40, 0)`).run();
+  db.prepare(`INSERT INTO activity (guildId,userId,bucket,messages) VALUES ('g1', 'u1', 3600000, 40)`).run();
+  db.prepare(`INSERT INTO guild_settings (guildId,filterMode) VALUES ('g1', 'include')`).run();
+
+  await migrate(db, async () => 'backup.sqlite');
+
+  assert.equal(version(db), MIGRATIONS.length);
+  assert.equal(db.prepare(`SELECT SUM(messages) AS m FROM activity WHERE userId = 'u1'`).get().m, 40);
+  const settings = db.prepare(`SELECT filterMode, adminRoleId FROM guild_settings WHERE guildId = 'g1'`).get();
+  assert.deepEqual({ ...settings }, { filterMode: 'include', adminRoleId: null });
+  assert.ok(columns(db, 'leaderboards').includes('pausedAt'));
+});
+
+test('existing team cycles are recorded as XP when team metrics are added', async () => {
+  const db = new Database(':memory:');
+  migrateTo(db, stepIndex('addTeamMetric'));
+  db.prepare(`INSERT INTO cycles (guildId,type,name,cycle,startAt,endAt) VALUES ('g1', 'equipes', '', 'weekly', 1, 2)`).run();
+  db.prepare(`INSERT INTO cycles (guildId,type,name,cycle,startAt,endAt) VALUES ('g1', 'message', '', 'weekly', 1, 2)`).run();
+  await migrate(db, async () => 'backup.sqlite');
+  const metrics = db.prepare(`SELECT type, metric FROM cycles ORDER BY type`).all();
+  assert.deepEqual(metrics.map(c => [c.type, c.metric]), [['equipes', 'global'], ['message', null]]);
+});
+
+test('a failing step is rolled back and stops the migration', async () => {
+  const db = new Database(':memory:');
+  MIGRATIONS.push(function broken(db) {
+    db.prepare(`CREATE TABLE half_done (id INTEGER)`).run();
+    throw new Error('boom');
+  });
+  try {
+    await assert.rejects(migrate(db, async () => {}), /boom/);
+  } finally {
+    MIGRATIONS.pop();
+  }
+  assert.equal(version(db), MIGRATIONS.length);
+  assert.equal(db.prepare(`SELECT name FROM sqlite_master WHERE name = 'half_done'`).get(), undefined);
+});
+
+test('a database newer than the bot is refused', async () => {
+  const db = new Database(':memory:');
+  db.pragma(`user_version = ${MIGRATIONS.length + 1}`);
+  await assert.rejects(migrate(db, async () => {}), /newer than this bot/);
+});
@@ -0,0 +1,15 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMilestones } from '../lib/milestones.js';
+
+test('parseMilestones sorts and deduplicates any separator', () => {
+  assert.deepEqual(parseMilestones('1000, 5000 10000;1000'), [1000, 5000, 10000]);
+  assert.deepEqual(parseMilestones('50,10'), [10, 50]);
+});
+
+test('parseMilestones rejects non-positive or non-integer values', () => {
+  assert.equal(parseMilestones('10, abc'), null);
+  assert.equal(parseMilestones('0'), null);
+  assert.equal(parseMilestones('-5'), null);
+  assert.equal(parseMilestones('1.5'), null);
+});
@@ -0,0 +1,100 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { migrate } from '../lib/migrations.js';
+import { createStatEditor } from '../lib/stats.js';
+
+const HOUR = 3600 * 1000;
+const BUCKET = 1_700_000_000_000 - (1_700_000_000_000 % HOUR);
+
+async function setup() {
+  const log = console.log;
+  console.log = () => {};
+  const db = new Database(':memory:');
+  try { await migrate(db, async () => {}); } finally { console.log = log; }
+  const addUser = (uid, messages = 0, voiceSeconds = 0) =>
+    db.prepare(`INSERT INTO users (guildId,userId,username,messages,voiceSeconds) VALUES ('g1',?,?,?,?)`).run(uid, uid, messages, voiceSeconds);
+  const addActivity = (uid, channelId, counters) => db.prepare(`
+    INSERT INTO activity (guildId,userId,bucket,channelId,messages,voiceSeconds,reactions,threadMessages)
+    VALUES ('g1',@uid,@bucket,@channelId,@messages,@voiceSeconds,@reactions,@threadMessages)
+  `).run({ uid, bucket: BUCKET, channelId, messages: 0, voiceSeconds: 0, reactions: 0, threadMessages: 0, ...counters });
+  return { db, editor: createStatEditor(db), addUser, addActivity };
+}
+
+function totals(db, uid) {
+  return db.prepare(`
+    SELECT COALESCE(SUM(messages),0) AS messages, COALESCE(SUM(voiceSeconds),0) AS voiceSeconds, COALESCE(SUM(reactions),0) AS reactions
+    FROM activity WHERE guildId = 'g1' AND userId = ?
+  `).get(uid);
+}
+
+function auditRows(db) {
+  return db.prepare(`SELECT action, targetId, relatedId, type, before, after, reason FROM audit_log ORDER BY id`).all();
+}
+
+test('setting a stat updates the cycle counter, records the difference and audits it', async () => {
+  const { db, editor, addUser } = await setup();
+  addUser('u1', 10);
+  const res = editor.setUserStat('g1', 'u1', 'message', 25, { actorId: 'admin', action: 'set', reason: 'bug', bucket: BUCKET });
+  assert.deepEqual(res, { before: 10, after: 25 });
+  assert.equal(editor.getUserStat('g1', 'u1', 'message'), 25);
+  assert.equal(totals(db, 'u1').messages, 15);
+  const correction = db.prepare(`SELECT channelId, bucket FROM activity WHERE userId = 'u1'`).get();
+  assert.deepEqual(correction, { channelId: '', bucket: BUCKET });
+  assert.deepEqual(auditRows(db), [
+    { action: 'set', targetId: 'u1', relatedId: null, type: 'message', before: 10, after: 25, reason: 'bug' },
+  ]);
+});
+
+test('removing more than a member has stops at zero', async () => {
+  const { db, editor, addUser } = await setup();
+  addUser('u1', 0, 600);
+  const res = editor.setUserStat('g1', 'u1', 'vocal', 600 - 3600, { actorId: 'admin', action: 'remove' });
+  assert.deepEqual(res, { before: 600, after: 0 });
+  assert.equal(totals(db, 'u1').voiceSeconds, -600);
+  assert.equal(auditRows(db)[0].action, 'remove');
+});
+
+test('an unchanged value is audited without touching activity', async () => {
+  const { db, editor, addUser } = await setup();
+  addUser('u1', 5);
+  editor.setUserStat('g1', 'u1', 'message', 5, { actorId: 'admin', action: 'set' });
+  assert.equal(db.prepare(`SELECT COUNT(*) AS n FROM activity`).get().n, 0);
+  assert.equal(auditRows(db).length, 1);
+});
+
+test('a transfer moves counters, activity, reactions, levels and milestones to the new account', async () => {
+  const { db, editor, addUser, addActivity } = await setup();
+  addUser('old', 40, 7200);
+  addUser('new', 2, 60);
+  addActivity('old', 'c1', { messages: 40, voiceSeconds: 7200, reactions: 3 });
+  addActivity('new', 'c1', { messages: 2, voiceSeconds: 60, reactions: 1 });
+  db.prepare(`INSERT INTO counted_messages (guildId,messageId,userId,channelId,createdAt) VALUES ('g1','m1','old','c1',1)`).run();
+  const reaction = db.prepare(`INSERT INTO counted_reactions (guildId,messageId,userId,emoji,createdAt) VALUES ('g1',?,?,?,1)`);
+  reaction.run('m9', 'old', '👍');
+  reaction.run('m9', 'new', '👍');
+  reaction.run('m8', 'old', '🔥');
+  db.prepare(`INSERT INTO member_levels (guildId,userId,level) VALUES ('g1','old',4), ('g1','new',1)`).run();
+  db.prepare(`INSERT INTO member_milestones (guildId,userId,type,value) VALUES ('g1','old','message',10), ('g1','new','vocal',1)`).run();
+
+  const moved = editor.transferUserStats('g1', 'old', 'new', { actorId: 'admin', reason: 'alt' });
+
+  assert.deepEqual(moved, { message: 40, vocal: 7200 });
+  assert.equal(editor.getUserStat('g1', 'old', 'message'), 0);
+  assert.equal(editor.getUserStat('g1', 'new', 'message'), 42);
+  assert.equal(editor.getUserStat('g1', 'new', 'vocal'), 7260);
+  assert.deepEqual(totals(db, 'new'), { messages: 42, voiceSeconds: 7260, reactions: 4 });
+  assert.deepEqual(totals(db, 'old'), { messages: 0, voiceSeconds: 0, reactions: 0 });
+  assert.equal(db.prepare(`SELECT userId FROM counted_messages WHERE messageId = 'm1'`).get().userId, 'new');
+  assert.deepEqual(db.prepare(`SELECT messageId, userId FROM counted_reactions ORDER BY messageId`).all(),
+    [{ messageId: 'm8', userId: 'new' }, { messageId: 'm9', userId: 'new' }]);
+  assert.deepEqual(db.prepare(`SELECT userId, level FROM member_levels`).all(), [{ userId: 'new', level: 4 }]);
+  assert.deepEqual(db.prepare(`SELECT userId, type, value FROM member_milestones ORDER BY type`).all(),
+    [{ userId: 'new', type: 'message', value: 10 }, { userId: 'new', type: 'vocal', value: 1 }]);
+  assert.deepEqual(auditRows(db).map(r => [r.action, r.targetId, r.relatedId, r.type, r.before, r.after]), [
+    ['transfer-out', 'old', 'new', 'message', 40, 0],
+    ['transfer-in', 'new', 'old', 'message', 2, 42],
+    ['transfer-out', 'old', 'new', 'vocal', 7200, 0],
+    ['transfer-in', 'new', 'old', 'vocal', 60, 7260],
+  ]);
+});